@@ -0,0 +1,21 @@
+-- CreateEnum
+CREATE TYPE "public"."AuthAudience" AS ENUM ('USER', 'WORKER');
+
+-- CreateTable
+CREATE TABLE "public"."AuthNonce" (
+    "id" SERIAL NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "address" TEXT NOT NULL,
+    "audience" "public"."AuthAudience" NOT NULL,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+
+    CONSTRAINT "AuthNonce_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuthNonce_nonce_key" ON "public"."AuthNonce"("nonce");
+
+-- CreateIndex
+CREATE INDEX "AuthNonce_address_audience_idx" ON "public"."AuthNonce"("address", "audience");
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."UserSession" ADD COLUMN     "ipAddress" TEXT,
+ADD COLUMN     "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "userAgent" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."WorkerSession" ADD COLUMN     "ipAddress" TEXT,
+ADD COLUMN     "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "userAgent" TEXT;
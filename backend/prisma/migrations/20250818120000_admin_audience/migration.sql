@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "public"."AuthAudience" ADD VALUE 'ADMIN';
@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "public"."WithdrawalStatus" AS ENUM ('Queued', 'Submitted', 'Confirmed', 'Failed', 'Expired');
+
+-- AlterTable
+ALTER TABLE "public"."WorkerWithdrawal" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "blockhash" TEXT,
+ADD COLUMN     "lastError" TEXT,
+ADD COLUMN     "lastValidBlockHeight" INTEGER,
+ADD COLUMN     "submittedAt" TIMESTAMP(3),
+ALTER COLUMN "signature" DROP NOT NULL,
+ALTER COLUMN "status" DROP DEFAULT,
+ALTER COLUMN "status" TYPE "public"."WithdrawalStatus" USING (
+  CASE
+    WHEN "status" = 'Success' THEN 'Confirmed'
+    WHEN "status" = 'Failure' THEN 'Failed'
+    WHEN "signature" = 'pending' THEN 'Queued'
+    ELSE 'Submitted'
+  END
+)::"public"."WithdrawalStatus",
+ALTER COLUMN "status" SET DEFAULT 'Queued';
+
+-- Withdrawals that never got a transaction used a placeholder signature
+UPDATE "public"."WorkerWithdrawal" SET "signature" = NULL WHERE "signature" = 'pending';
+
+-- CreateIndex
+CREATE INDEX "WorkerWithdrawal_status_idx" ON "public"."WorkerWithdrawal"("status");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "public"."WorkerWithdrawal" ADD COLUMN     "batchId" TEXT,
+ADD COLUMN     "instructionIndex" INTEGER,
+ADD COLUMN     "isolated" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "WorkerWithdrawal_batchId_idx" ON "public"."WorkerWithdrawal"("batchId");
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "public"."Quote" (
+    "id" TEXT NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "serviceType" "public"."ServiceType" NOT NULL,
+    "reviewCount" INTEGER NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "reference" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+
+    CONSTRAINT "Quote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Quote_reference_key" ON "public"."Quote"("reference");
+
+-- CreateIndex
+CREATE INDEX "Quote_user_id_idx" ON "public"."Quote"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."Quote" ADD CONSTRAINT "Quote_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "public"."PaymentStatus" AS ENUM ('Verified', 'Consumed');
+
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN     "payment_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."Payment" (
+    "id" SERIAL NOT NULL,
+    "signature" TEXT NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "quote_id" TEXT,
+    "amount" INTEGER NOT NULL,
+    "status" "public"."PaymentStatus" NOT NULL DEFAULT 'Verified',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "consumedAt" TIMESTAMP(3),
+
+    CONSTRAINT "Payment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payment_signature_key" ON "public"."Payment"("signature");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payment_quote_id_key" ON "public"."Payment"("quote_id");
+
+-- CreateIndex
+CREATE INDEX "Task_payment_id_idx" ON "public"."Task"("payment_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."Task" ADD CONSTRAINT "Task_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "public"."Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Payment" ADD CONSTRAINT "Payment_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Payment" ADD CONSTRAINT "Payment_quote_id_fkey" FOREIGN KEY ("quote_id") REFERENCES "public"."Quote"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Record the signatures existing tasks were paid with so they cannot be reused
+INSERT INTO "public"."Payment" ("signature", "user_id", "amount", "status", "createdAt", "consumedAt")
+SELECT DISTINCT ON ("signature") "signature", "user_id", "amount", 'Consumed', "createdAt", "createdAt"
+FROM "public"."Task"
+ORDER BY "signature", "createdAt";
+
+UPDATE "public"."Task" AS t SET "payment_id" = p."id"
+FROM "public"."Payment" AS p
+WHERE p."signature" = t."signature";
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "public"."Quote" ADD COLUMN     "solUsdRate" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "usdAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Defaults only cover quotes issued before rates were recorded
+ALTER TABLE "public"."Quote" ALTER COLUMN "solUsdRate" DROP DEFAULT,
+ALTER COLUMN "usdAmount" DROP DEFAULT;
@@ -0,0 +1,23 @@
+-- CreateEnum
+CREATE TYPE "public"."Currency" AS ENUM ('SOL', 'USDC');
+
+-- AlterTable
+ALTER TABLE "public"."Payment" ADD COLUMN     "currency" "public"."Currency" NOT NULL DEFAULT 'SOL';
+
+-- AlterTable
+ALTER TABLE "public"."Quote" ADD COLUMN     "currency" "public"."Currency" NOT NULL DEFAULT 'SOL';
+
+-- AlterTable
+ALTER TABLE "public"."Submission" ADD COLUMN     "currency" "public"."Currency" NOT NULL DEFAULT 'SOL';
+
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN     "currency" "public"."Currency" NOT NULL DEFAULT 'SOL';
+
+-- AlterTable
+ALTER TABLE "public"."Worker" ADD COLUMN     "locked_usdc" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "payoutCurrency" "public"."Currency" NOT NULL DEFAULT 'SOL',
+ADD COLUMN     "pending_usdc" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "total_earned_usdc" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."WorkerWithdrawal" ADD COLUMN     "currency" "public"."Currency" NOT NULL DEFAULT 'SOL';
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN     "solUsdRate" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "public"."WorkerWithdrawal" ADD COLUMN     "solUsdRate" DOUBLE PRECISION;
+
+-- Tasks paid against a quote take the rate the quote was issued at
+UPDATE "public"."Task" AS t
+SET "solUsdRate" = q."solUsdRate"
+FROM "public"."Payment" AS p
+JOIN "public"."Quote" AS q ON q."id" = p."quote_id"
+WHERE t."payment_id" = p."id" AND q."solUsdRate" > 0;
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "public"."Payment" ALTER COLUMN "amount" SET DATA TYPE BIGINT;
+
+-- AlterTable
+ALTER TABLE "public"."Payouts" ALTER COLUMN "amount" SET DATA TYPE BIGINT;
+
+-- AlterTable
+ALTER TABLE "public"."Quote" ALTER COLUMN "amount" SET DATA TYPE BIGINT;
+
+-- AlterTable
+ALTER TABLE "public"."Submission" ALTER COLUMN "amount" SET DATA TYPE BIGINT;
+
+-- AlterTable
+ALTER TABLE "public"."SystemStats" ALTER COLUMN "total_earnings_paid" SET DATA TYPE BIGINT;
+
+-- AlterTable
+ALTER TABLE "public"."Task" ALTER COLUMN "amount" SET DATA TYPE BIGINT;
+
+-- AlterTable
+ALTER TABLE "public"."Worker" ALTER COLUMN "pending_amount" SET DATA TYPE BIGINT,
+ALTER COLUMN "locked_amount" SET DATA TYPE BIGINT,
+ALTER COLUMN "total_earned" SET DATA TYPE BIGINT,
+ALTER COLUMN "pending_usdc" SET DATA TYPE BIGINT,
+ALTER COLUMN "locked_usdc" SET DATA TYPE BIGINT,
+ALTER COLUMN "total_earned_usdc" SET DATA TYPE BIGINT;
+
+-- AlterTable
+ALTER TABLE "public"."WorkerWithdrawal" ALTER COLUMN "amount" SET DATA TYPE BIGINT;
@@ -0,0 +1,48 @@
+-- CreateEnum
+CREATE TYPE "public"."LedgerEntryKind" AS ENUM ('OpeningBalance', 'Payment', 'Escrow', 'BaseReward', 'ConsensusBonus', 'Fee', 'Refund', 'WithdrawalRequested', 'WithdrawalPaid', 'WithdrawalReturned');
+
+-- CreateTable
+CREATE TABLE "public"."LedgerEntry" (
+    "id" SERIAL NOT NULL,
+    "txId" TEXT NOT NULL,
+    "kind" "public"."LedgerEntryKind" NOT NULL,
+    "account" TEXT NOT NULL,
+    "currency" "public"."Currency" NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "userId" INTEGER,
+    "workerId" INTEGER,
+    "taskId" INTEGER,
+    "paymentId" INTEGER,
+    "withdrawalId" INTEGER,
+    "memo" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_txId_idx" ON "public"."LedgerEntry"("txId");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_account_currency_idx" ON "public"."LedgerEntry"("account", "currency");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_workerId_idx" ON "public"."LedgerEntry"("workerId");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_taskId_idx" ON "public"."LedgerEntry"("taskId");
+
+-- Open the ledger with the worker balances held so far, funded from outside
+WITH "balances" AS MATERIALIZED (
+    SELECT gen_random_uuid()::text AS "txId", "id", 'SOL' AS "currency", 'pending' AS "bucket", "pending_amount" AS "amount" FROM "public"."Worker" WHERE "pending_amount" <> 0
+    UNION ALL
+    SELECT gen_random_uuid()::text, "id", 'SOL', 'locked', "locked_amount" FROM "public"."Worker" WHERE "locked_amount" <> 0
+    UNION ALL
+    SELECT gen_random_uuid()::text, "id", 'USDC', 'pending', "pending_usdc" FROM "public"."Worker" WHERE "pending_usdc" <> 0
+    UNION ALL
+    SELECT gen_random_uuid()::text, "id", 'USDC', 'locked', "locked_usdc" FROM "public"."Worker" WHERE "locked_usdc" <> 0
+)
+INSERT INTO "public"."LedgerEntry" ("txId", "kind", "account", "currency", "amount", "workerId")
+SELECT "txId", 'OpeningBalance', 'worker:' || "id" || ':' || "bucket", "currency"::"public"."Currency", "amount", "id" FROM "balances"
+UNION ALL
+SELECT "txId", 'OpeningBalance', 'external', "currency"::"public"."Currency", -"amount", "id" FROM "balances";
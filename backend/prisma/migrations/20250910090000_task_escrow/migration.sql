@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN     "escrowBalance" BIGINT NOT NULL DEFAULT 0,
+ADD COLUMN     "platformFee" BIGINT NOT NULL DEFAULT 0,
+ADD COLUMN     "rewardBudget" BIGINT NOT NULL DEFAULT 0;
+
+-- Tasks paid for before the platform fee keep their whole payment as reward budget
+UPDATE "public"."Task" SET "rewardBudget" = "amount";
+
+-- Open tasks that predate the ledger get escrow for the reviews they are still owed
+WITH "owed" AS MATERIALIZED (
+    SELECT gen_random_uuid()::text AS "txId", t."id", t."user_id", t."currency",
+        GREATEST(t."amount" - COUNT(s."id") * (t."amount" / t."reviewCount"), 0) AS "amount"
+    FROM "public"."Task" AS t
+    LEFT JOIN "public"."Submission" AS s ON s."task_id" = t."id"
+    WHERE t."done" = false
+        AND NOT EXISTS (SELECT 1 FROM "public"."LedgerEntry" AS l WHERE l."taskId" = t."id")
+    GROUP BY t."id"
+    HAVING GREATEST(t."amount" - COUNT(s."id") * (t."amount" / t."reviewCount"), 0) > 0
+)
+INSERT INTO "public"."LedgerEntry" ("txId", "kind", "account", "currency", "amount", "userId", "taskId")
+SELECT "txId", 'OpeningBalance', 'task:' || "id", "currency", "amount", "user_id", "id" FROM "owed"
+UNION ALL
+SELECT "txId", 'OpeningBalance', 'external', "currency", -"amount", "user_id", "id" FROM "owed";
+
+-- Cache each task's escrow balance
+UPDATE "public"."Task" AS t
+SET "escrowBalance" = l."balance"
+FROM (
+    SELECT "account", SUM("amount")::BIGINT AS "balance"
+    FROM "public"."LedgerEntry"
+    WHERE "account" LIKE 'task:%'
+    GROUP BY "account"
+) AS l
+WHERE l."account" = 'task:' || t."id";
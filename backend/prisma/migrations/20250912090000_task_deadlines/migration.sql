@@ -0,0 +1,37 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "public"."LedgerEntryKind" ADD VALUE 'RefundPaid';
+ALTER TYPE "public"."LedgerEntryKind" ADD VALUE 'RefundReturned';
+
+-- AlterTable
+ALTER TABLE "public"."Payouts" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "blockhash" TEXT,
+ADD COLUMN     "currency" "public"."Currency" NOT NULL DEFAULT 'SOL',
+ADD COLUMN     "lastError" TEXT,
+ADD COLUMN     "lastValidBlockHeight" INTEGER,
+ADD COLUMN     "task_id" INTEGER,
+ALTER COLUMN "signature" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN     "deadline" TIMESTAMP(3);
+
+-- Open tasks get the default 72 hour deadline, counted from when they were created
+UPDATE "public"."Task" SET "deadline" = "createdAt" + INTERVAL '72 hours' WHERE "done" = false;
+
+-- CreateIndex
+CREATE INDEX "Payouts_status_idx" ON "public"."Payouts"("status");
+
+-- CreateIndex
+CREATE INDEX "Payouts_task_id_idx" ON "public"."Payouts"("task_id");
+
+-- CreateIndex
+CREATE INDEX "Task_done_deadline_idx" ON "public"."Task"("done", "deadline");
+
+-- AddForeignKey
+ALTER TABLE "public"."Payouts" ADD CONSTRAINT "Payouts_task_id_fkey" FOREIGN KEY ("task_id") REFERENCES "public"."Task"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,61 @@
+-- CreateEnum
+CREATE TYPE "public"."DepositStatus" AS ENUM ('Pending', 'Credited', 'Expired');
+
+-- AlterEnum
+ALTER TYPE "public"."LedgerEntryKind" ADD VALUE 'Deposit';
+
+-- AlterTable
+ALTER TABLE "public"."Payment" ADD COLUMN     "deposit_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."Task" ALTER COLUMN "signature" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "credit_amount" BIGINT NOT NULL DEFAULT 0,
+ADD COLUMN     "credit_usdc" BIGINT NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."Deposit" (
+    "id" TEXT NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "amount" BIGINT NOT NULL,
+    "currency" "public"."Currency" NOT NULL DEFAULT 'SOL',
+    "reference" TEXT NOT NULL,
+    "status" "public"."DepositStatus" NOT NULL DEFAULT 'Pending',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "creditedAt" TIMESTAMP(3),
+
+    CONSTRAINT "Deposit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Deposit_reference_key" ON "public"."Deposit"("reference");
+
+-- CreateIndex
+CREATE INDEX "Deposit_user_id_idx" ON "public"."Deposit"("user_id");
+
+-- CreateIndex
+CREATE INDEX "Deposit_status_idx" ON "public"."Deposit"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payment_deposit_id_key" ON "public"."Payment"("deposit_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."Payment" ADD CONSTRAINT "Payment_deposit_id_fkey" FOREIGN KEY ("deposit_id") REFERENCES "public"."Deposit"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Deposit" ADD CONSTRAINT "Deposit_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Cache the credit users already hold in the ledger: overpayments and refunded escrow
+UPDATE "public"."User" AS u
+SET "credit_amount" = COALESCE(l."sol", 0), "credit_usdc" = COALESCE(l."usdc", 0)
+FROM (
+    SELECT "account",
+        SUM("amount") FILTER (WHERE "currency" = 'SOL')::BIGINT AS "sol",
+        SUM("amount") FILTER (WHERE "currency" = 'USDC')::BIGINT AS "usdc"
+    FROM "public"."LedgerEntry"
+    WHERE "account" LIKE 'user:%'
+    GROUP BY "account"
+) AS l
+WHERE l."account" = 'user:' || u."id";
@@ -0,0 +1,49 @@
+-- AlterTable
+ALTER TABLE "public"."Quote" ADD COLUMN     "pricing_table_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN     "pricing_table_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."PricingTable" (
+    "id" SERIAL NOT NULL,
+    "serviceType" "public"."ServiceType" NOT NULL,
+    "validFrom" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "minReviews" INTEGER NOT NULL DEFAULT 1,
+    "maxReviews" INTEGER NOT NULL DEFAULT 1000,
+    "perReviewPrice" BIGINT,
+    "perReviewPriceUsdc" BIGINT,
+    "majorityReward" BIGINT NOT NULL,
+    "secondPlaceBps" INTEGER NOT NULL DEFAULT 7000,
+    "thirdPlaceBps" INTEGER NOT NULL DEFAULT 4000,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PricingTable_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."PricingTier" (
+    "id" SERIAL NOT NULL,
+    "table_id" INTEGER NOT NULL,
+    "reviewCount" INTEGER NOT NULL,
+    "price" BIGINT NOT NULL,
+    "priceUsdc" BIGINT NOT NULL,
+
+    CONSTRAINT "PricingTier_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PricingTable_serviceType_validFrom_idx" ON "public"."PricingTable"("serviceType", "validFrom");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PricingTier_table_id_reviewCount_key" ON "public"."PricingTier"("table_id", "reviewCount");
+
+-- AddForeignKey
+ALTER TABLE "public"."Task" ADD CONSTRAINT "Task_pricing_table_id_fkey" FOREIGN KEY ("pricing_table_id") REFERENCES "public"."PricingTable"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Quote" ADD CONSTRAINT "Quote_pricing_table_id_fkey" FOREIGN KEY ("pricing_table_id") REFERENCES "public"."PricingTable"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."PricingTier" ADD CONSTRAINT "PricingTier_table_id_fkey" FOREIGN KEY ("table_id") REFERENCES "public"."PricingTable"("id") ON DELETE CASCADE ON UPDATE CASCADE;
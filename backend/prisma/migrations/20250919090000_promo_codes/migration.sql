@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "public"."PromoDiscountType" AS ENUM ('Percent', 'Fixed');
+
+-- AlterEnum
+ALTER TYPE "public"."LedgerEntryKind" ADD VALUE 'Discount';
+
+-- AlterTable
+ALTER TABLE "public"."Quote" ADD COLUMN     "discount" BIGINT NOT NULL DEFAULT 0,
+ADD COLUMN     "promo_code_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN     "discount" BIGINT NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."PromoCode" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "discountType" "public"."PromoDiscountType" NOT NULL,
+    "percentOff" INTEGER,
+    "amountOff" BIGINT,
+    "currency" "public"."Currency",
+    "maxUses" INTEGER,
+    "perUserLimit" INTEGER,
+    "uses" INTEGER NOT NULL DEFAULT 0,
+    "serviceTypes" "public"."ServiceType"[],
+    "expiresAt" TIMESTAMP(3),
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PromoCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromoCode_code_key" ON "public"."PromoCode"("code");
+
+-- CreateIndex
+CREATE INDEX "Quote_promo_code_id_idx" ON "public"."Quote"("promo_code_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."Quote" ADD CONSTRAINT "Quote_promo_code_id_fkey" FOREIGN KEY ("promo_code_id") REFERENCES "public"."PromoCode"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN     "consensusStrategy" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."Submission" ADD COLUMN     "ranking" INTEGER[] DEFAULT ARRAY[]::INTEGER[];
+
+-- AlterTable
+ALTER TABLE "public"."TaskResult" ADD COLUMN     "strategy" TEXT NOT NULL DEFAULT 'plurality',
+ADD COLUMN     "strategyVersion" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "public"."OptionResult" ADD COLUMN     "score" DOUBLE PRECISION;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "public"."Worker" ADD COLUMN     "reviews_scored" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "reviews_agreed" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "reputation" DOUBLE PRECISION NOT NULL DEFAULT 0.5,
+ADD COLUMN     "reputation_alpha" DOUBLE PRECISION NOT NULL DEFAULT 1,
+ADD COLUMN     "reputation_beta" DOUBLE PRECISION NOT NULL DEFAULT 1,
+ADD COLUMN     "reputation_updated_at" TIMESTAMP(3);
@@ -0,0 +1,24 @@
+-- DropForeignKey
+ALTER TABLE "public"."Task" DROP CONSTRAINT "Task_user_id_fkey";
+
+-- AlterTable
+ALTER TABLE "public"."Worker" ADD COLUMN     "gold_checks" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "gold_failures" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "suspendedAt" TIMESTAMP(3),
+ADD COLUMN     "suspensionReason" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN     "gold" BOOLEAN NOT NULL DEFAULT false,
+ALTER COLUMN "user_id" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."Option" ADD COLUMN     "gold_correct" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "public"."Submission" ADD COLUMN     "gold_passed" BOOLEAN;
+
+-- CreateIndex
+CREATE INDEX "Task_gold_done_idx" ON "public"."Task"("gold", "done");
+
+-- AddForeignKey
+ALTER TABLE "public"."Task" ADD CONSTRAINT "Task_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
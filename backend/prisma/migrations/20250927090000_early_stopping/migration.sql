@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN     "earlyStop" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "public"."TaskResult" ADD COLUMN     "earlyStopped" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "public"."Task" ADD COLUMN     "pairwise" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "public"."Submission" ADD COLUMN     "loser_option_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."PairAssignment" (
+    "id" SERIAL NOT NULL,
+    "task_id" INTEGER NOT NULL,
+    "worker_id" INTEGER NOT NULL,
+    "first_option_id" INTEGER NOT NULL,
+    "second_option_id" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PairAssignment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PairAssignment_task_id_worker_id_key" ON "public"."PairAssignment"("task_id", "worker_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."PairAssignment" ADD CONSTRAINT "PairAssignment_task_id_fkey" FOREIGN KEY ("task_id") REFERENCES "public"."Task"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."PairAssignment" ADD CONSTRAINT "PairAssignment_worker_id_fkey" FOREIGN KEY ("worker_id") REFERENCES "public"."Worker"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,63 @@
+/**
+ * Create pricing tables from the environment variables that priced plans
+ * before pricing moved into the database:
+ *
+ *   <SERVICE>_<REVIEWS>_PRICE, <SERVICE>_<REVIEWS>_PRICE_USDC,
+ *   IMAGE_THUMBNAIL_MAJORITY_REWARD, VIDEO_MAJORITY_REWARD,
+ *   SECOND_PLACE_MULTIPLIER, THIRD_PLACE_MULTIPLIER
+ *
+ *   npm run pricing:import
+ *
+ * Services that already have a pricing table are skipped. The new tables
+ * offer the same fixed plans and come into force immediately.
+ */
+import { prismaClient } from '../src/db.js';
+import pricingService from '../src/services/pricing.js';
+import { parseAmount } from '../src/currencies.js';
+
+// Plans that used to be offered for each service
+const LEGACY_PLANS = {
+  MARKETING_IMAGES: [200, 500],
+  YOUTUBE_THUMBNAILS: [200, 500],
+  VIDEOS: [100, 300]
+};
+
+const toBps = (multiplier, fallback) => {
+  const value = parseFloat(multiplier);
+  return Number.isFinite(value) ? Math.round(value * 10000) : fallback;
+};
+
+for (const [serviceType, reviewCounts] of Object.entries(LEGACY_PLANS)) {
+  const existing = await prismaClient.pricingTable.count({ where: { serviceType } });
+  if (existing > 0) {
+    console.log(`${serviceType}: already has a pricing table, skipped`);
+    continue;
+  }
+
+  const tiers = reviewCounts.map(reviewCount => ({
+    reviewCount,
+    price: parseAmount(process.env[`${serviceType}_${reviewCount}_PRICE`]),
+    priceUsdc: parseAmount(process.env[`${serviceType}_${reviewCount}_PRICE_USDC`])
+  }));
+
+  const missing = tiers.filter(tier => !tier.price || !tier.priceUsdc);
+  if (missing.length > 0) {
+    console.error(`${serviceType}: no price set for ${missing.map(tier => tier.reviewCount).join(', ')} reviews, skipped`);
+    process.exitCode = 1;
+    continue;
+  }
+
+  const table = await pricingService.createTable({
+    serviceType,
+    minReviews: Math.min(...reviewCounts),
+    maxReviews: Math.max(...reviewCounts),
+    majorityReward: parseAmount(process.env[serviceType === 'VIDEOS' ? 'VIDEO_MAJORITY_REWARD' : 'IMAGE_THUMBNAIL_MAJORITY_REWARD']),
+    secondPlaceBps: toBps(process.env.SECOND_PLACE_MULTIPLIER, 7000),
+    thirdPlaceBps: toBps(process.env.THIRD_PLACE_MULTIPLIER, 4000),
+    tiers
+  });
+
+  console.log(`${serviceType}: created pricing table ${table.id}`);
+}
+
+await prismaClient.$disconnect();
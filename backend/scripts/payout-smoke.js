@@ -0,0 +1,41 @@
+/**
+ * Send a real payout against a local solana-test-validator.
+ *
+ *   solana-test-validator --reset --quiet &
+ *   npm run payout:smoke
+ *
+ * A throwaway payout wallet is generated and funded by airdrop unless
+ * PAYOUT_WALLET_SECRET_KEY is already set.
+ */
+import { Keypair, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import bs58 from 'bs58';
+
+process.env.SOLANA_RPC_URL ||= 'http://127.0.0.1:8899';
+
+const payer = Keypair.generate();
+process.env.PAYOUT_WALLET_SECRET_KEY ||= bs58.encode(payer.secretKey);
+process.env.ADMIN_WALLET_ADDRESS ||= payer.publicKey.toBase58();
+
+// Imported after the environment is prepared so config.js picks it up
+const { default: solanaService } = await import('../src/services/solana.js');
+
+const { connection } = solanaService;
+const payoutWallet = solanaService.getPayoutKeypair().publicKey;
+const recipient = Keypair.generate().publicKey;
+const amount = BigInt(0.01 * LAMPORTS_PER_SOL);
+
+if (await solanaService.getPayoutBalance() < LAMPORTS_PER_SOL) {
+  const airdrop = await connection.requestAirdrop(payoutWallet, 2 * LAMPORTS_PER_SOL);
+  const latest = await connection.getLatestBlockhash();
+  await connection.confirmTransaction({ signature: airdrop, ...latest }, 'confirmed');
+}
+
+const signature = await solanaService.sendReward(recipient.toBase58(), amount);
+const received = await connection.getBalance(recipient, 'confirmed');
+
+if (BigInt(received) !== amount) {
+  console.error(`Recipient received ${received} lamports, expected ${amount}`);
+  process.exit(1);
+}
+
+console.log(`Payout of ${amount} lamports confirmed: ${signature}`);
@@ -0,0 +1,35 @@
+// Ledger accounts and the legs a transfer between them is posted as. Every
+// ledger transaction sums to zero in each currency; see services/ledger.js.
+
+export const LEDGER_ACCOUNTS = {
+  external: 'external',   // Wallets outside the platform; goes negative as funds come in
+  platform: 'platform',   // Platform revenue from fees and leftover escrow
+  fx: 'platform:fx',      // Balances the two sides of a currency conversion
+  user: (userId) => `user:${userId}`,
+  task: (taskId) => `task:${taskId}`,
+  refund: (payoutId) => `refund:${payoutId}`,   // Refund on its way to a user's wallet
+  workerPending: (workerId) => `worker:${workerId}:pending`,
+  workerLocked: (workerId) => `worker:${workerId}:locked`
+};
+
+/**
+ * Split a transfer into ledger legs. Transfers between currencies pass
+ * through the fx account so each currency still sums to zero.
+ * @param {Object} transfer - from, to, amount, currency and optional toAmount/toCurrency
+ * @returns {Array<Object>} Account, currency and signed amount of each leg
+ */
+export const getLegs = ({ from, to, amount, currency, toAmount = amount, toCurrency = currency }) => {
+  const legs = toCurrency === currency && toAmount === amount
+    ? [
+      { account: from, currency, amount: -amount },
+      { account: to, currency, amount }
+    ]
+    : [
+      { account: from, currency, amount: -amount },
+      { account: LEDGER_ACCOUNTS.fx, currency, amount },
+      { account: LEDGER_ACCOUNTS.fx, currency: toCurrency, amount: -toAmount },
+      { account: to, currency: toCurrency, amount: toAmount }
+    ];
+
+  return legs.filter(leg => leg.amount !== 0n);
+};
@@ -0,0 +1,52 @@
+// Task budget. A task payment is split into the platform fee and a reward
+// budget; the base share of the budget pays a fixed reward per review and the
+// rest is the pool for consensus bonuses. Escrow movements are in services/escrow.js.
+
+import { PLATFORM_FEE_BPS, BASE_REWARD_SHARE_BPS } from './config.js';
+
+const BPS = 10000n;
+
+/**
+ * Split a task payment into the platform fee and the worker reward budget
+ * @param {bigint} amount - Task amount in base units
+ * @returns {Object} platformFee and rewardBudget
+ */
+export const splitPayment = (amount) => {
+  const platformFee = amount * BigInt(PLATFORM_FEE_BPS) / BPS;
+  return { platformFee, rewardBudget: amount - platformFee };
+};
+
+/**
+ * Base reward for one submission, in the task's currency
+ * @param {Object} task - Task with rewardBudget and reviewCount
+ * @returns {bigint} Base reward
+ */
+export const getBaseReward = (task) =>
+  task.rewardBudget * BigInt(BASE_REWARD_SHARE_BPS) / BPS / BigInt(task.reviewCount);
+
+/**
+ * Budget for consensus bonuses: the bonus share of the reward budget,
+ * limited by what is still in escrow
+ * @param {Object} task - Task with rewardBudget and escrowBalance
+ * @returns {bigint} Bonus pool in the task's currency
+ */
+export const getBonusPool = (task) => {
+  const bonusBudget = task.rewardBudget - task.rewardBudget * BigInt(BASE_REWARD_SHARE_BPS) / BPS;
+  return task.escrowBalance < bonusBudget ? task.escrowBalance : bonusBudget;
+};
+
+/**
+ * Scale requested amounts down proportionally so their total fits a pool
+ * @param {Array<bigint>} amounts - Requested amounts
+ * @param {bigint} pool - Most that can be paid in total
+ * @returns {Array<bigint>} Amounts to pay, in the same order
+ */
+export const fitToPool = (amounts, pool) => {
+  const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+
+  if (total <= pool) {
+    return amounts;
+  }
+
+  return amounts.map(amount => amount * pool / total);
+};
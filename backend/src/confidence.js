@@ -0,0 +1,91 @@
+// Confidence in task results. Each option's share of first-choice votes gets
+// a Wilson score interval, and the leading option counts as statistically
+// separated from the runner-up when, among the votes for either of the two,
+// the Wilson interval of the leader's share lies entirely above one half.
+
+import { CONFIDENCE_LEVEL } from './config.js';
+
+/**
+ * Standard normal quantile, by Acklam's rational approximation (relative error below 1.2e-9)
+ * @param {number} p - Probability between 0 and 1
+ * @returns {number} z such that P(Z <= z) = p
+ */
+const normalQuantile = (p) => {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// Two-sided critical value for CONFIDENCE_LEVEL
+const Z = normalQuantile(1 - (1 - CONFIDENCE_LEVEL) / 2);
+
+/**
+ * Wilson score interval for a binomial proportion
+ * @param {number} successes - Number of successes
+ * @param {number} trials - Number of trials
+ * @param {number} [z] - Critical value
+ * @returns {Object} lower and upper bounds between 0 and 1; 0 to 1 with no trials
+ */
+export const wilsonInterval = (successes, trials, z = Z) => {
+  if (trials === 0) {
+    return { lower: 0, upper: 1 };
+  }
+
+  const p = successes / trials;
+  const z2 = z * z;
+  const centre = (p + z2 / (2 * trials)) / (1 + z2 / trials);
+  const margin = z / (1 + z2 / trials) * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials));
+
+  return {
+    lower: Math.max(0, centre - margin),
+    upper: Math.min(1, centre + margin)
+  };
+};
+
+/**
+ * Confidence band for each option's share of the votes
+ * @param {Map<number, number>} counts - First-choice votes by option ID
+ * @param {number|Map<number, number>} total - Total votes, or each option's own total by option ID
+ * @returns {Map<number, Object>} lower and upper bounds in percent by option ID
+ */
+export const getConfidenceBands = (counts, total) => new Map(
+  [...counts].map(([optionId, count]) => {
+    const { lower, upper } = wilsonInterval(count, total instanceof Map ? total.get(optionId) ?? 0 : total);
+    return [optionId, { lower: lower * 100, upper: upper * 100 }];
+  })
+);
+
+/**
+ * Whether a leading option is statistically separated from the runner-up
+ * @param {number} leaderVotes - Votes for the leading option
+ * @param {number} runnerUpVotes - Votes for the second option
+ * @returns {Object} separated, and the leader's head-to-head share with its interval, in percent
+ */
+export const checkSeparation = (leaderVotes, runnerUpVotes) => {
+  const trials = leaderVotes + runnerUpVotes;
+  const { lower, upper } = wilsonInterval(leaderVotes, trials);
+
+  return {
+    separated: lower > 0.5,
+    share: trials > 0 ? leaderVotes / trials * 100 : 0,
+    lower: lower * 100,
+    upper: upper * 100
+  };
+};
@@ -1,7 +1,129 @@
 import dotenv from "dotenv";
+import { isConsensusStrategy } from "./strategies.js";
 dotenv.config();
 
 export const WORKER_JWT_SECRET = process.env.JWT_SECRET + "Worker";
 
 
-export const TOTAL_DECIMALS = 1000_000;
\ No newline at end of file
+export const TOTAL_DECIMALS = 1000_000;
+
+// Sign-In-With-Solana settings
+export const SIGNIN_DOMAIN = process.env.SIGNIN_DOMAIN || "previewer.app";
+export const SIGNIN_NONCE_TTL_MS = (parseInt(process.env.SIGNIN_NONCE_TTL_SECONDS) || 300) * 1000;
+
+// Admin access: ADMIN_WALLETS="<address>:<role>,<address>:<role>"
+export const ADMIN_ROLES = ["viewer", "operator", "finance"];
+export const ADMIN_JWT_AUDIENCE = "previewer-admin";
+export const ADMIN_JWT_EXPIRES_IN = process.env.ADMIN_JWT_EXPIRES_IN || "12h";
+export const ADMIN_WALLETS = new Map(
+    (process.env.ADMIN_WALLETS || "")
+        .split(",")
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [address, role = "viewer"] = entry.split(":").map(part => part.trim());
+            return [address, ADMIN_ROLES.includes(role) ? role : "viewer"];
+        })
+);
+
+// Payout hot wallet: base58 secret key or a JSON byte array as written by `solana-keygen`
+export const PAYOUT_WALLET_SECRET_KEY = process.env.PAYOUT_WALLET_SECRET_KEY || process.env.ADMIN_PRIVATE_KEY;
+export const PAYOUT_COMMITMENT = process.env.PAYOUT_COMMITMENT || "confirmed";
+export const PAYOUT_MAX_ATTEMPTS = parseInt(process.env.PAYOUT_MAX_ATTEMPTS) || 3;
+// Lamports kept in the payout wallet on top of each transfer to cover fees
+export const PAYOUT_FEE_RESERVE = parseInt(process.env.PAYOUT_FEE_RESERVE) || 10_000;
+// Submitted payouts with no blockhash to check are treated as expired after this long
+export const PAYOUT_SUBMIT_TIMEOUT_MS = (parseInt(process.env.PAYOUT_SUBMIT_TIMEOUT_SECONDS) || 600) * 1000;
+// Most withdrawals packed into one payout transaction; the packet size limit may allow fewer
+export const PAYOUT_BATCH_SIZE = parseInt(process.env.PAYOUT_BATCH_SIZE) || 20;
+
+// How long a payment quote can be paid for
+export const QUOTE_TTL_MS = (parseInt(process.env.QUOTE_TTL_SECONDS) || 900) * 1000;
+// Payments finalized longer ago than this are not accepted
+export const PAYMENT_MAX_AGE_MS = (parseInt(process.env.PAYMENT_MAX_AGE_SECONDS) || 3600) * 1000;
+
+// USDC mint accepted for payments and payouts (defaults to devnet USDC)
+export const USDC_MINT = process.env.USDC_MINT || "4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU";
+
+// SOL/USD price source: "pyth", "coingecko" or "fixture" (a fixed price for offline runs)
+export const PRICE_SOURCE = process.env.PRICE_SOURCE || "pyth";
+export const PRICE_FIXTURE_SOL_USD = parseFloat(process.env.PRICE_FIXTURE_SOL_USD) || 100;
+// How long a fetched price is reused before asking the source again
+export const PRICE_CACHE_TTL_MS = (parseInt(process.env.PRICE_CACHE_TTL_SECONDS) || 30) * 1000;
+// Prices published longer ago than this are never used
+export const PRICE_MAX_AGE_MS = (parseInt(process.env.PRICE_MAX_AGE_SECONDS) || 300) * 1000;
+
+// Shares in basis points. Values outside 0..10000 are reported at startup
+// and replaced by the default.
+const basisPoints = (name, fallback) => {
+    const value = parseInt(process.env[name] || fallback);
+    if (value >= 0 && value <= 10000) {
+        return value;
+    }
+    console.warn(`Invalid ${name} "${process.env[name]}", using ${fallback}`);
+    return fallback;
+};
+// Share of every task payment kept by the platform, in basis points
+export const PLATFORM_FEE_BPS = basisPoints("PLATFORM_FEE_BPS", 1000);
+// Share of a task's reward budget paid out as per-submission base rewards; the rest funds consensus bonuses
+export const BASE_REWARD_SHARE_BPS = basisPoints("BASE_REWARD_SHARE_BPS", 5000);
+// Where escrow left over after consensus goes: "platform" keeps it, "refund" returns it to the user
+export const ESCROW_LEFTOVER = process.env.ESCROW_LEFTOVER === "refund" ? "refund" : "platform";
+
+// How long a task collects reviews before it is finalized with the votes it has and its unused escrow refunded
+export const TASK_DEADLINE_MS = (parseInt(process.env.TASK_DEADLINE_HOURS) || 72) * 60 * 60 * 1000;
+
+// How long a credit deposit request can be paid for
+export const DEPOSIT_TTL_MS = (parseInt(process.env.DEPOSIT_TTL_SECONDS) || 3600) * 1000;
+
+// How long pricing tables are reused before they are read from the database again
+export const PRICING_CACHE_TTL_MS = (parseInt(process.env.PRICING_CACHE_TTL_SECONDS) || 60) * 1000;
+
+// Cluster that explorer links point at: "mainnet-beta", "devnet" or "testnet"
+export const SOLANA_NETWORK = process.env.SOLANA_NETWORK || "devnet";
+// Seller name printed on invoices
+export const INVOICE_ISSUER = process.env.INVOICE_ISSUER || "Previewer";
+
+// Consensus strategy of tasks that do not choose one, with per-service overrides:
+// SERVICE_CONSENSUS_STRATEGIES="<SERVICE>:<strategy>,<SERVICE>:<strategy>"
+// Unknown strategies are reported at startup; the default falls back to
+// plurality and bad overrides are skipped.
+const consensusStrategy = process.env.CONSENSUS_STRATEGY || "plurality";
+if (!isConsensusStrategy(consensusStrategy)) {
+    console.warn(`Unknown CONSENSUS_STRATEGY "${consensusStrategy}", using plurality`);
+}
+export const CONSENSUS_STRATEGY = isConsensusStrategy(consensusStrategy) ? consensusStrategy : "plurality";
+export const SERVICE_CONSENSUS_STRATEGIES = Object.fromEntries(
+    (process.env.SERVICE_CONSENSUS_STRATEGIES || "")
+        .split(",")
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => entry.split(":").map(part => part.trim()))
+        .filter(([serviceType, strategy]) => {
+            if (isConsensusStrategy(strategy)) {
+                return true;
+            }
+            console.warn(`Unknown consensus strategy "${strategy}" for ${serviceType} in SERVICE_CONSENSUS_STRATEGIES, using ${CONSENSUS_STRATEGY}`);
+            return false;
+        })
+);
+
+// Worker reputation evidence loses half its weight over this period
+export const REPUTATION_HALF_LIFE_MS = (parseFloat(process.env.REPUTATION_HALF_LIFE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Gold tasks: share of a worker's task turns that serve one, how much more a
+// gold check counts towards reputation than a consensus vote, and when failed
+// checks suspend a worker (at least GOLD_SUSPEND_MIN_CHECKS checks with a
+// failure rate of GOLD_SUSPEND_FAILURE_RATE or more)
+export const GOLD_TASK_RATE = parseFloat(process.env.GOLD_TASK_RATE ?? "0.05");
+export const GOLD_REPUTATION_WEIGHT = parseFloat(process.env.GOLD_REPUTATION_WEIGHT ?? "3");
+export const GOLD_SUSPEND_MIN_CHECKS = parseInt(process.env.GOLD_SUSPEND_MIN_CHECKS) || 5;
+export const GOLD_SUSPEND_FAILURE_RATE = parseFloat(process.env.GOLD_SUSPEND_FAILURE_RATE ?? "0.5");
+// Key for picking gold turns, so workers cannot predict them from the source
+export const GOLD_TASK_SECRET = process.env.GOLD_TASK_SECRET || WORKER_JWT_SECRET + "Gold";
+
+// Confidence level of the bands around vote shares and of the separation
+// check, and the fewest reviews a task that opted into early stopping needs
+// before it may finish on a separated winner
+export const CONFIDENCE_LEVEL = parseFloat(process.env.CONFIDENCE_LEVEL ?? "0.95");
+export const EARLY_STOP_MIN_REVIEWS = parseInt(process.env.EARLY_STOP_MIN_REVIEWS) || 30;
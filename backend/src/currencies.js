@@ -0,0 +1,81 @@
+// Payment and payout currencies. Amounts are always stored in base units
+// (lamports for SOL, 10^-6 USDC for USDC).
+export const CURRENCIES = ['SOL', 'USDC'];
+
+export const CURRENCY_DECIMALS = {
+  SOL: 9,
+  USDC: 6
+};
+
+// User credit balance column for each currency
+export const CREDIT_FIELDS = {
+  SOL: 'credit_amount',
+  USDC: 'credit_usdc'
+};
+
+// Pricing table columns for each currency
+export const PRICE_FIELDS = {
+  SOL: {
+    tier: 'price',
+    perReview: 'perReviewPrice'
+  },
+  USDC: {
+    tier: 'priceUsdc',
+    perReview: 'perReviewPriceUsdc'
+  }
+};
+
+// Worker balance columns for each currency
+export const BALANCE_FIELDS = {
+  SOL: {
+    pending: 'pending_amount',
+    locked: 'locked_amount',
+    totalEarned: 'total_earned'
+  },
+  USDC: {
+    pending: 'pending_usdc',
+    locked: 'locked_usdc',
+    totalEarned: 'total_earned_usdc'
+  }
+};
+
+/**
+ * JSON replacer that writes BigInt amounts as strings, so clients never round
+ * them through a float. Used for API responses and socket events.
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} The value, with BigInts as strings
+ */
+export const stringifyAmounts = (key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+/**
+ * Convert base units to a decimal amount for display
+ * @param {bigint|number} amount - Amount in base units
+ * @param {string} currency - SOL or USDC
+ * @returns {number} Decimal amount
+ */
+export const toDecimalAmount = (amount, currency) => Number(amount) / 10 ** CURRENCY_DECIMALS[currency];
+
+/**
+ * Format base units as an exact decimal string, e.g. for Solana Pay URLs
+ * @param {bigint|number} amount - Amount in base units
+ * @param {string} currency - SOL or USDC
+ * @returns {string} Decimal string without trailing zeros
+ */
+export const formatDecimalAmount = (amount, currency) => {
+  const value = BigInt(amount);
+  const scale = 10n ** BigInt(CURRENCY_DECIMALS[currency]);
+  const fraction = (value % scale)
+    .toString()
+    .padStart(CURRENCY_DECIMALS[currency], '0')
+    .replace(/0+$/, '');
+
+  return fraction ? `${value / scale}.${fraction}` : String(value / scale);
+};
+
+/**
+ * Parse an integer amount of base units from configuration
+ * @param {string|undefined} value - Raw value
+ * @returns {bigint} Amount, 0n if missing or malformed
+ */
+export const parseAmount = (value) => (/^\d+$/.test(value?.trim() ?? '') ? BigInt(value.trim()) : 0n);
@@ -64,7 +64,7 @@ class DatabaseService {
             total_workers: 0,
             active_workers: 0,
             total_tasks_completed: 0,
-            total_earnings_paid: 0
+            total_earnings_paid: 0n
           }
         });
         console.log('System stats initialized');
@@ -89,43 +89,69 @@ export { prismaClient };
 
 // Helper functions for common database operations
 
+// Task fields shown to workers. Gold tasks are served with the same fields,
+// so nothing here may tell them apart from paid tasks.
+const WORKER_TASK_SELECT = {
+  id: true,
+  amount: true,
+  currency: true,
+  rewardBudget: true,
+  pricing_table_id: true,
+  consensusStrategy: true,
+  pairwise: true,
+  deadline: true,
+  title: true,
+  serviceType: true,
+  reviewCount: true,
+  options: {
+    select: {
+      id: true,
+      image_url: true,
+      video_url: true,
+      ipfs_hash: true,
+      file_type: true
+    }
+  },
+  _count: {
+    select: {
+      submissions: true
+    }
+  }
+};
+
+/**
+ * Filter for tasks a worker can still submit to
+ * @param {number} workerId - Worker ID
+ * @returns {Object} Prisma where clause
+ */
+const availableTaskWhere = (workerId) => ({
+  done: false,
+  OR: [
+    { deadline: null },
+    { deadline: { gt: new Date() } }
+  ],
+  submissions: {
+    none: {
+      worker_id: workerId,
+    }
+  }
+});
+
 /**
  * Get the next available task for a worker
  * @param {number} userId - Worker ID
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.gold] - Look for a gold task instead of a paid one
  * @returns {Promise<Object|null>} Next task or null
  */
-export const getNextTask = async (userId) => {
+export const getNextTask = async (userId, { gold = false } = {}) => {
   try {
     const task = await prismaClient.task.findFirst({
       where: {
-        done: false,
-        submissions: {
-          none: {
-            worker_id: userId,
-          }
-        }
-      },
-      select: {
-        id: true,
-        amount: true,
-        title: true,
-        serviceType: true,
-        reviewCount: true,
-        options: {
-          select: {
-            id: true,
-            image_url: true,
-            video_url: true,
-            ipfs_hash: true,
-            file_type: true
-          }
-        },
-        _count: {
-          select: {
-            submissions: true
-          }
-        }
+        ...availableTaskWhere(userId),
+        gold
       },
+      select: WORKER_TASK_SELECT,
       orderBy: {
         createdAt: 'asc' // FIFO order
       }
@@ -138,6 +164,36 @@ export const getNextTask = async (userId) => {
   }
 };
 
+/**
+ * Get a task a worker can still submit to, with its gold answers
+ * @param {number} workerId - Worker ID
+ * @param {number} taskId - Task ID
+ * @returns {Promise<Object|null>} Task, or null if it is not available to the worker
+ */
+export const getAvailableTask = async (workerId, taskId) => {
+  try {
+    return await prismaClient.task.findFirst({
+      where: {
+        ...availableTaskWhere(workerId),
+        id: taskId
+      },
+      select: {
+        ...WORKER_TASK_SELECT,
+        gold: true,
+        options: {
+          select: {
+            ...WORKER_TASK_SELECT.options.select,
+            gold_correct: true
+          }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting available task:', error);
+    throw error;
+  }
+};
+
 /**
  * Get user's task history with pagination
  * @param {number} userId - User ID
@@ -242,6 +298,10 @@ export const getWorkerSubmissionHistory = async (workerId, options = {}) => {
     const [submissions, total] = await Promise.all([
       prismaClient.submission.findMany({
         where,
+        // Whether a task was gold stays hidden from workers
+        omit: {
+          gold_passed: true
+        },
         include: {
           task: {
             select: {
@@ -307,7 +367,7 @@ export const updateSystemStats = async () => {
         }
       }),
       prismaClient.task.count({
-        where: { done: true }
+        where: { done: true, gold: false }
       }),
       prismaClient.worker.aggregate({
         _sum: {
@@ -322,13 +382,13 @@ export const updateSystemStats = async () => {
         total_workers: totalWorkers,
         active_workers: activeWorkers,
         total_tasks_completed: totalTasksCompleted,
-        total_earnings_paid: totalEarningsPaid._sum.total_earned || 0
+        total_earnings_paid: totalEarningsPaid._sum.total_earned ?? 0n
       },
       create: {
         total_workers: totalWorkers,
         active_workers: activeWorkers,
         total_tasks_completed: totalTasksCompleted,
-        total_earnings_paid: totalEarningsPaid._sum.total_earned || 0
+        total_earnings_paid: totalEarningsPaid._sum.total_earned ?? 0n
       }
     });
 
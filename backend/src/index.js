@@ -5,10 +5,19 @@ import cron from "node-cron";
 import winston from "winston";
 import userRouter from "./routers/user.js";
 import workerRouter from "./routers/worker.js";
+import adminRouter from "./routers/admin.js";
 import databaseService, { updateSystemStats, cleanupExpiredSessions } from "./db.js";
 import websocketService from "./services/websocket.js";
 import consensusService from "./services/consensus.js";
 import ipfsService from "./services/ipfs.js";
+import authService from "./services/auth.js";
+import payoutService from "./services/payouts.js";
+import paymentService from "./services/payments.js";
+import ledgerService from "./services/ledger.js";
+import refundService from "./services/refunds.js";
+import promoService from "./services/promos.js";
+import goldService from "./services/gold.js";
+import { stringifyAmounts } from "./currencies.js";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -65,6 +74,9 @@ class PreviewerServer {
     this.app.use(express.json({ limit: '50mb' }));
     this.app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+    // Money columns are BigInt; responses carry them as strings
+    this.app.set('json replacer', stringifyAmounts);
+
     // Request logging middleware
     this.app.use((req, res, next) => {
       const start = Date.now();
@@ -102,7 +114,8 @@ class PreviewerServer {
         description: 'Content evaluation platform with Solana payments',
         endpoints: {
           users: '/v1/user',
-          workers: '/v1/worker'
+          workers: '/v1/worker',
+          admin: '/admin'
         },
         features: [
           'Multi-wallet support',
@@ -119,52 +132,7 @@ class PreviewerServer {
     // API routes
     this.app.use("/v1/user", userRouter);
     this.app.use("/v1/worker", workerRouter);
-
-    // Admin routes (for future admin panel)
-    this.app.get("/admin/stats", async (req, res) => {
-      try {
-        const stats = await updateSystemStats();
-        const connectionStats = websocketService.getConnectionStats();
-        
-        res.json({
-          success: true,
-          data: {
-            system: stats,
-            connections: connectionStats,
-            server: {
-              uptime: process.uptime(),
-              memory: process.memoryUsage(),
-              nodeVersion: process.version
-            }
-          }
-        });
-      } catch (error) {
-        logger.error('Admin stats error:', error);
-        res.status(500).json({
-          success: false,
-          error: 'Failed to fetch admin stats'
-        });
-      }
-    });
-
-    // Force consensus calculation (admin only)
-    this.app.post("/admin/force-consensus/:taskId", async (req, res) => {
-      try {
-        const { taskId } = req.params;
-        const result = await consensusService.processTaskCompletion(parseInt(taskId));
-        
-        res.json({
-          success: true,
-          data: result
-        });
-      } catch (error) {
-        logger.error('Force consensus error:', error);
-        res.status(500).json({
-          success: false,
-          error: 'Failed to process consensus'
-        });
-      }
-    });
+    this.app.use("/admin", adminRouter);
 
     // 404 handler
     this.app.use('*', (req, res) => {
@@ -218,11 +186,128 @@ class PreviewerServer {
         logger.info('Cleaning up expired sessions...');
         const cleaned = await cleanupExpiredSessions();
         logger.info(`Cleaned up ${cleaned} expired sessions`);
+
+        const noncesCleaned = await authService.cleanupNonces();
+        logger.info(`Cleaned up ${noncesCleaned} used or expired sign-in nonces`);
+
+        const promoUsesReleased = await promoService.releaseExpired();
+        logger.info(`Released ${promoUsesReleased} promo code uses held by unpaid quotes`);
       } catch (error) {
         logger.error('Session cleanup error:', error);
       }
     });
 
+    // Detect Solana Pay payments to open quotes every 10 seconds
+    cron.schedule('*/10 * * * * *', async () => {
+      try {
+        const recorded = await paymentService.watchQuotes();
+
+        if (recorded > 0) {
+          logger.info(`Detected ${recorded} quote payments`);
+        }
+
+        const credited = await paymentService.watchDeposits();
+
+        if (credited > 0) {
+          logger.info(`Credited ${credited} deposits`);
+        }
+      } catch (error) {
+        logger.error('Quote payment watcher error:', error);
+      }
+    });
+
+    // Submit queued withdrawals every 30 seconds
+    cron.schedule('*/30 * * * * *', async () => {
+      try {
+        const submitted = await payoutService.processQueue();
+
+        if (submitted > 0) {
+          logger.info(`Submitted ${submitted} queued withdrawals`);
+        }
+      } catch (error) {
+        logger.error('Withdrawal queue processing error:', error);
+      }
+    });
+
+    // Finalize tasks that missed their deadline every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        const expiredTasks = await consensusService.processExpiredTasks();
+
+        for (const task of expiredTasks) {
+          logger.info(`Task ${task.taskId} missed its deadline`, { refund: task.leftover });
+
+          websocketService.notifyTaskCompletion(task.taskId, {
+            ...task.consensus,
+            userId: task.userId,
+            expired: true
+          });
+
+          if (task.leftover.payoutId) {
+            websocketService.notifyUserRefund(task.userId, {
+              refundId: task.leftover.payoutId,
+              taskId: task.taskId,
+              amount: task.leftover.amount,
+              currency: task.leftover.currency,
+              status: 'Processing'
+            });
+          }
+        }
+
+        const closedGold = await goldService.closeExpired();
+        if (closedGold.length > 0) {
+          logger.info(`Closed ${closedGold.length} gold tasks that reached their deadline`);
+        }
+      } catch (error) {
+        logger.error('Expired task processing error:', error);
+      }
+    });
+
+    // Send refunds for expired tasks every 30 seconds
+    cron.schedule('*/30 * * * * *', async () => {
+      try {
+        const report = await refundService.processQueue();
+
+        if (report.sent + report.confirmed + report.failed + report.retried > 0) {
+          logger.info('Processed refunds', report);
+        }
+      } catch (error) {
+        logger.error('Refund processing error:', error);
+      }
+    });
+
+    // Check the ledger against the cached balances every hour
+    cron.schedule('30 * * * *', async () => {
+      try {
+        const report = await ledgerService.checkInvariants();
+
+        if (!report.healthy) {
+          logger.error('Ledger invariant check failed', {
+            unbalancedTransactions: report.unbalancedTransactions,
+            drift: report.drift,
+            escrowDrift: report.escrowDrift,
+            creditDrift: report.creditDrift
+          });
+        }
+      } catch (error) {
+        logger.error('Ledger invariant check error:', error);
+      }
+    });
+
+    // Reconcile submitted withdrawals against the chain every minute
+    cron.schedule('* * * * *', async () => {
+      try {
+        const report = await payoutService.reconcile();
+        const settled = report.confirmed + report.failed + report.requeued + report.expired;
+
+        if (settled > 0) {
+          logger.info('Reconciled withdrawals', report);
+        }
+      } catch (error) {
+        logger.error('Withdrawal reconciliation error:', error);
+      }
+    });
+
     // Health check for external services every 30 minutes
     cron.schedule('*/30 * * * *', async () => {
       try {
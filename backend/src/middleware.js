@@ -1,9 +1,10 @@
-
 import jwt from 'jsonwebtoken'
-import { WORKER_JWT_SECRET } from './config.js'
+import { WORKER_JWT_SECRET, ADMIN_JWT_AUDIENCE, ADMIN_ROLES, ADMIN_WALLETS } from './config.js'
+import sessionService from './services/session.js'
+import { prismaClient } from './db.js'
 // const JWT_SECRET = "YashisPowerFullLikeSCARY"
 
-export function authMiddleware(req, res, next) {
+export async function authMiddleware(req, res, next) {
     const authHeader = req.headers ["authorization"]
     const JWT_SECRET = process.env.JWT_SECRET
 
@@ -15,14 +16,23 @@ export function authMiddleware(req, res, next) {
     
     try {
          const decode = jwt.verify(authHeader, JWT_SECRET)
-         if (decode.userId) {
-            req.userId=decode.userId
-            return next()
-         } else {
-                    return res.status(403).json({
-                    message: "You are not logged in"
-        })
+         if (!decode.userId) {
+            return res.status(403).json({
+                message: "You are not logged in"
+            })
          }
+
+         // The token must still belong to a live, unrevoked session
+         const session = await sessionService.findActiveSession('user', authHeader, decode.userId)
+         if (!session) {
+            return res.status(403).json({
+                message: "Your session has expired or was revoked"
+            })
+         }
+
+         req.userId = decode.userId
+         req.sessionId = session.id
+         return next()
     } catch (error) {
         return res.status(403).json({
             message: "You are not logged in"
@@ -34,12 +44,8 @@ export function authMiddleware(req, res, next) {
 
 
 
-export function workerMiddleware(req, res, next) {
-    
-
+export async function workerMiddleware(req, res, next) {
     const authHeader = req.headers ["authorization"]
-    console.log("authHeader", authHeader);
-
 
     if (!authHeader) {
         return res.status(403).json({
@@ -49,19 +55,93 @@ export function workerMiddleware(req, res, next) {
     
     try {
          const decode = jwt.verify(authHeader, WORKER_JWT_SECRET)
-         if (decode.workerId) {
-            req.workerId=decode.workerId
-            return next()
-         } else {
-                    return res.status(403).json({
-                    message: "You are not logged in"
-        })
+         if (!decode.workerId) {
+            return res.status(403).json({
+                message: "You are not logged in"
+            })
          }
+
+         // The token must still belong to a live, unrevoked session
+         const session = await sessionService.findActiveSession('worker', authHeader, decode.workerId)
+         if (!session) {
+            return res.status(403).json({
+                message: "Your session has expired or was revoked"
+            })
+         }
+
+         req.workerId = decode.workerId
+         req.sessionId = session.id
+         return next()
     } catch (error) {
         return res.status(403).json({
             message: "You are not logged in"
         })
     }
+}
 
+// Runs after workerMiddleware on routes that hand out or accept work
+export async function activeWorkerMiddleware(req, res, next) {
+    try {
+         const worker = await prismaClient.worker.findUnique({
+            where: { id: req.workerId },
+            select: { suspendedAt: true }
+         })
+
+         if (worker?.suspendedAt) {
+            return res.status(403).json({
+                success: false,
+                error: "Your account is suspended after failing quality checks"
+            })
+         }
 
-}
\ No newline at end of file
+         return next()
+    } catch (error) {
+        return next(error)
+    }
+}
+
+
+
+
+
+export function hasAdminRole(role, requiredRole) {
+    return ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(requiredRole)
+}
+
+export function adminMiddleware(requiredRole = "viewer") {
+    return (req, res, next) => {
+        const authHeader = req.headers ["authorization"]
+
+        if (!authHeader) {
+            return res.status(403).json({
+                message: "You are not logged in"
+            })
+        }
+
+        try {
+             const decode = jwt.verify(authHeader, process.env.JWT_SECRET, { audience: ADMIN_JWT_AUDIENCE })
+
+             // Roles come from the allowlist, so removing a wallet revokes access immediately
+             const role = ADMIN_WALLETS.get(decode.adminWallet)
+             if (!role) {
+                return res.status(403).json({
+                    message: "You are not an admin"
+                })
+             }
+
+             if (!hasAdminRole(role, requiredRole)) {
+                return res.status(403).json({
+                    message: `This action requires the ${requiredRole} role`
+                })
+             }
+
+             req.adminWallet = decode.adminWallet
+             req.adminRole = role
+             return next()
+        } catch (error) {
+            return res.status(403).json({
+                message: "You are not logged in"
+            })
+        }
+    }
+}
@@ -0,0 +1,578 @@
+import jwt from "jsonwebtoken";
+import { Router } from "express";
+import { prismaClient, updateSystemStats, cleanupExpiredSessions } from "../db.js";
+import { adminMiddleware, hasAdminRole } from "../middleware.js";
+import {
+  signinNonceInput,
+  adminSigninInput,
+  adminOperationInput,
+  createPricingTableInput,
+  updatePricingTableInput,
+  createPromoCodeInput,
+  updatePromoCodeInput,
+  createGoldTaskInput,
+  validateRequest
+} from "../types.js";
+import authService from "../services/auth.js";
+import consensusService from "../services/consensus.js";
+import ledgerService from "../services/ledger.js";
+import pricingService from "../services/pricing.js";
+import promoService from "../services/promos.js";
+import goldService from "../services/gold.js";
+import websocketService from "../services/websocket.js";
+import { ADMIN_WALLETS, ADMIN_JWT_AUDIENCE, ADMIN_JWT_EXPIRES_IN } from "../config.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const router = Router();
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Minimum role required for each admin operation
+const OPERATION_ROLES = {
+  force_complete_task: 'operator',
+  recalculate_consensus: 'operator',
+  update_worker_stats: 'operator',
+  system_maintenance: 'operator',
+  check_ledger: 'viewer'
+};
+
+const MAINTENANCE_TASKS = ['cleanup_sessions', 'cleanup_nonces', 'update_system_stats'];
+
+const requestError = (status, message) => Object.assign(new Error(message), { status });
+
+const requireTarget = (targetId) => {
+  if (!targetId) {
+    throw requestError(400, 'targetId is required for this operation');
+  }
+  return targetId;
+};
+
+const forceCompleteTask = async (taskId) => {
+  const task = await prismaClient.task.findUnique({ where: { id: taskId } });
+
+  if (!task) {
+    throw requestError(404, 'Task not found');
+  }
+
+  if (task.done) {
+    throw requestError(409, 'Task is already completed');
+  }
+
+  if (task.gold) {
+    throw requestError(409, 'Gold tasks have no consensus; close them instead');
+  }
+
+  const result = await consensusService.processTaskCompletion(taskId, { force: true });
+  websocketService.notifyTaskCompletion(taskId, { ...result.consensus, userId: task.user_id });
+
+  return result;
+};
+
+const updateWorkerStats = async (workerId) => {
+  if (workerId) {
+    return [await consensusService.refreshWorkerStats(workerId)];
+  }
+
+  const workers = await prismaClient.worker.findMany({ select: { id: true } });
+  const updated = [];
+  for (const worker of workers) {
+    updated.push(await consensusService.refreshWorkerStats(worker.id));
+  }
+  return updated;
+};
+
+const runMaintenance = async (tasks) => {
+  if (!Array.isArray(tasks)) {
+    throw requestError(400, 'parameters.tasks must be an array');
+  }
+
+  const unknown = tasks.filter(task => !MAINTENANCE_TASKS.includes(task));
+  if (unknown.length > 0) {
+    throw requestError(400, `Unknown maintenance tasks: ${unknown.join(', ')}`);
+  }
+
+  const report = {};
+  if (tasks.includes('cleanup_sessions')) {
+    report.sessionsRemoved = await cleanupExpiredSessions();
+  }
+  if (tasks.includes('cleanup_nonces')) {
+    report.noncesRemoved = await authService.cleanupNonces();
+  }
+  if (tasks.includes('update_system_stats')) {
+    report.systemStats = await updateSystemStats();
+    websocketService.broadcastSystemStats(report.systemStats);
+  }
+  return report;
+};
+
+/**
+ * Issue a sign-in challenge for an allowlisted admin wallet
+ */
+router.post("/nonce", validateRequest(signinNonceInput), async (req, res) => {
+  try {
+    const { walletAddress } = req.validatedData;
+
+    if (!ADMIN_WALLETS.has(walletAddress)) {
+      return res.status(403).json({
+        success: false,
+        error: "Wallet is not an admin"
+      });
+    }
+
+    const challenge = await authService.createChallenge(walletAddress, 'ADMIN');
+
+    res.json({
+      success: true,
+      data: challenge
+    });
+  } catch (error) {
+    console.error('Admin nonce error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create sign-in challenge"
+    });
+  }
+});
+
+/**
+ * Admin authentication with wallet signature
+ */
+router.post("/signin", validateRequest(adminSigninInput), async (req, res) => {
+  try {
+    const { walletAddress, signature, message } = req.validatedData;
+
+    const role = ADMIN_WALLETS.get(walletAddress);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        error: "Wallet is not an admin"
+      });
+    }
+
+    const verification = await authService.verifySignIn({
+      walletAddress,
+      message,
+      signature,
+      audience: 'ADMIN'
+    });
+
+    if (!verification.valid) {
+      return res.status(401).json({
+        success: false,
+        error: verification.error
+      });
+    }
+
+    const token = jwt.sign({ adminWallet: walletAddress }, JWT_SECRET, {
+      audience: ADMIN_JWT_AUDIENCE,
+      expiresIn: ADMIN_JWT_EXPIRES_IN
+    });
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        admin: {
+          address: walletAddress,
+          role
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Admin signin error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Authentication failed"
+    });
+  }
+});
+
+/**
+ * Get platform statistics
+ */
+router.get("/stats", adminMiddleware('viewer'), async (req, res) => {
+  try {
+    const stats = await updateSystemStats();
+    const connectionStats = websocketService.getConnectionStats();
+    const ledger = await ledgerService.getPlatformSummary();
+    const promos = await promoService.getUsageReport();
+
+    res.json({
+      success: true,
+      data: {
+        system: stats,
+        ledger,
+        promos,
+        connections: connectionStats,
+        server: {
+          uptime: process.uptime(),
+          memory: process.memoryUsage(),
+          nodeVersion: process.version
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch admin stats'
+    });
+  }
+});
+
+/**
+ * List pricing tables, newest first, with how many quotes and tasks used each
+ */
+router.get("/pricing", adminMiddleware('viewer'), async (req, res) => {
+  try {
+    const tables = await prismaClient.pricingTable.findMany({
+      include: {
+        tiers: {
+          orderBy: { reviewCount: 'asc' }
+        },
+        _count: {
+          select: {
+            quotes: true,
+            tasks: {
+              where: { gold: false }
+            }
+          }
+        }
+      },
+      orderBy: [{ validFrom: 'desc' }, { id: 'desc' }]
+    });
+
+    // Tables are sorted newest first, so the first one in force per service is the active one
+    const now = new Date();
+    const seen = new Set();
+    const statusOf = (table) => {
+      if (table.validFrom > now) {
+        return 'scheduled';
+      }
+      if (seen.has(table.serviceType)) {
+        return 'superseded';
+      }
+      seen.add(table.serviceType);
+      return 'active';
+    };
+
+    res.json({
+      success: true,
+      data: {
+        tables: tables.map(table => ({
+          ...table,
+          status: statusOf(table)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List pricing tables error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pricing tables'
+    });
+  }
+});
+
+/**
+ * Create a pricing table
+ */
+router.post("/pricing", adminMiddleware('finance'), validateRequest(createPricingTableInput), async (req, res) => {
+  try {
+    console.log(`Admin ${req.adminWallet} creating a ${req.validatedData.serviceType} pricing table`);
+    const table = await pricingService.createTable(req.validatedData);
+
+    res.status(201).json({
+      success: true,
+      data: table
+    });
+  } catch (error) {
+    console.error('Create pricing table error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to create pricing table'
+    });
+  }
+});
+
+/**
+ * Change a pricing table that is not in force yet
+ */
+router.patch("/pricing/:id", adminMiddleware('finance'), validateRequest(updatePricingTableInput), async (req, res) => {
+  try {
+    console.log(`Admin ${req.adminWallet} updating pricing table ${req.params.id}`);
+    const table = await pricingService.updateTable(parseInt(req.params.id), req.validatedData);
+
+    res.json({
+      success: true,
+      data: table
+    });
+  } catch (error) {
+    console.error('Update pricing table error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to update pricing table'
+    });
+  }
+});
+
+/**
+ * Delete a pricing table that is not in force yet
+ */
+router.delete("/pricing/:id", adminMiddleware('finance'), async (req, res) => {
+  try {
+    console.log(`Admin ${req.adminWallet} deleting pricing table ${req.params.id}`);
+    await pricingService.deleteTable(parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      data: { id: parseInt(req.params.id) }
+    });
+  } catch (error) {
+    console.error('Delete pricing table error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to delete pricing table'
+    });
+  }
+});
+
+/**
+ * List promo codes with their usage
+ */
+router.get("/promos", adminMiddleware('viewer'), async (req, res) => {
+  try {
+    const promos = await promoService.getUsageReport();
+
+    res.json({
+      success: true,
+      data: promos
+    });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promo codes'
+    });
+  }
+});
+
+/**
+ * Create a promo code
+ */
+router.post("/promos", adminMiddleware('finance'), validateRequest(createPromoCodeInput), async (req, res) => {
+  try {
+    console.log(`Admin ${req.adminWallet} creating promo code ${req.validatedData.code}`);
+    const promo = await promoService.createPromo(req.validatedData);
+
+    res.status(201).json({
+      success: true,
+      data: promo
+    });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to create promo code'
+    });
+  }
+});
+
+/**
+ * Change a promo code's limits, expiry or services, or deactivate it
+ */
+router.patch("/promos/:id", adminMiddleware('finance'), validateRequest(updatePromoCodeInput), async (req, res) => {
+  try {
+    console.log(`Admin ${req.adminWallet} updating promo code ${req.params.id}`);
+    const promo = await promoService.updatePromo(parseInt(req.params.id), req.validatedData);
+
+    res.json({
+      success: true,
+      data: promo
+    });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to update promo code'
+    });
+  }
+});
+
+/**
+ * List gold tasks with their answers and check outcomes
+ */
+router.get("/gold", adminMiddleware('viewer'), async (req, res) => {
+  try {
+    const tasks = await goldService.listGoldTasks();
+
+    res.json({
+      success: true,
+      data: tasks
+    });
+  } catch (error) {
+    console.error('Get gold tasks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch gold tasks'
+    });
+  }
+});
+
+/**
+ * Create a gold task; its base rewards are funded by the platform
+ */
+router.post("/gold", adminMiddleware('finance'), validateRequest(createGoldTaskInput), async (req, res) => {
+  try {
+    console.log(`Admin ${req.adminWallet} creating a ${req.validatedData.serviceType} gold task`);
+    const task = await goldService.createGoldTask(req.validatedData);
+
+    res.status(201).json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    console.error('Create gold task error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to create gold task'
+    });
+  }
+});
+
+/**
+ * Stop serving a gold task and return its unspent escrow to the platform
+ */
+router.post("/gold/:id/close", adminMiddleware('operator'), async (req, res) => {
+  try {
+    console.log(`Admin ${req.adminWallet} closing gold task ${req.params.id}`);
+    const result = await goldService.closeTask(parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Close gold task error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to close gold task'
+    });
+  }
+});
+
+/**
+ * List workers suspended for failing gold checks
+ */
+router.get("/workers/suspended", adminMiddleware('viewer'), async (req, res) => {
+  try {
+    const workers = await goldService.listSuspendedWorkers();
+
+    res.json({
+      success: true,
+      data: workers
+    });
+  } catch (error) {
+    console.error('Get suspended workers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch suspended workers'
+    });
+  }
+});
+
+/**
+ * Lift a worker's suspension
+ */
+router.post("/workers/:id/reinstate", adminMiddleware('operator'), async (req, res) => {
+  try {
+    console.log(`Admin ${req.adminWallet} reinstating worker ${req.params.id}`);
+    const worker = await goldService.reinstateWorker(parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      data: worker
+    });
+  } catch (error) {
+    console.error('Reinstate worker error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to reinstate worker'
+    });
+  }
+});
+
+/**
+ * Force consensus calculation for a task
+ */
+router.post("/force-consensus/:taskId", adminMiddleware('operator'), async (req, res) => {
+  try {
+    const result = await forceCompleteTask(requireTarget(parseInt(req.params.taskId)));
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Force consensus error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to process consensus'
+    });
+  }
+});
+
+/**
+ * Run an admin operation
+ */
+router.post("/operations", adminMiddleware('viewer'), validateRequest(adminOperationInput), async (req, res) => {
+  try {
+    const { operation, targetId, parameters = {} } = req.validatedData;
+    const requiredRole = OPERATION_ROLES[operation];
+
+    if (!hasAdminRole(req.adminRole, requiredRole)) {
+      return res.status(403).json({
+        success: false,
+        error: `This operation requires the ${requiredRole} role`
+      });
+    }
+
+    console.log(`Admin ${req.adminWallet} running ${operation}`, { targetId, parameters });
+
+    let result;
+    switch (operation) {
+      case 'force_complete_task':
+        result = await forceCompleteTask(requireTarget(targetId));
+        break;
+      case 'recalculate_consensus':
+        result = await consensusService.recalculateResults(requireTarget(targetId));
+        break;
+      case 'update_worker_stats':
+        result = await updateWorkerStats(targetId);
+        break;
+      case 'system_maintenance':
+        result = await runMaintenance(parameters.tasks || MAINTENANCE_TASKS);
+        break;
+      case 'check_ledger':
+        result = await ledgerService.checkInvariants();
+        break;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        operation,
+        result
+      }
+    });
+  } catch (error) {
+    console.error('Admin operation error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Admin operation failed'
+    });
+  }
+});
+
+export default router;
@@ -4,20 +4,44 @@ import { prismaClient, getUserTaskHistory } from "../db.js";
 import { authMiddleware } from "../middleware.js";
 import { 
   createTaskInput, 
+  signinNonceInput,
   userSigninInput, 
   fileUploadInput,
   paymentVerificationInput,
+  createQuoteInput,
+  invoiceListInput,
+  invoiceFormatInput,
   taskQueryInput,
   userTaskHistoryInput,
+  createDepositInput,
+  depositVerificationInput,
+  creditHistoryInput,
+  ServiceTypeEnum,
   validateRequest,
   validateQuery
 } from "../types.js";
 import solanaService from "../services/solana.js";
+import paymentService, { PAYMENT_ERRORS } from "../services/payments.js";
+import escrowService from "../services/escrow.js";
+import creditService from "../services/credits.js";
+import { InsufficientBalanceError } from "../services/ledger.js";
+import priceService from "../services/price.js";
+import pricingService from "../services/pricing.js";
+import promoService from "../services/promos.js";
+import invoiceService from "../services/invoices.js";
+import authService from "../services/auth.js";
+import sessionService from "../services/session.js";
 import ipfsService from "../services/ipfs.js";
 import consensusService from "../services/consensus.js";
+import { PAIRWISE_STRATEGY } from "../services/pairwise.js";
 import cloudinary from "cloudinary";
 import multer from "multer";
 import { v4 as uuidv4 } from "uuid";
+import { Keypair } from "@solana/web3.js";
+import { QUOTE_TTL_MS, TASK_DEADLINE_MS, CONFIDENCE_LEVEL, EARLY_STOP_MIN_REVIEWS } from "../config.js";
+import { CURRENCIES, CURRENCY_DECIMALS, toDecimalAmount } from "../currencies.js";
+import { CONSENSUS_STRATEGIES, isConsensusStrategy } from "../strategies.js";
+import { splitPayment } from "../budget.js";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -49,6 +73,72 @@ const upload = multer({
   }
 });
 
+const formatQuote = (quote) => ({
+  quoteId: quote.id,
+  serviceType: quote.serviceType,
+  reviewCount: quote.reviewCount,
+  amount: quote.amount,
+  currency: quote.currency,
+  decimals: CURRENCY_DECIMALS[quote.currency],
+  amountDecimal: toDecimalAmount(quote.amount, quote.currency),
+  amountSOL: quote.currency === 'SOL' ? toDecimalAmount(quote.amount, 'SOL') : null,
+  amountUSD: quote.usdAmount,
+  solUsdRate: quote.solUsdRate,
+  listAmount: quote.amount + quote.discount,
+  discount: quote.discount,
+  discountDecimal: toDecimalAmount(quote.discount, quote.currency),
+  promoCode: quote.promoCode?.code ?? null,
+  recipient: solanaService.adminWallet.toBase58(),
+  // Token quotes are paid into the admin wallet's associated token account
+  ...(quote.currency === 'USDC' && {
+    mint: solanaService.usdcMint.toBase58(),
+    recipientTokenAccount: solanaService.adminUsdcAccount.toBase58()
+  }),
+  reference: quote.reference,
+  paymentUrl: solanaService.buildPaymentUrl({
+    amount: quote.amount,
+    currency: quote.currency,
+    reference: quote.reference,
+    label: 'Previewer',
+    message: `${quote.reviewCount} ${quote.serviceType.replace('_', ' ').toLowerCase()} reviews`
+  }),
+  expiresAt: quote.expiresAt,
+  used: Boolean(quote.usedAt),
+  payment: quote.payment ? {
+    signature: quote.payment.signature,
+    status: quote.payment.status
+  } : null
+});
+
+/**
+ * Issue a sign-in challenge for the wallet to sign
+ */
+router.post("/nonce", validateRequest(signinNonceInput), async (req, res) => {
+  try {
+    const { walletAddress } = req.validatedData;
+
+    if (!solanaService.isValidWalletAddress(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid wallet address format"
+      });
+    }
+
+    const challenge = await authService.createChallenge(walletAddress, 'USER');
+
+    res.json({
+      success: true,
+      data: challenge
+    });
+  } catch (error) {
+    console.error('User nonce error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create sign-in challenge"
+    });
+  }
+});
+
 /**
  * User authentication with wallet signature
  */
@@ -64,6 +154,21 @@ router.post("/signin", validateRequest(userSigninInput), async (req, res) => {
       });
     }
 
+    // Verify the signed challenge
+    const verification = await authService.verifySignIn({
+      walletAddress,
+      message,
+      signature,
+      audience: 'USER'
+    });
+
+    if (!verification.valid) {
+      return res.status(401).json({
+        success: false,
+        error: verification.error
+      });
+    }
+
     // Find or create user
     let user = await prismaClient.user.findFirst({
       where: { address: walletAddress }
@@ -76,17 +181,11 @@ router.post("/signin", validateRequest(userSigninInput), async (req, res) => {
     }
 
     // Create session token
-    const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '7d' });
+    const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '7d', jwtid: uuidv4() });
     const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
 
     // Store session in database
-    await prismaClient.userSession.create({
-      data: {
-        userId: user.id,
-        token,
-        expiresAt
-      }
-    });
+    await sessionService.createSession('user', user.id, token, expiresAt, req);
 
     res.json({
       success: true,
@@ -108,6 +207,137 @@ router.post("/signin", validateRequest(userSigninInput), async (req, res) => {
   }
 });
 
+/**
+ * Sign out the current session
+ */
+router.post("/logout", authMiddleware, async (req, res) => {
+  try {
+    await sessionService.revokeSession('user', req.userId, req.sessionId);
+
+    res.json({
+      success: true,
+      message: "Signed out"
+    });
+  } catch (error) {
+    console.error('User logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to sign out"
+    });
+  }
+});
+
+/**
+ * List active sessions
+ */
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions('user', req.userId, req.sessionId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions
+      }
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch sessions"
+    });
+  }
+});
+
+/**
+ * Revoke all other sessions
+ */
+router.delete("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions('user', req.userId, req.sessionId);
+
+    res.json({
+      success: true,
+      data: {
+        revoked
+      }
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke sessions"
+    });
+  }
+});
+
+/**
+ * Revoke a single session
+ */
+router.delete("/sessions/:id", authMiddleware, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid session ID"
+      });
+    }
+
+    const revoked = await sessionService.revokeSession('user', req.userId, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        revoked: sessionId
+      }
+    });
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke session"
+    });
+  }
+});
+const formatDeposit = (deposit) => ({
+  depositId: deposit.id,
+  amount: deposit.amount,
+  currency: deposit.currency,
+  decimals: CURRENCY_DECIMALS[deposit.currency],
+  amountDecimal: toDecimalAmount(deposit.amount, deposit.currency),
+  recipient: solanaService.adminWallet.toBase58(),
+  ...(deposit.currency === 'USDC' && {
+    mint: solanaService.usdcMint.toBase58(),
+    recipientTokenAccount: solanaService.adminUsdcAccount.toBase58()
+  }),
+  reference: deposit.reference,
+  paymentUrl: solanaService.buildPaymentUrl({
+    amount: deposit.amount,
+    currency: deposit.currency,
+    reference: deposit.reference,
+    label: 'Previewer',
+    message: 'Credit top-up'
+  }),
+  status: deposit.status,
+  createdAt: deposit.createdAt,
+  expiresAt: deposit.expiresAt,
+  creditedAt: deposit.creditedAt,
+  payment: deposit.payment ? {
+    signature: deposit.payment.signature,
+    amount: deposit.payment.amount
+  } : null
+});
+
+
 /**
  * Get user profile and statistics
  */
@@ -123,6 +353,8 @@ router.get("/profile", authMiddleware, async (req, res) => {
             id: true,
             serviceType: true,
             amount: true,
+            currency: true,
+            solUsdRate: true,
             done: true,
             createdAt: true,
             completedAt: true,
@@ -136,6 +368,7 @@ router.get("/profile", authMiddleware, async (req, res) => {
         payouts: {
           select: {
             amount: true,
+            currency: true,
             status: true,
             createdAt: true
           }
@@ -151,7 +384,22 @@ router.get("/profile", authMiddleware, async (req, res) => {
     }
 
     // Calculate user statistics
-    const totalSpent = user.tasks.reduce((sum, task) => sum + task.amount, 0);
+    const totalSpent = user.tasks
+      .filter(task => task.currency === 'SOL')
+      .reduce((sum, task) => sum + task.amount, 0n);
+
+    // Value each task at the rate it was paid at; tasks from before rates were recorded use today's
+    let currentRate;
+    let totalSpentUSD = 0;
+    for (const task of user.tasks) {
+      const rate = task.currency === 'SOL'
+        ? task.solUsdRate ?? (currentRate ??= await solanaService.getSolPrice())
+        : undefined;
+      totalSpentUSD += await solanaService.amountToUsd(task.amount, task.currency, rate);
+    }
+    const totalRefunded = user.payouts
+      .filter(payout => payout.status === 'Success' && payout.currency === 'SOL')
+      .reduce((sum, payout) => sum + payout.amount, 0n);
     const completedTasks = user.tasks.filter(task => task.done).length;
     const pendingTasks = user.tasks.filter(task => !task.done).length;
 
@@ -169,15 +417,311 @@ router.get("/profile", authMiddleware, async (req, res) => {
           completedTasks,
           pendingTasks,
           totalSpent,
-          totalSpentUSD: await solanaService.lamportsToUsd(totalSpent)
+          totalSpentUSD,
+          totalRefunded
         }
       }
     });
   } catch (error) {
     console.error('Get profile error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to fetch profile"
+    });
+  }
+});
+
+/**
+ * Create a payment quote for a service plan
+ */
+router.post("/quotes", authMiddleware, validateRequest(createQuoteInput), async (req, res) => {
+  try {
+    const { serviceType, reviewCount, currency, promoCode } = req.validatedData;
+
+    const { amount, table } = await pricingService.quote(serviceType, reviewCount, currency);
+    if (!amount) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid service type and review count combination"
+      });
+    }
+
+    const solUsdRate = await solanaService.getSolPrice();
+
+    // The promo use is taken with the quote, so a failed quote does not spend it
+    const quote = await prismaClient.$transaction(async (tx) => {
+      const { promo, discount } = promoCode
+        ? await promoService.redeem(tx, {
+            code: promoCode,
+            userId: req.userId,
+            serviceType,
+            amount,
+            currency,
+            solPrice: solUsdRate
+          })
+        : { promo: null, discount: 0n };
+
+      return tx.quote.create({
+        data: {
+          user_id: req.userId,
+          serviceType,
+          reviewCount,
+          amount: amount - discount,
+          discount,
+          promo_code_id: promo?.id ?? null,
+          currency,
+          usdAmount: await solanaService.amountToUsd(amount - discount, currency, solUsdRate),
+          solUsdRate,
+          reference: Keypair.generate().publicKey.toBase58(),
+          pricing_table_id: table.id,
+          expiresAt: new Date(Date.now() + QUOTE_TTL_MS)
+        },
+        include: {
+          promoCode: true
+        }
+      });
+    });
+
+    res.json({
+      success: true,
+      data: formatQuote(quote)
+    });
+  } catch (error) {
+    console.error('Create quote error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to create quote"
+    });
+  }
+});
+
+/**
+ * Get a payment quote
+ */
+router.get("/quotes/:id", authMiddleware, async (req, res) => {
+  try {
+    const quote = await prismaClient.quote.findFirst({
+      where: {
+        id: req.params.id,
+        user_id: req.userId
+      },
+      include: {
+        payment: true,
+        promoCode: true
+      }
+    });
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        error: "Quote not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatQuote(quote)
+    });
+  } catch (error) {
+    console.error('Get quote error:', error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch profile"
+      error: "Failed to fetch quote"
+    });
+  }
+});
+
+/**
+ * Get the user's credit balances and open deposits
+ */
+router.get("/credits", authMiddleware, async (req, res) => {
+  try {
+    const [balances, deposits] = await Promise.all([
+      creditService.getBalances(req.userId),
+      prismaClient.deposit.findMany({
+        where: {
+          user_id: req.userId,
+          status: 'Pending'
+        },
+        include: {
+          payment: true
+        },
+        orderBy: { createdAt: 'desc' }
+      })
+    ]);
+
+    const solUsdRate = await solanaService.getSolPrice();
+    const credits = {};
+    for (const currency of CURRENCIES) {
+      const { balance, reserved, available } = balances[currency];
+      credits[currency] = {
+        balance,
+        reserved,
+        available,
+        decimals: CURRENCY_DECIMALS[currency],
+        availableDecimal: toDecimalAmount(available, currency),
+        availableUSD: await solanaService.amountToUsd(available, currency, solUsdRate)
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        credits,
+        deposits: deposits.map(formatDeposit)
+      }
+    });
+  } catch (error) {
+    console.error('Get credits error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to fetch credits"
+    });
+  }
+});
+
+/**
+ * Get the user's credit transaction history
+ */
+router.get("/credits/transactions", authMiddleware, validateQuery(creditHistoryInput), async (req, res) => {
+  try {
+    const { entries, pagination } = await creditService.getTransactions(req.userId, req.validatedQuery);
+
+    res.json({
+      success: true,
+      data: {
+        transactions: entries.map(entry => ({
+          id: entry.id,
+          kind: entry.kind,
+          amount: entry.amount,
+          currency: entry.currency,
+          amountDecimal: toDecimalAmount(entry.amount, entry.currency),
+          taskId: entry.taskId,
+          paymentId: entry.paymentId,
+          memo: entry.memo,
+          createdAt: entry.createdAt
+        })),
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get credit transactions error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch credit transactions"
+    });
+  }
+});
+
+/**
+ * Open a deposit request to top up credits
+ */
+router.post("/credits/deposits", authMiddleware, validateRequest(createDepositInput), async (req, res) => {
+  try {
+    const { amount, currency } = req.validatedData;
+    const deposit = await creditService.createDeposit(req.userId, amount, currency);
+
+    res.json({
+      success: true,
+      data: formatDeposit(deposit)
+    });
+  } catch (error) {
+    console.error('Create deposit error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create deposit"
+    });
+  }
+});
+
+/**
+ * Get a deposit request
+ */
+router.get("/credits/deposits/:id", authMiddleware, async (req, res) => {
+  try {
+    const deposit = await prismaClient.deposit.findFirst({
+      where: {
+        id: req.params.id,
+        user_id: req.userId
+      },
+      include: {
+        payment: true
+      }
+    });
+
+    if (!deposit) {
+      return res.status(404).json({
+        success: false,
+        error: "Deposit not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatDeposit(deposit)
+    });
+  } catch (error) {
+    console.error('Get deposit error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch deposit"
+    });
+  }
+});
+
+/**
+ * Verify the transaction paying a deposit and credit it
+ */
+router.post("/credits/deposits/:id/verify", authMiddleware, validateRequest(depositVerificationInput), async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const deposit = await prismaClient.deposit.findFirst({
+      where: {
+        id: req.params.id,
+        user_id: userId
+      }
+    });
+
+    if (!deposit) {
+      return res.status(404).json({
+        success: false,
+        error: "Deposit not found"
+      });
+    }
+
+    const user = await prismaClient.user.findUnique({ where: { id: userId } });
+    const result = await paymentService.recordDeposit({
+      signature: req.validatedData.signature,
+      userId,
+      payer: user.address,
+      deposit
+    });
+
+    if (!result.valid) {
+      const invalid = result.code === PAYMENT_ERRORS.INVALID;
+      return res.status(invalid ? 400 : 409).json({
+        success: false,
+        error: invalid ? "Payment verification failed" : result.error,
+        code: result.code,
+        details: result.error
+      });
+    }
+
+    const credited = await prismaClient.deposit.findUnique({
+      where: { id: deposit.id },
+      include: { payment: true }
+    });
+
+    res.json({
+      success: true,
+      data: formatDeposit(credited)
+    });
+  } catch (error) {
+    console.error('Verify deposit error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to verify deposit"
     });
   }
 });
@@ -188,7 +732,10 @@ router.get("/profile", authMiddleware, async (req, res) => {
 router.post("/upload", authMiddleware, upload.array('files', 5), async (req, res) => {
   try {
     const userId = req.userId;
-    const { serviceType, reviewCount, signature } = req.body;
+    const { quoteId, signature, payWith, consensusStrategy } = req.body;
+    // Multipart fields arrive as strings
+    const earlyStop = req.body.earlyStop === true || req.body.earlyStop === 'true';
+    const pairwise = req.body.pairwise === true || req.body.pairwise === 'true';
 
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -197,23 +744,98 @@ router.post("/upload", authMiddleware, upload.array('files', 5), async (req, res
       });
     }
 
-    // Validate service type and review count combination
-    const expectedAmount = solanaService.getServicePrice(serviceType, parseInt(reviewCount));
-    if (!expectedAmount) {
+    if (!quoteId) {
       return res.status(400).json({
         success: false,
-        error: "Invalid service type and review count combination"
+        error: "quoteId is required"
       });
     }
 
-    // Verify payment
-    const user = await prismaClient.user.findUnique({ where: { id: userId } });
-    const paymentValid = await solanaService.verifyPayment(signature, expectedAmount, user.address);
-    
-    if (!paymentValid) {
+    if (consensusStrategy && !isConsensusStrategy(consensusStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: "Unknown consensus strategy"
+      });
+    }
+
+    if (pairwise && req.files.length < 3) {
+      return res.status(400).json({
+        success: false,
+        error: "Pairwise comparison needs at least 3 files"
+      });
+    }
+
+    if (pairwise && consensusStrategy && consensusStrategy !== PAIRWISE_STRATEGY) {
       return res.status(400).json({
         success: false,
-        error: "Payment verification failed"
+        error: `Pairwise tasks are ranked with ${PAIRWISE_STRATEGY}`
+      });
+    }
+
+    const quote = await prismaClient.quote.findFirst({
+      where: {
+        id: quoteId,
+        user_id: userId
+      }
+    });
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        error: "Quote not found"
+      });
+    }
+
+    if (quote.usedAt) {
+      return res.status(409).json({
+        success: false,
+        error: "Quote has already been used"
+      });
+    }
+
+    const { serviceType, reviewCount } = quote;
+    // Quotes discounted to nothing have nothing to pay and go through the credit path
+    const payWithCredits = payWith === 'credits' || quote.amount === 0n;
+
+    let payment = null;
+    if (payWithCredits) {
+      // The quote fixes the price, so it has to be current when it is paid from credits
+      if (quote.expiresAt <= new Date()) {
+        return res.status(409).json({
+          success: false,
+          error: "Quote has expired"
+        });
+      }
+
+      const { available } = await creditService.getAvailable(userId, quote.currency);
+      if (available < quote.amount) {
+        return res.status(402).json({
+          success: false,
+          error: "Insufficient credit balance",
+          code: 'INSUFFICIENT_CREDIT'
+        });
+      }
+    } else {
+      // Verify the payment against the quote and record it in the ledger, or use
+      // the one the reference watcher already found for a Solana Pay checkout
+      const user = await prismaClient.user.findUnique({ where: { id: userId } });
+      payment = signature
+        ? await paymentService.recordPayment({
+            signature,
+            userId,
+            payer: user.address,
+            quote
+          })
+        : await paymentService.findQuotePayment(userId, quote);
+    }
+
+    if (payment && !payment.valid) {
+      const invalid = payment.code === PAYMENT_ERRORS.INVALID || payment.code === PAYMENT_ERRORS.NOT_FOUND;
+      return res.status(invalid ? 400 : 409).json({
+        success: false,
+        error: invalid ? "Payment verification failed" : payment.error,
+        code: payment.code,
+        details: payment.error
       });
     }
 
@@ -260,17 +882,59 @@ router.post("/upload", authMiddleware, upload.array('files', 5), async (req, res
 
     // Create task in database
     const task = await prismaClient.$transaction(async (tx) => {
+      // Consume the quote; the usedAt guard makes concurrent uploads with the same quote lose the race
+      const claimed = await tx.quote.updateMany({
+        where: {
+          id: quote.id,
+          usedAt: null
+        },
+        data: {
+          usedAt: new Date()
+        }
+      });
+
+      if (claimed.count !== 1) {
+        throw Object.assign(new Error("Quote has already been used"), { status: 409 });
+      }
+
+      if (payment) {
+        await paymentService.consumePayment(tx, payment.payment.id);
+      } else {
+        // Check again now that the quote is claimed; another upload may have spent the credit
+        const { available } = await creditService.getAvailable(userId, quote.currency, tx);
+        if (available < quote.amount) {
+          throw new InsufficientBalanceError(`User ${userId} credit is too low`);
+        }
+      }
+
       const newTask = await tx.task.create({
         data: {
           title: `${serviceType.replace('_', ' ')} Evaluation`,
           serviceType,
-          reviewCount: parseInt(reviewCount),
+          reviewCount,
           user_id: userId,
-          signature,
-          amount: expectedAmount
+          signature: payment?.payment.signature ?? null,
+          payment_id: payment?.payment.id ?? null,
+          amount: quote.amount,
+          currency: quote.currency,
+          solUsdRate: quote.solUsdRate,
+          pricing_table_id: quote.pricing_table_id,
+          // Fix the strategy now so a later config change cannot switch it mid-collection
+          consensusStrategy: consensusService.getTaskStrategy({
+            serviceType,
+            consensusStrategy: consensusStrategy || null,
+            pairwise
+          }).name,
+          earlyStop,
+          pairwise,
+          deadline: new Date(Date.now() + TASK_DEADLINE_MS),
+          discount: quote.discount,
+          ...splitPayment(quote.amount + quote.discount)
         }
       });
 
+      await escrowService.fund(tx, newTask, payment?.payment.id);
+
       // Create options for each uploaded file
       const options = await Promise.all(
         uploadResults.map(result => 
@@ -299,15 +963,31 @@ router.post("/upload", authMiddleware, upload.array('files', 5), async (req, res
           serviceType: task.serviceType,
           reviewCount: task.reviewCount,
           amount: task.amount,
+          currency: task.currency,
+          solUsdRate: task.solUsdRate,
+          deadline: task.deadline,
+          earlyStop: task.earlyStop,
+          pairwise: task.pairwise,
+          paidWith: payWithCredits ? 'credits' : 'payment',
           createdAt: task.createdAt
         }
       }
     });
   } catch (error) {
     console.error('Upload error:', error);
-    res.status(500).json({
+
+    if (error instanceof InsufficientBalanceError) {
+      return res.status(402).json({
+        success: false,
+        error: "Insufficient credit balance",
+        code: 'INSUFFICIENT_CREDIT'
+      });
+    }
+
+    res.status(error.status || 500).json({
       success: false,
-      error: "Upload failed",
+      error: error.status ? error.message : "Upload failed",
+      code: error.status ? error.code : undefined,
       details: error.message
     });
   }
@@ -340,6 +1020,7 @@ router.get("/task", authMiddleware, validateQuery(taskQueryInput), async (req, r
           select: {
             id: true,
             option_id: true,
+            loser_option_id: true,
             createdAt: true,
             worker: {
               select: {
@@ -349,6 +1030,17 @@ router.get("/task", authMiddleware, validateQuery(taskQueryInput), async (req, r
             }
           }
         },
+        payouts: {
+          select: {
+            id: true,
+            amount: true,
+            currency: true,
+            status: true,
+            signature: true,
+            createdAt: true,
+            processedAt: true
+          }
+        },
         ...(includeResults && {
           results: {
             include: {
@@ -395,10 +1087,17 @@ router.get("/task", authMiddleware, validateQuery(taskQueryInput), async (req, r
       }
     });
 
-    // Calculate percentages
+    // Separation is checked between the stored winner and runner-up once there are results
+    const ranking = task.results?.[0]?.results.map(result => result.option_id);
+    const confidence = consensusService.getConfidence(task, ranking);
+
+    // Calculate percentages and their confidence bands; on pairwise tasks
+    // an option's percentage is of the comparisons it was in
     const totalSubmissions = task.submissions.length;
-    Object.values(submissionStats).forEach(stat => {
-      stat.percentage = totalSubmissions > 0 ? (stat.count / totalSubmissions) * 100 : 0;
+    Object.entries(submissionStats).forEach(([optionId, stat]) => {
+      const total = confidence.totals.get(Number(optionId));
+      stat.percentage = total > 0 ? (stat.count / total) * 100 : 0;
+      stat.interval = confidence.bands.get(Number(optionId));
     });
 
     const response = {
@@ -410,9 +1109,15 @@ router.get("/task", authMiddleware, validateQuery(taskQueryInput), async (req, r
           serviceType: task.serviceType,
           reviewCount: task.reviewCount,
           amount: task.amount,
+          currency: task.currency,
           done: task.done,
+          deadline: task.deadline,
+          consensusStrategy: consensusService.getTaskStrategy(task).name,
+          earlyStop: task.earlyStop,
+          pairwise: task.pairwise,
           createdAt: task.createdAt,
           completedAt: task.completedAt,
+          refunds: task.payouts,
           progress: {
             completed: totalSubmissions,
             required: task.reviewCount,
@@ -421,8 +1126,21 @@ router.get("/task", authMiddleware, validateQuery(taskQueryInput), async (req, r
         },
         options: task.options,
         submissionStats,
+        confidence: {
+          level: confidence.level,
+          separation: confidence.separation,
+          earlyStopMinReviews: EARLY_STOP_MIN_REVIEWS
+        },
         ...(includeResults && task.results.length > 0 && {
-          results: task.results[0].results
+          results: task.results[0].results.map(result => ({
+            ...result,
+            interval: confidence.bands.get(result.option_id)
+          })),
+          strategy: {
+            name: task.results[0].strategy,
+            version: task.results[0].strategyVersion
+          },
+          earlyStopped: task.results[0].earlyStopped
         })
       }
     };
@@ -474,65 +1192,132 @@ router.get("/tasks", authMiddleware, validateQuery(userTaskHistoryInput), async
   }
 });
 
+/**
+ * List the user's invoices as JSON or as one PDF
+ */
+router.get("/invoices", authMiddleware, validateQuery(invoiceListInput), async (req, res) => {
+  try {
+    const { format, ...options } = req.validatedQuery;
+    const { invoices, pagination } = await invoiceService.listInvoices(req.userId, options);
+
+    if (format === 'pdf') {
+      const pdf = await invoiceService.renderPdf(invoices);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', 'attachment; filename="invoices.pdf"');
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch invoices"
+    });
+  }
+});
+
+/**
+ * Get the invoice for a task as JSON or PDF
+ */
+router.get("/invoices/:taskId", authMiddleware, validateQuery(invoiceFormatInput), async (req, res) => {
+  try {
+    const invoice = await invoiceService.getInvoice(req.userId, parseInt(req.params.taskId));
+
+    if (req.validatedQuery.format === 'pdf') {
+      const pdf = await invoiceService.renderPdf([invoice]);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoice.invoiceNumber}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to fetch invoice"
+    });
+  }
+});
+
 /**
  * Get service pricing information
  */
 router.get("/pricing", async (req, res) => {
   try {
-    const solPrice = await solanaService.getSolPrice();
-    
-    const pricing = {
-      MARKETING_IMAGES: {
-        200: {
-          lamports: solanaService.getServicePrice('MARKETING_IMAGES', 200),
-          sol: solanaService.getServicePrice('MARKETING_IMAGES', 200) / 1000000000,
-          usd: await solanaService.lamportsToUsd(solanaService.getServicePrice('MARKETING_IMAGES', 200))
-        },
-        500: {
-          lamports: solanaService.getServicePrice('MARKETING_IMAGES', 500),
-          sol: solanaService.getServicePrice('MARKETING_IMAGES', 500) / 1000000000,
-          usd: await solanaService.lamportsToUsd(solanaService.getServicePrice('MARKETING_IMAGES', 500))
-        }
-      },
-      YOUTUBE_THUMBNAILS: {
-        200: {
-          lamports: solanaService.getServicePrice('YOUTUBE_THUMBNAILS', 200),
-          sol: solanaService.getServicePrice('YOUTUBE_THUMBNAILS', 200) / 1000000000,
-          usd: await solanaService.lamportsToUsd(solanaService.getServicePrice('YOUTUBE_THUMBNAILS', 200))
-        },
-        500: {
-          lamports: solanaService.getServicePrice('YOUTUBE_THUMBNAILS', 500),
-          sol: solanaService.getServicePrice('YOUTUBE_THUMBNAILS', 500) / 1000000000,
-          usd: await solanaService.lamportsToUsd(solanaService.getServicePrice('YOUTUBE_THUMBNAILS', 500))
-        }
-      },
-      VIDEOS: {
-        100: {
-          lamports: solanaService.getServicePrice('VIDEOS', 100),
-          sol: solanaService.getServicePrice('VIDEOS', 100) / 1000000000,
-          usd: await solanaService.lamportsToUsd(solanaService.getServicePrice('VIDEOS', 100))
-        },
-        300: {
-          lamports: solanaService.getServicePrice('VIDEOS', 300),
-          sol: solanaService.getServicePrice('VIDEOS', 300) / 1000000000,
-          usd: await solanaService.lamportsToUsd(solanaService.getServicePrice('VIDEOS', 300))
-        }
+    const price = await priceService.getSolUsdRate();
+
+    // Listed plans are the tiers of each table in force; services priced per
+    // review also accept any count in their range
+    const pricing = {};
+    const services = {};
+    for (const serviceType of ServiceTypeEnum.options) {
+      const table = await pricingService.getActiveTable(serviceType);
+      if (!table) {
+        continue;
+      }
+
+      pricing[serviceType] = {};
+      for (const { reviewCount } of table.tiers) {
+        const lamports = pricingService.getPrice(table, reviewCount, 'SOL');
+
+        pricing[serviceType][reviewCount] = {
+          lamports,
+          sol: toDecimalAmount(lamports, 'SOL'),
+          usd: await solanaService.lamportsToUsd(lamports, price.rate),
+          usdc: toDecimalAmount(pricingService.getPrice(table, reviewCount, 'USDC'), 'USDC')
+        };
       }
-    };
+
+      services[serviceType] = {
+        minReviews: table.minReviews,
+        maxReviews: table.maxReviews,
+        perReview: table.perReviewPrice === null ? null : {
+          lamports: table.perReviewPrice,
+          sol: toDecimalAmount(table.perReviewPrice, 'SOL'),
+          usdc: toDecimalAmount(table.perReviewPriceUsdc, 'USDC')
+        },
+        workerRewards: await pricingService.getEstimatedRewards({ serviceType, pricing_table_id: table.id }),
+        consensusStrategy: consensusService.getTaskStrategy({ serviceType }).name,
+        validFrom: table.validFrom
+      };
+    }
 
     res.json({
       success: true,
       data: {
         pricing,
-        solPrice,
+        services,
+        consensusStrategies: Object.values(CONSENSUS_STRATEGIES).map(({ name, version, description }) => ({
+          name,
+          version,
+          description
+        })),
+        earlyStopping: {
+          confidenceLevel: CONFIDENCE_LEVEL,
+          minReviews: EARLY_STOP_MIN_REVIEWS
+        },
+        solPrice: price.rate,
+        priceSource: price.source,
+        pricePublishedAt: price.publishedAt,
         lastUpdated: new Date().toISOString()
       }
     });
   } catch (error) {
     console.error('Get pricing error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: "Failed to fetch pricing"
+      error: error.status ? error.message : "Failed to fetch pricing"
     });
   }
 });
@@ -551,7 +1336,7 @@ router.get("/stats", async (req, res) => {
           totalWorkers: 0,
           activeWorkers: 0,
           totalTasksCompleted: 0,
-          totalEarningsPaid: 0,
+          totalEarningsPaid: 0n,
           totalEarningsPaidUSD: 0
         }
       });
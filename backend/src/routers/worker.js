@@ -1,19 +1,32 @@
 import jwt from "jsonwebtoken";
 import { Router } from "express";
-import { prismaClient, getNextTask, getWorkerSubmissionHistory } from "../db.js";
-import { workerMiddleware } from "../middleware.js";
+import { prismaClient, getAvailableTask, getWorkerSubmissionHistory } from "../db.js";
+import { workerMiddleware, activeWorkerMiddleware } from "../middleware.js";
 import { 
+  signinNonceInput,
   workerSigninInput,
   createSubmissionInput,
   workerPayoutInput,
+  workerPayoutCurrencyInput,
   workerStatsInput,
   workerTaskHistoryInput,
   validateRequest,
   validateQuery
 } from "../types.js";
 import solanaService from "../services/solana.js";
+import payoutService from "../services/payouts.js";
+import ledgerService, { LEDGER_ACCOUNTS, InsufficientBalanceError } from "../services/ledger.js";
+import pricingService from "../services/pricing.js";
 import consensusService from "../services/consensus.js";
+import reputationService from "../services/reputation.js";
+import goldService from "../services/gold.js";
+import pairwiseService from "../services/pairwise.js";
+import authService from "../services/auth.js";
+import sessionService from "../services/session.js";
 import { WORKER_JWT_SECRET } from '../config.js';
+import { CURRENCIES, BALANCE_FIELDS, toDecimalAmount } from '../currencies.js';
+import { getBaseReward } from '../budget.js';
+import { v4 as uuidv4 } from "uuid";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -21,6 +34,35 @@ dotenv.config();
 const router = Router();
 const TOTAL_SUBMISSION = 100; // Legacy constant
 
+/**
+ * Issue a sign-in challenge for the wallet to sign
+ */
+router.post("/nonce", validateRequest(signinNonceInput), async (req, res) => {
+  try {
+    const { walletAddress } = req.validatedData;
+
+    if (!solanaService.isValidWalletAddress(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid wallet address format"
+      });
+    }
+
+    const challenge = await authService.createChallenge(walletAddress, 'WORKER');
+
+    res.json({
+      success: true,
+      data: challenge
+    });
+  } catch (error) {
+    console.error('Worker nonce error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create sign-in challenge"
+    });
+  }
+});
+
 /**
  * Worker authentication with wallet signature
  */
@@ -36,6 +78,21 @@ router.post("/signin", validateRequest(workerSigninInput), async (req, res) => {
       });
     }
 
+    // Verify the signed challenge
+    const verification = await authService.verifySignIn({
+      walletAddress,
+      message,
+      signature,
+      audience: 'WORKER'
+    });
+
+    if (!verification.valid) {
+      return res.status(401).json({
+        success: false,
+        error: verification.error
+      });
+    }
+
     // Find or create worker
     let worker = await prismaClient.worker.findFirst({
       where: { address: walletAddress }
@@ -45,9 +102,9 @@ router.post("/signin", validateRequest(workerSigninInput), async (req, res) => {
       worker = await prismaClient.worker.create({
         data: {
           address: walletAddress,
-          pending_amount: 0,
-          locked_amount: 0,
-          total_earned: 0,
+          pending_amount: 0n,
+          locked_amount: 0n,
+          total_earned: 0n,
           tasks_completed: 0,
           accuracy_score: 0.0
         }
@@ -55,17 +112,11 @@ router.post("/signin", validateRequest(workerSigninInput), async (req, res) => {
     }
 
     // Create session token
-    const token = jwt.sign({ workerId: worker.id }, WORKER_JWT_SECRET, { expiresIn: '7d' });
+    const token = jwt.sign({ workerId: worker.id }, WORKER_JWT_SECRET, { expiresIn: '7d', jwtid: uuidv4() });
     const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
 
     // Store session in database
-    await prismaClient.workerSession.create({
-      data: {
-        workerId: worker.id,
-        token,
-        expiresAt
-      }
-    });
+    await sessionService.createSession('worker', worker.id, token, expiresAt, req);
 
     res.json({
       success: true,
@@ -91,6 +142,108 @@ router.post("/signin", validateRequest(workerSigninInput), async (req, res) => {
   }
 });
 
+/**
+ * Sign out the current session
+ */
+router.post("/logout", workerMiddleware, async (req, res) => {
+  try {
+    await sessionService.revokeSession('worker', req.workerId, req.sessionId);
+
+    res.json({
+      success: true,
+      message: "Signed out"
+    });
+  } catch (error) {
+    console.error('Worker logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to sign out"
+    });
+  }
+});
+
+/**
+ * List active sessions
+ */
+router.get("/sessions", workerMiddleware, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions('worker', req.workerId, req.sessionId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions
+      }
+    });
+  } catch (error) {
+    console.error('Get worker sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch sessions"
+    });
+  }
+});
+
+/**
+ * Revoke all other sessions
+ */
+router.delete("/sessions", workerMiddleware, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions('worker', req.workerId, req.sessionId);
+
+    res.json({
+      success: true,
+      data: {
+        revoked
+      }
+    });
+  } catch (error) {
+    console.error('Revoke worker sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke sessions"
+    });
+  }
+});
+
+/**
+ * Revoke a single session
+ */
+router.delete("/sessions/:id", workerMiddleware, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid session ID"
+      });
+    }
+
+    const revoked = await sessionService.revokeSession('worker', req.workerId, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        revoked: sessionId
+      }
+    });
+  } catch (error) {
+    console.error('Revoke worker session error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke session"
+    });
+  }
+});
+
 /**
  * Get worker profile and statistics
  */
@@ -102,6 +255,9 @@ router.get("/profile", workerMiddleware, async (req, res) => {
       where: { id: workerId },
       include: {
         submissions: {
+          omit: {
+            gold_passed: true
+          },
           include: {
             task: {
               select: {
@@ -144,7 +300,9 @@ router.get("/profile", workerMiddleware, async (req, res) => {
           id: worker.id,
           address: worker.address,
           createdAt: worker.createdAt,
-          updatedAt: worker.updatedAt
+          updatedAt: worker.updatedAt,
+          suspendedAt: worker.suspendedAt,
+          suspensionReason: worker.suspensionReason
         },
         statistics: stats,
         recentSubmissions: worker.submissions,
@@ -163,12 +321,12 @@ router.get("/profile", workerMiddleware, async (req, res) => {
 /**
  * Get next available task for worker
  */
-router.get("/nextTask", workerMiddleware, async (req, res) => {
+router.get("/nextTask", workerMiddleware, activeWorkerMiddleware, async (req, res) => {
   try {
     const workerId = req.workerId;
-    const task = await getNextTask(workerId);
+    const next = await goldService.getNextTask(workerId);
 
-    if (!task) {
+    if (!next) {
       return res.status(200).json({
         success: true,
         data: null,
@@ -176,14 +334,12 @@ router.get("/nextTask", workerMiddleware, async (req, res) => {
       });
     }
 
-    // Add additional task information
+    // Add additional task information; pairwise tasks show only the worker's pair
+    const task = await pairwiseService.serve(workerId, next);
     const taskWithInfo = {
       ...task,
-      estimatedReward: {
-        first: solanaService.calculateWorkerReward(task.serviceType, 1),
-        second: solanaService.calculateWorkerReward(task.serviceType, 2),
-        third: solanaService.calculateWorkerReward(task.serviceType, 3)
-      },
+      ballot: consensusService.getBallot(task),
+      estimatedReward: await pricingService.getEstimatedRewards(task),
       progress: {
         completed: task._count.submissions,
         required: task.reviewCount,
@@ -209,17 +365,18 @@ router.get("/nextTask", workerMiddleware, async (req, res) => {
 /**
  * Submit task evaluation
  */
-router.post("/submission", workerMiddleware, validateRequest(createSubmissionInput), async (req, res) => {
+router.post("/submission", workerMiddleware, activeWorkerMiddleware, validateRequest(createSubmissionInput), async (req, res) => {
   try {
     const workerId = req.workerId;
-    const { taskId, selection } = req.validatedData;
+    const { taskId, selection, ranking = [] } = req.validatedData;
 
     console.log(`Worker ${workerId} submitting for task ${taskId}, option ${selection}`);
 
-    // Get the task and validate
-    const task = await getNextTask(workerId);
+    // Get the task and validate; it must be the one nextTask serves the worker
+    const nextServed = await goldService.getNextTask(workerId);
+    const task = nextServed?.id === taskId ? await getAvailableTask(workerId, taskId) : null;
     
-    if (!task || task.id !== taskId) {
+    if (!task) {
       return res.status(400).json({
         success: false,
         error: "Invalid task ID or task not available"
@@ -235,8 +392,44 @@ router.post("/submission", workerMiddleware, validateRequest(createSubmissionInp
       });
     }
 
-    // Calculate base reward amount
-    const baseReward = Math.floor(task.amount / task.reviewCount);
+    // On pairwise tasks the selection is one of the worker's pair and beats the other
+    let loserOptionId = null;
+    if (task.pairwise) {
+      const pair = await pairwiseService.getPair(workerId, task);
+      if (!pair.includes(selection) || ranking.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Choose one of the two options you were shown"
+        });
+      }
+      loserOptionId = pair.find(optionId => optionId !== selection);
+    }
+
+    // A ranking lists distinct options of the task, best first
+    const rankingValid = ranking.length === 0 || (
+      ranking[0] === selection &&
+      new Set(ranking).size === ranking.length &&
+      ranking.every(optionId => task.options.some(option => option.id === optionId))
+    );
+    if (!rankingValid) {
+      return res.status(400).json({
+        success: false,
+        error: "Ranking must list distinct options of the task, starting with the selection"
+      });
+    }
+
+    // Calculate base reward amount, paid in the worker's payout currency
+    const { payoutCurrency } = await prismaClient.worker.findUnique({
+      where: { id: workerId },
+      select: { payoutCurrency: true }
+    });
+    const taskShare = getBaseReward(task);
+    const baseReward = await solanaService.convertAmount(taskShare, task.currency, payoutCurrency);
+
+    // A failed gold check voids the base reward. The response does not say
+    // so, to keep gold tasks indistinguishable from paid ones.
+    const goldPassed = task.gold ? goldService.isCorrect(task, selection) : null;
+    const voided = goldPassed === false;
 
     // Create submission and update worker stats
     const result = await prismaClient.$transaction(async (tx) => {
@@ -244,20 +437,37 @@ router.post("/submission", workerMiddleware, validateRequest(createSubmissionInp
       const submission = await tx.submission.create({
         data: {
           option_id: selection,
+          ranking,
+          loser_option_id: loserOptionId,
           worker_id: workerId,
           task_id: taskId,
-          amount: baseReward
+          amount: voided ? 0n : baseReward,
+          currency: payoutCurrency,
+          gold_passed: goldPassed
         }
       });
 
-      // Update worker pending amount
-      await tx.worker.update({
-        where: { id: workerId },
-        data: {
-          pending_amount: {
-            increment: baseReward
-          }
-        }
+      if (task.gold) {
+        await goldService.recordCheck(tx, workerId, goldPassed);
+      }
+
+      if (voided) {
+        return submission;
+      }
+
+      // Pay the reward out of the task's escrow into the worker's pending balance
+      await ledgerService.post(tx, {
+        kind: 'BaseReward',
+        transfers: [{
+          from: LEDGER_ACCOUNTS.task(taskId),
+          to: LEDGER_ACCOUNTS.workerPending(workerId),
+          amount: taskShare,
+          currency: task.currency,
+          toAmount: baseReward,
+          toCurrency: payoutCurrency
+        }],
+        workerId,
+        taskId
       });
 
       return submission;
@@ -265,15 +475,26 @@ router.post("/submission", workerMiddleware, validateRequest(createSubmissionInp
 
     // Check if task is ready for consensus
     const taskStatus = await consensusService.checkTaskCompletion(taskId);
-    if (taskStatus.isReadyForConsensus) {
+    if (task.gold) {
+      // Gold tasks have no consensus; they close once every review is taken
+      goldService.closeIfFull(taskId).catch(error => {
+        console.error(`Error closing gold task ${taskId}:`, error);
+      });
+    } else if (taskStatus.isReadyForConsensus) {
       // Process task completion asynchronously
       consensusService.processTaskCompletion(taskId).catch(error => {
         console.error(`Error processing task completion for task ${taskId}:`, error);
       });
+    } else if (taskStatus.canStopEarly) {
+      // The user opted into early stopping and the winner is already separated
+      consensusService.processTaskCompletion(taskId, { force: true, earlyStop: true }).catch(error => {
+        console.error(`Error stopping task ${taskId} early:`, error);
+      });
     }
 
     // Get next task for worker
-    const nextTask = await getNextTask(workerId);
+    const next = await goldService.getNextTask(workerId);
+    const nextTask = next && await pairwiseService.serve(workerId, next);
 
     res.json({
       success: true,
@@ -283,15 +504,13 @@ router.post("/submission", workerMiddleware, validateRequest(createSubmissionInp
           taskId,
           optionId: selection,
           amount: baseReward,
+          currency: payoutCurrency,
           createdAt: result.createdAt
         },
         nextTask: nextTask ? {
           ...nextTask,
-          estimatedReward: {
-            first: solanaService.calculateWorkerReward(nextTask.serviceType, 1),
-            second: solanaService.calculateWorkerReward(nextTask.serviceType, 2),
-            third: solanaService.calculateWorkerReward(nextTask.serviceType, 3)
-          },
+          ballot: consensusService.getBallot(nextTask),
+          estimatedReward: await pricingService.getEstimatedRewards(nextTask),
           progress: {
             completed: nextTask._count.submissions,
             required: nextTask.reviewCount,
@@ -316,6 +535,14 @@ router.post("/submission", workerMiddleware, validateRequest(createSubmissionInp
       });
     }
 
+    // The task's escrow ran out, e.g. because it was just completed
+    if (error instanceof InsufficientBalanceError) {
+      return res.status(409).json({
+        success: false,
+        error: "This task is no longer accepting submissions"
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: "Failed to submit evaluation"
@@ -336,8 +563,15 @@ router.get("/balance", workerMiddleware, async (req, res) => {
         pending_amount: true,
         locked_amount: true,
         total_earned: true,
+        pending_usdc: true,
+        locked_usdc: true,
+        total_earned_usdc: true,
+        payoutCurrency: true,
         tasks_completed: true,
-        accuracy_score: true
+        accuracy_score: true,
+        reputation_alpha: true,
+        reputation_beta: true,
+        reputation_updated_at: true
       }
     });
 
@@ -348,53 +582,76 @@ router.get("/balance", workerMiddleware, async (req, res) => {
       });
     }
 
+    // Pending and locked balances come from the ledger rather than the cached columns
+    const ledgerBalances = await ledgerService.getWorkerBalances(workerId);
+    const amountOf = (currency, key) => ledgerBalances[currency][key] ?? worker[BALANCE_FIELDS[currency][key]];
+
     // Convert to USD for display
-    const pendingUSD = await solanaService.lamportsToUsd(worker.pending_amount);
-    const lockedUSD = await solanaService.lamportsToUsd(worker.locked_amount);
-    const totalEarnedUSD = await solanaService.lamportsToUsd(worker.total_earned);
+    const solPrice = await solanaService.getSolPrice();
+    const pendingUSD = await solanaService.lamportsToUsd(amountOf('SOL', 'pending'), solPrice);
+    const lockedUSD = await solanaService.lamportsToUsd(amountOf('SOL', 'locked'), solPrice);
+    const totalEarnedUSD = await solanaService.lamportsToUsd(worker.total_earned, solPrice);
+
+    // Every currency is tracked separately; `balance` above stays SOL-only for older clients
+    const balances = {};
+    for (const currency of CURRENCIES) {
+      balances[currency] = {};
+
+      for (const key of Object.keys(BALANCE_FIELDS[currency])) {
+        const amount = amountOf(currency, key);
+        balances[currency][key] = {
+          amount,
+          decimal: toDecimalAmount(amount, currency),
+          usd: await solanaService.amountToUsd(amount, currency, solPrice)
+        };
+      }
+    }
 
     res.json({
       success: true,
       data: {
         balance: {
           pending: {
-            lamports: worker.pending_amount,
-            sol: worker.pending_amount / 1000000000,
+            lamports: amountOf('SOL', 'pending'),
+            sol: toDecimalAmount(amountOf('SOL', 'pending'), 'SOL'),
             usd: pendingUSD
           },
           locked: {
-            lamports: worker.locked_amount,
-            sol: worker.locked_amount / 1000000000,
+            lamports: amountOf('SOL', 'locked'),
+            sol: toDecimalAmount(amountOf('SOL', 'locked'), 'SOL'),
             usd: lockedUSD
           },
           totalEarned: {
             lamports: worker.total_earned,
-            sol: worker.total_earned / 1000000000,
+            sol: toDecimalAmount(worker.total_earned, 'SOL'),
             usd: totalEarnedUSD
           }
         },
+        balances,
+        payoutCurrency: worker.payoutCurrency,
         statistics: {
           tasksCompleted: worker.tasks_completed,
-          accuracyScore: worker.accuracy_score
+          accuracyScore: worker.accuracy_score,
+          reputation: reputationService.describe(worker)
         }
       }
     });
   } catch (error) {
     console.error('Get balance error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: "Failed to fetch balance"
+      error: error.status ? error.message : "Failed to fetch balance"
     });
   }
 });
 
 /**
- * Request payout/withdrawal
+ * Queue a payout/withdrawal
  */
 router.post("/payout", workerMiddleware, validateRequest(workerPayoutInput), async (req, res) => {
   try {
     const workerId = req.workerId;
-    const { amount } = req.validatedData;
+    const { amount, currency } = req.validatedData;
 
     const worker = await prismaClient.worker.findUnique({
       where: { id: workerId }
@@ -408,124 +665,86 @@ router.post("/payout", workerMiddleware, validateRequest(workerPayoutInput), asy
     }
 
     // Determine payout amount
-    const payoutAmount = amount || worker.pending_amount;
+    const pendingBalance = worker[BALANCE_FIELDS[currency].pending];
+    const payoutAmount = amount || pendingBalance;
 
-    if (payoutAmount <= 0) {
+    if (payoutAmount <= 0n) {
       return res.status(400).json({
         success: false,
         error: "No funds available for payout"
       });
     }
 
-    if (payoutAmount > worker.pending_amount) {
+    if (payoutAmount > pendingBalance) {
       return res.status(400).json({
         success: false,
         error: "Insufficient pending balance"
       });
     }
 
-    // Process payout
-    const result = await prismaClient.$transaction(async (tx) => {
-      // Update worker balances
-      await tx.worker.update({
-        where: { id: workerId },
-        data: {
-          pending_amount: {
-            decrement: payoutAmount
-          },
-          locked_amount: {
-            increment: payoutAmount
-          }
-        }
-      });
+    // Recorded with the withdrawal so its USD value is fixed at request time
+    const solUsdRate = await solanaService.getSolPrice();
 
-      // Create withdrawal record
-      const withdrawal = await tx.workerWithdrawal.create({
-        data: {
-          workerId,
-          amount: payoutAmount,
-          signature: "pending", // Will be updated when transaction is processed
-          status: "Processing"
-        }
-      });
+    const withdrawal = await payoutService.queueWithdrawal(workerId, payoutAmount, currency, solUsdRate);
 
-      return withdrawal;
-    });
-
-    // Process Solana transaction (in production, this would be real)
-    try {
-      const txSignature = await solanaService.sendReward(worker.address, payoutAmount);
-      
-      // Update withdrawal with transaction signature
-      await prismaClient.workerWithdrawal.update({
-        where: { id: result.id },
-        data: {
-          signature: txSignature,
-          status: "Success",
-          processedAt: new Date()
-        }
-      });
-
-      // Update worker locked amount back to 0 and mark as processed
-      await prismaClient.worker.update({
-        where: { id: workerId },
-        data: {
-          locked_amount: {
-            decrement: payoutAmount
-          }
-        }
-      });
-
-    } catch (txError) {
-      console.error('Transaction failed:', txError);
-      
-      // Revert the withdrawal
-      await prismaClient.$transaction(async (tx) => {
-        await tx.workerWithdrawal.update({
-          where: { id: result.id },
-          data: {
-            status: "Failure",
-            processedAt: new Date()
-          }
-        });
-
-        await tx.worker.update({
-          where: { id: workerId },
-          data: {
-            pending_amount: {
-              increment: payoutAmount
-            },
-            locked_amount: {
-              decrement: payoutAmount
-            }
-          }
-        });
-      });
-
-      return res.status(500).json({
+    if (!withdrawal) {
+      return res.status(400).json({
         success: false,
-        error: "Transaction failed, funds returned to pending balance"
+        error: "Insufficient pending balance"
       });
     }
 
-    res.json({
+    // Kick the queue now instead of waiting for the next scheduled run
+    payoutService.processQueue().catch(error => {
+      console.error('Payout queue error:', error);
+    });
+
+    res.status(202).json({
       success: true,
       data: {
         withdrawal: {
-          id: result.id,
+          id: withdrawal.id,
           amount: payoutAmount,
-          amountSOL: payoutAmount / 1000000000,
-          amountUSD: await solanaService.lamportsToUsd(payoutAmount),
-          status: "Success",
-          createdAt: result.createdAt
+          currency,
+          amountDecimal: toDecimalAmount(payoutAmount, currency),
+          amountUSD: await solanaService.amountToUsd(payoutAmount, currency, solUsdRate),
+          solUsdRate,
+          status: withdrawal.status,
+          createdAt: withdrawal.createdAt
         }
       }
     });
   } catch (error) {
     console.error('Payout error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Payout processing failed"
+    });
+  }
+});
+
+/**
+ * Choose the currency future rewards are credited in
+ */
+router.put("/payout-currency", workerMiddleware, validateRequest(workerPayoutCurrencyInput), async (req, res) => {
+  try {
+    const { currency } = req.validatedData;
+
+    const worker = await prismaClient.worker.update({
+      where: { id: req.workerId },
+      data: { payoutCurrency: currency },
+      select: { payoutCurrency: true }
+    });
+
+    res.json({
+      success: true,
+      data: worker
+    });
+  } catch (error) {
+    console.error('Update payout currency error:', error);
     res.status(500).json({
       success: false,
-      error: "Payout processing failed"
+      error: "Failed to update payout currency"
     });
   }
 });
@@ -540,6 +759,20 @@ router.get("/history", workerMiddleware, validateQuery(workerTaskHistoryInput),
 
     const { submissions, pagination } = await getWorkerSubmissionHistory(workerId, queryOptions);
 
+    // Bonuses actually credited, which can be less than the reward tables when a task's budget is tight
+    const bonuses = await prismaClient.ledgerEntry.groupBy({
+      by: ['taskId'],
+      where: {
+        kind: 'ConsensusBonus',
+        account: LEDGER_ACCOUNTS.workerPending(workerId),
+        taskId: {
+          in: submissions.map(submission => submission.task.id)
+        }
+      },
+      _sum: { amount: true }
+    });
+    const bonusByTask = new Map(bonuses.map(bonus => [bonus.taskId, bonus._sum.amount ?? 0n]));
+
     // Add reward information to submissions
     const submissionsWithRewards = await Promise.all(
       submissions.map(async (submission) => {
@@ -553,8 +786,7 @@ router.get("/history", workerMiddleware, validateQuery(workerTaskHistoryInput),
               reward: {
                 rank: optionResult?.rank || null,
                 percentage: optionResult?.percentage || 0,
-                actualReward: optionResult?.rank <= 3 ? 
-                  solanaService.calculateWorkerReward(submission.task.serviceType, optionResult.rank) : 0
+                actualReward: bonusByTask.get(submission.task.id) ?? 0n
               }
             };
           }
@@ -565,7 +797,7 @@ router.get("/history", workerMiddleware, validateQuery(workerTaskHistoryInput),
           reward: {
             rank: null,
             percentage: 0,
-            actualReward: 0
+            actualReward: 0n
           }
         };
       })
@@ -615,7 +847,7 @@ router.get("/stats", workerMiddleware, async (req, res) => {
         },
         withdrawals: {
           where: {
-            status: 'Success'
+            status: 'Confirmed'
           }
         }
       }
@@ -640,8 +872,8 @@ router.get("/stats", workerMiddleware, async (req, res) => {
     // Calculate earnings over time (last 30 days)
     const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     const recentEarnings = worker.submissions
-      .filter(s => s.createdAt >= thirtyDaysAgo && s.task.done)
-      .reduce((sum, s) => sum + s.amount, 0);
+      .filter(s => s.createdAt >= thirtyDaysAgo && s.task.done && s.currency === 'SOL')
+      .reduce((sum, s) => sum + s.amount, 0n);
 
     res.json({
       success: true,
@@ -650,11 +882,13 @@ router.get("/stats", workerMiddleware, async (req, res) => {
         serviceTypeBreakdown: serviceTypeStats,
         recentEarnings: {
           lamports: recentEarnings,
-          sol: recentEarnings / 1000000000,
+          sol: toDecimalAmount(recentEarnings, 'SOL'),
           usd: await solanaService.lamportsToUsd(recentEarnings)
         },
         totalWithdrawals: worker.withdrawals.length,
-        totalWithdrawnAmount: worker.withdrawals.reduce((sum, w) => sum + w.amount, 0)
+        totalWithdrawnAmount: worker.withdrawals
+          .filter(w => w.currency === 'SOL')
+          .reduce((sum, w) => sum + w.amount, 0n)
       }
     });
   } catch (error) {
@@ -687,12 +921,20 @@ router.get("/withdrawals", workerMiddleware, async (req, res) => {
       })
     ]);
 
-    // Add USD amounts
+    // Add USD amounts at the rate recorded with each withdrawal; older ones use today's rate
+    const currentRate = withdrawals.some(withdrawal => withdrawal.solUsdRate === null)
+      ? await solanaService.getSolPrice()
+      : undefined;
     const withdrawalsWithUSD = await Promise.all(
       withdrawals.map(async (withdrawal) => ({
         ...withdrawal,
-        amountSOL: withdrawal.amount / 1000000000,
-        amountUSD: await solanaService.lamportsToUsd(withdrawal.amount)
+        amountSOL: withdrawal.currency === 'SOL' ? toDecimalAmount(withdrawal.amount, 'SOL') : null,
+        amountDecimal: toDecimalAmount(withdrawal.amount, withdrawal.currency),
+        amountUSD: await solanaService.amountToUsd(
+          withdrawal.amount,
+          withdrawal.currency,
+          withdrawal.solUsdRate ?? currentRate
+        )
       }))
     );
 
@@ -710,9 +952,9 @@ router.get("/withdrawals", workerMiddleware, async (req, res) => {
     });
   } catch (error) {
     console.error('Get withdrawals error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: "Failed to fetch withdrawal history"
+      error: error.status ? error.message : "Failed to fetch withdrawal history"
     });
   }
 });
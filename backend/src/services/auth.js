@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import nacl from 'tweetnacl';
+import bs58 from 'bs58';
+import { PublicKey } from '@solana/web3.js';
+import { prismaClient } from '../db.js';
+import { SIGNIN_DOMAIN, SIGNIN_NONCE_TTL_MS } from '../config.js';
+
+const STATEMENTS = {
+  USER: 'Sign in to Previewer to manage your content evaluations.',
+  WORKER: 'Sign in to Previewer Workers to evaluate content and earn SOL.',
+  ADMIN: 'Sign in to the Previewer admin console.'
+};
+
+class AuthService {
+  constructor() {
+    this.domain = SIGNIN_DOMAIN;
+    this.nonceTtlMs = SIGNIN_NONCE_TTL_MS;
+  }
+
+  /**
+   * Build the Sign-In-With-Solana message a wallet is asked to sign
+   * @param {Object} fields - Message fields
+   * @returns {string} Message text
+   */
+  buildMessage({ domain, address, statement, nonce, issuedAt, expiresAt }) {
+    return [
+      `${domain} wants you to sign in with your Solana account:`,
+      address,
+      '',
+      statement,
+      '',
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expiration Time: ${expiresAt.toISOString()}`
+    ].join('\n');
+  }
+
+  /**
+   * Parse a Sign-In-With-Solana message back into its fields
+   * @param {string} message - Message text
+   * @returns {Object|null} Parsed fields or null if malformed
+   */
+  parseMessage(message) {
+    const lines = message.split('\n');
+    const header = lines[0]?.match(/^(.+) wants you to sign in with your Solana account:$/);
+
+    if (!header || lines.length !== 8) {
+      return null;
+    }
+
+    const field = (line, name) => {
+      const prefix = `${name}: `;
+      return line?.startsWith(prefix) ? line.slice(prefix.length) : null;
+    };
+
+    const nonce = field(lines[5], 'Nonce');
+    const issuedAt = field(lines[6], 'Issued At');
+    const expiresAt = field(lines[7], 'Expiration Time');
+
+    if (!nonce || !issuedAt || !expiresAt) {
+      return null;
+    }
+
+    return {
+      domain: header[1],
+      address: lines[1],
+      statement: lines[3],
+      nonce,
+      issuedAt: new Date(issuedAt),
+      expiresAt: new Date(expiresAt)
+    };
+  }
+
+  /**
+   * Issue a single-use sign-in challenge for a wallet
+   * @param {string} address - Wallet address
+   * @param {string} audience - USER, WORKER or ADMIN
+   * @returns {Promise<Object>} Nonce, message and expiry
+   */
+  async createChallenge(address, audience) {
+    try {
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const issuedAt = new Date();
+      const expiresAt = new Date(issuedAt.getTime() + this.nonceTtlMs);
+
+      await prismaClient.authNonce.create({
+        data: {
+          nonce,
+          address,
+          audience,
+          issuedAt,
+          expiresAt
+        }
+      });
+
+      const message = this.buildMessage({
+        domain: this.domain,
+        address,
+        statement: STATEMENTS[audience],
+        nonce,
+        issuedAt,
+        expiresAt
+      });
+
+      return { nonce, message, issuedAt, expiresAt };
+    } catch (error) {
+      console.error('Error creating sign-in challenge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify an ed25519 signature made by a Solana wallet
+   * @param {string} message - Signed message text
+   * @param {string} signature - Base58 encoded signature
+   * @param {string} address - Wallet address
+   * @returns {boolean} Whether the signature is valid
+   */
+  verifySignature(message, signature, address) {
+    try {
+      return nacl.sign.detached.verify(
+        new TextEncoder().encode(message),
+        bs58.decode(signature),
+        new PublicKey(address).toBytes()
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Verify a signed sign-in message and consume its nonce
+   * @param {Object} params - Wallet address, message, signature and audience
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifySignIn({ walletAddress, message, signature, audience }) {
+    try {
+      const fields = this.parseMessage(message);
+
+      if (!fields) {
+        return { valid: false, error: 'Malformed sign-in message' };
+      }
+
+      if (fields.domain !== this.domain) {
+        return { valid: false, error: 'Sign-in message was issued for another domain' };
+      }
+
+      if (fields.address !== walletAddress) {
+        return { valid: false, error: 'Sign-in message does not match wallet address' };
+      }
+
+      if (fields.statement !== STATEMENTS[audience]) {
+        return { valid: false, error: 'Sign-in message was issued for another application' };
+      }
+
+      if (!this.verifySignature(message, signature, walletAddress)) {
+        return { valid: false, error: 'Invalid signature' };
+      }
+
+      const record = await prismaClient.authNonce.findUnique({
+        where: { nonce: fields.nonce }
+      });
+
+      if (
+        !record ||
+        record.address !== walletAddress ||
+        record.audience !== audience ||
+        record.issuedAt.getTime() !== fields.issuedAt.getTime() ||
+        record.expiresAt.getTime() !== fields.expiresAt.getTime()
+      ) {
+        return { valid: false, error: 'Unknown sign-in nonce' };
+      }
+
+      // Consume the nonce; the usedAt guard makes concurrent replays lose the race
+      const consumed = await prismaClient.authNonce.updateMany({
+        where: {
+          id: record.id,
+          usedAt: null,
+          expiresAt: {
+            gt: new Date()
+          }
+        },
+        data: {
+          usedAt: new Date()
+        }
+      });
+
+      if (consumed.count !== 1) {
+        return { valid: false, error: 'Sign-in nonce expired or already used' };
+      }
+
+      return { valid: true };
+    } catch (error) {
+      console.error('Error verifying sign-in:', error);
+      return { valid: false, error: 'Sign-in verification failed' };
+    }
+  }
+
+  /**
+   * Remove nonces that can no longer be used
+   * @returns {Promise<number>} Number of removed nonces
+   */
+  async cleanupNonces() {
+    try {
+      const result = await prismaClient.authNonce.deleteMany({
+        where: {
+          OR: [
+            { expiresAt: { lt: new Date() } },
+            { usedAt: { not: null } }
+          ]
+        }
+      });
+
+      return result.count;
+    } catch (error) {
+      console.error('Error cleaning up sign-in nonces:', error);
+      throw error;
+    }
+  }
+}
+
+export default new AuthService();
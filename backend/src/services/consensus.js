@@ -1,12 +1,25 @@
-import pkg from '@prisma/client';
+import { prismaClient } from '../db.js';
 import solanaService from './solana.js';
+import ledgerService, { LEDGER_ACCOUNTS } from './ledger.js';
+import escrowService from './escrow.js';
+import pricingService from './pricing.js';
+import refundService from './refunds.js';
+import reputationService from './reputation.js';
+import pairwiseService, { PAIRWISE_STRATEGY } from './pairwise.js';
+import { BALANCE_FIELDS } from '../currencies.js';
+import { getStrategy } from '../strategies.js';
+import { getConfidenceBands, checkSeparation } from '../confidence.js';
+import { getBonusPool, fitToPool } from '../budget.js';
+import {
+  CONSENSUS_STRATEGY,
+  SERVICE_CONSENSUS_STRATEGIES,
+  CONFIDENCE_LEVEL,
+  EARLY_STOP_MIN_REVIEWS
+} from '../config.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-const { PrismaClient } = pkg;
-const prismaClient = new PrismaClient();
-
 class ConsensusService {
   constructor() {
     this.MINIMUM_SUBMISSIONS_THRESHOLD = 0.8; // 80% of required submissions
@@ -34,13 +47,15 @@ class ConsensusService {
       const requiredSubmissions = task.reviewCount;
       const currentSubmissions = task.submissions.length;
       const completionPercentage = currentSubmissions / requiredSubmissions;
+      const isReadyForConsensus = completionPercentage >= this.MINIMUM_SUBMISSIONS_THRESHOLD;
 
       return {
         taskId,
         requiredSubmissions,
         currentSubmissions,
         completionPercentage,
-        isReadyForConsensus: completionPercentage >= this.MINIMUM_SUBMISSIONS_THRESHOLD,
+        isReadyForConsensus,
+        canStopEarly: !isReadyForConsensus && this.canStopEarly(task),
         task
       };
     } catch (error) {
@@ -49,16 +64,115 @@ class ConsensusService {
     }
   }
 
+  /**
+   * Confidence in a task's vote shares: a band around each option's share and
+   * whether the leader is separated from the runner-up. On pairwise tasks a
+   * share is of the comparisons the option was in, and separation looks at
+   * the comparisons between the leader and the runner-up.
+   * @param {Object} task - Task with options and submissions
+   * @param {Array<number>} [order] - Option IDs best first; by vote count, or
+   *   Bradley–Terry strength on pairwise tasks, when omitted
+   * @returns {Object} level, each option's total (votes or comparisons) and
+   *   band (percent) by option ID, and separation
+   */
+  getConfidence(task, order) {
+    const counts = new Map(task.options.map(option => [option.id, 0]));
+    const shown = new Map(task.options.map(option => [option.id, task.pairwise ? 0 : task.submissions.length]));
+    for (const submission of task.submissions) {
+      if (counts.has(submission.option_id)) {
+        counts.set(submission.option_id, counts.get(submission.option_id) + 1);
+      }
+      if (task.pairwise && shown.has(submission.loser_option_id)) {
+        shown.set(submission.option_id, shown.get(submission.option_id) + 1);
+        shown.set(submission.loser_option_id, shown.get(submission.loser_option_id) + 1);
+      }
+    }
+
+    const strengths = task.pairwise
+      ? getStrategy(PAIRWISE_STRATEGY).score(task.options, pairwiseService.getBallots(task.submissions))
+      : counts;
+    const [leader, runnerUp] = order ?? [...counts.keys()]
+      .sort((a, b) => strengths.get(b) - strengths.get(a) || counts.get(b) - counts.get(a) || a - b);
+
+    const beat = (winner, loser) => task.submissions
+      .filter(submission => submission.option_id === winner && submission.loser_option_id === loser)
+      .length;
+
+    return {
+      level: CONFIDENCE_LEVEL,
+      totals: shown,
+      bands: getConfidenceBands(counts, shown),
+      separation: {
+        leader: leader ?? null,
+        runnerUp: runnerUp ?? null,
+        ...(task.pairwise
+          ? checkSeparation(beat(leader, runnerUp), beat(runnerUp, leader))
+          : checkSeparation(counts.get(leader) ?? 0, counts.get(runnerUp) ?? 0))
+      }
+    };
+  }
+
+  /**
+   * Whether a task that opted into early stopping may finish now: it has
+   * EARLY_STOP_MIN_REVIEWS votes and a separated leader
+   * @param {Object} task - Task with options and submissions
+   * @returns {boolean} Whether to finish the task early
+   */
+  canStopEarly(task) {
+    return task.earlyStop &&
+      !task.gold &&
+      !task.done &&
+      task.submissions.length >= EARLY_STOP_MIN_REVIEWS &&
+      this.getConfidence(task).separation.separated;
+  }
+
+  /**
+   * Consensus strategy that ranks a task: Bradley–Terry for pairwise tasks,
+   * else its own choice, else its service's default
+   * @param {Object} task - Task with serviceType, consensusStrategy and pairwise
+   * @returns {Object} Strategy
+   */
+  getTaskStrategy(task) {
+    if (task.pairwise) {
+      return getStrategy(PAIRWISE_STRATEGY);
+    }
+
+    return getStrategy(
+      task.consensusStrategy ?? SERVICE_CONSENSUS_STRATEGIES[task.serviceType] ?? CONSENSUS_STRATEGY
+    );
+  }
+
+  /**
+   * What a task asks workers for: a choice, a ranking, or on pairwise tasks
+   * a choice between the two options they are shown
+   * @param {Object} task - Task
+   * @returns {string} 'choice', 'ranking' or 'pair'
+   */
+  getBallot(task) {
+    return task.pairwise ? 'pair' : this.getTaskStrategy(task).ballot;
+  }
+
+  /**
+   * Vote weights of the workers who voted on a task: their current reputation
+   * @param {Array<Object>} submissions - Task submissions
+   * @returns {Promise<Map<number, number>>} Weight by worker ID
+   */
+  async getVoteWeights(submissions) {
+    return reputationService.getWeights(submissions.map(submission => submission.worker_id));
+  }
+
   /**
    * Calculate consensus results for a completed task
    * @param {number} taskId - Task ID to calculate consensus for
+   * @param {Object} options - Calculation options
+   * @param {boolean} options.force - Skip the minimum submissions check
    * @returns {Promise<Object>} Consensus results
    */
-  async calculateConsensus(taskId) {
+  async calculateConsensus(taskId, { force = false } = {}) {
     try {
       const taskStatus = await this.checkTaskCompletion(taskId);
       
-      if (!taskStatus.isReadyForConsensus) {
+      if (!taskStatus.isReadyForConsensus && !(force && taskStatus.currentSubmissions > 0)) {
         throw new Error('Task does not have enough submissions for consensus');
       }
 
@@ -83,22 +197,57 @@ class ConsensusService {
         }
       });
 
-      // Sort options by vote count (descending)
+      // Score the options with the task's strategy; ties go to the most votes, then the first option
+      const strategy = this.getTaskStrategy(task);
+      const ballots = task.pairwise
+        ? pairwiseService.getBallots(task.submissions)
+        : task.submissions.map(submission => ({
+            workerId: submission.worker_id,
+            optionId: submission.option_id,
+            ranking: submission.ranking
+          }));
+      const scores = strategy.score(
+        task.options,
+        ballots,
+        strategy.usesWeights ? { weights: await this.getVoteWeights(task.submissions) } : {}
+      );
+
+      // On pairwise tasks an option's percentage is of the comparisons it was in
+      const shownCount = (optionId) => (task.pairwise
+        ? ballots.filter(ballot => ballot.optionId === optionId || ballot.loserId === optionId).length
+        : task.submissions.length);
+
       const sortedResults = Object.values(voteCounts)
-        .sort((a, b) => b.count - a.count)
+        .map(result => ({ ...result, score: scores.get(result.optionId) }))
+        .sort((a, b) => b.score - a.score || b.count - a.count || a.optionId - b.optionId)
         .map((result, index) => ({
           ...result,
           rank: index + 1,
-          percentage: (result.count / task.submissions.length) * 100
+          percentage: shownCount(result.optionId) > 0 ? (result.count / shownCount(result.optionId)) * 100 : 0
         }));
 
+      // Bands around the vote shares, and whether the winner is separated from second place
+      const confidence = this.getConfidence(task, sortedResults.map(result => result.optionId));
+      for (const result of sortedResults) {
+        result.interval = confidence.bands.get(result.optionId);
+      }
+
       // Calculate worker rewards based on consensus
       const workerRewards = await this.calculateWorkerRewards(task, sortedResults);
 
       return {
         taskId,
         totalSubmissions: task.submissions.length,
+        strategy: {
+          name: strategy.name,
+          version: strategy.version
+        },
         results: sortedResults,
+        ...(task.pairwise && { comparisons: ballots }),
+        confidence: {
+          level: confidence.level,
+          separation: confidence.separation
+        },
         workerRewards,
         consensusReached: true
       };
@@ -109,32 +258,77 @@ class ConsensusService {
   }
 
   /**
-   * Calculate rewards for workers based on consensus results
+   * Calculate rewards for workers based on consensus results.
+   * Rewards are priced in lamports and scaled down together when they would
+   * exceed the task's bonus pool, then paid in each worker's payout currency.
    * @param {Object} task - Task object
    * @param {Array} consensusResults - Sorted consensus results
-   * @returns {Promise<Array>} Worker rewards
+   * @returns {Promise<Array>} Worker rewards; escrowAmount is the task-currency cost of each
    */
   async calculateWorkerRewards(task, consensusResults) {
     try {
       const workerRewards = [];
       
-      // Get top 3 options for rewards
-      const rewardableOptions = consensusResults.slice(0, 3);
-      
-      for (const [index, result] of rewardableOptions.entries()) {
-        const rank = index + 1;
-        const rewardAmount = solanaService.calculateWorkerReward(task.serviceType, rank);
-        
-        // Reward all workers who voted for this option
-        for (const workerId of result.voters) {
-          workerRewards.push({
-            workerId,
-            optionId: result.optionId,
-            rank,
-            amount: rewardAmount,
-            percentage: result.percentage
-          });
-        }
+      // Voters for the top 3 options are rewarded by their option's place. On
+      // pairwise tasks, a worker whose choice finished above the option it
+      // beat earns the first-place reward.
+      const resultsByOption = new Map(consensusResults.map(result => [result.optionId, result]));
+      const rewardable = task.pairwise
+        ? task.submissions
+            .filter(submission => submission.loser_option_id !== null &&
+              resultsByOption.get(submission.option_id).rank < resultsByOption.get(submission.loser_option_id).rank)
+            .map(submission => ({ workerId: submission.worker_id, result: resultsByOption.get(submission.option_id), place: 1 }))
+        : consensusResults.slice(0, 3).flatMap((result, index) =>
+            result.voters.map(workerId => ({ workerId, result, place: index + 1 })));
+
+      const workers = await prismaClient.worker.findMany({
+        where: {
+          id: {
+            in: rewardable.map(reward => reward.workerId)
+          }
+        },
+        select: { id: true, payoutCurrency: true }
+      });
+      const currencies = new Map(workers.map(worker => [worker.id, worker.payoutCurrency]));
+
+      // Convert every reward in this task at the same rate
+      const solPrice = task.currency !== 'SOL' || workers.some(worker => worker.payoutCurrency !== 'SOL')
+        ? await solanaService.getSolPrice()
+        : undefined;
+
+      // The reward policy of the pricing table the task was quoted from
+      const table = await pricingService.getTaskTable(task);
+
+      const escrowAmounts = new Map();
+      for (const place of new Set(rewardable.map(reward => reward.place))) {
+        const rewardAmount = pricingService.getWorkerReward(table, place);
+        escrowAmounts.set(place, await solanaService.convertAmount(rewardAmount, 'SOL', task.currency, solPrice));
+      }
+
+      const requested = rewardable.map(({ workerId, result, place }) => ({
+        workerId,
+        result,
+        rank: result.rank,
+        escrowAmount: escrowAmounts.get(place)
+      }));
+
+      const fitted = fitToPool(
+        requested.map(reward => reward.escrowAmount),
+        getBonusPool(task)
+      );
+
+      for (const [index, { workerId, result, rank }] of requested.entries()) {
+        const currency = currencies.get(workerId) || 'SOL';
+
+        workerRewards.push({
+          workerId,
+          optionId: result.optionId,
+          rank,
+          amount: await solanaService.convertAmount(fitted[index], task.currency, currency, solPrice),
+          currency,
+          escrowAmount: fitted[index],
+          percentage: result.percentage
+        });
       }
 
       return workerRewards;
@@ -147,19 +341,22 @@ class ConsensusService {
   /**
    * Process task completion and distribute rewards
    * @param {number} taskId - Task ID to process
+   * @param {Object} options - Calculation options passed to calculateConsensus
+   * @param {boolean} options.expired - The task missed its deadline; refund its leftover escrow on chain
+   * @param {boolean} options.earlyStop - The task stopped early on a separated winner; refund its leftover escrow on chain
    * @returns {Promise<Object>} Processing result
    */
-  async processTaskCompletion(taskId) {
+  async processTaskCompletion(taskId, options = {}) {
     try {
       console.log(`Processing task completion for task ${taskId}`);
       
       // Calculate consensus
-      const consensus = await this.calculateConsensus(taskId);
+      const consensus = await this.calculateConsensus(taskId, options);
       
       // Start database transaction for atomic operations
       const result = await prismaClient.$transaction(async (tx) => {
         // Mark task as completed
-        await tx.task.update({
+        const task = await tx.task.update({
           where: { id: taskId },
           data: {
             done: true,
@@ -167,10 +364,16 @@ class ConsensusService {
           }
         });
 
+        // Score every voter against the final ranking
+        await reputationService.recordConsensus(tx, consensus.results, task.completedAt, consensus.comparisons);
+
         // Create task results
         const taskResult = await tx.taskResult.create({
           data: {
-            task_id: taskId
+            task_id: taskId,
+            strategy: consensus.strategy.name,
+            strategyVersion: consensus.strategy.version,
+            earlyStopped: Boolean(options.earlyStop)
           }
         });
 
@@ -182,22 +385,33 @@ class ConsensusService {
               task_result_id: taskResult.id,
               vote_count: result.count,
               rank: result.rank,
-              percentage: result.percentage
+              percentage: result.percentage,
+              score: result.score
             }
           });
         }
 
-        // Distribute rewards to workers
+        // Credit rewards to worker balances; funds leave the payout wallet when workers withdraw
         const rewardTransactions = [];
         for (const reward of consensus.workerRewards) {
-          // Update worker pending amount
+          await ledgerService.post(tx, {
+            kind: 'ConsensusBonus',
+            transfers: [{
+              from: LEDGER_ACCOUNTS.task(taskId),
+              to: LEDGER_ACCOUNTS.workerPending(reward.workerId),
+              amount: reward.escrowAmount,
+              currency: task.currency,
+              toAmount: reward.amount,
+              toCurrency: reward.currency
+            }],
+            workerId: reward.workerId,
+            taskId
+          });
+
           await tx.worker.update({
             where: { id: reward.workerId },
             data: {
-              pending_amount: {
-                increment: reward.amount
-              },
-              total_earned: {
+              [BALANCE_FIELDS[reward.currency].totalEarned]: {
                 increment: reward.amount
               },
               tasks_completed: {
@@ -206,24 +420,26 @@ class ConsensusService {
             }
           });
 
-          // Create reward transaction record
-          const rewardTx = await solanaService.sendReward(
-            (await tx.worker.findUnique({ where: { id: reward.workerId } })).address,
-            reward.amount
-          );
-
           rewardTransactions.push({
             workerId: reward.workerId,
             amount: reward.amount,
-            signature: rewardTx,
+            currency: reward.currency,
             rank: reward.rank
           });
         }
 
+        // Rewards have been paid; the rest of the escrow is refunded or kept.
+        // Tasks that missed their deadline or stopped early always refund it
+        // on chain, so users only pay for the reviews they got.
+        const leftover = options.expired || options.earlyStop
+          ? await refundService.queueRefund(tx, task)
+          : await escrowService.releaseLeftover(tx, task);
+
         return {
           taskId,
           consensus,
           rewardTransactions,
+          leftover,
           completedAt: new Date()
         };
       });
@@ -237,6 +453,68 @@ class ConsensusService {
     }
   }
 
+  /**
+   * Recalculate the stored results of a completed task without paying rewards again
+   * @param {number} taskId - Task ID
+   * @returns {Promise<Object>} Recalculated consensus results
+   */
+  async recalculateResults(taskId) {
+    try {
+      const taskResult = await prismaClient.taskResult.findUnique({
+        where: { task_id: taskId }
+      });
+
+      if (!taskResult) {
+        throw new Error('Task has no stored results to recalculate');
+      }
+
+      const consensus = await this.calculateConsensus(taskId, { force: true });
+
+      await prismaClient.$transaction(async (tx) => {
+        await tx.taskResult.update({
+          where: { id: taskResult.id },
+          data: {
+            strategy: consensus.strategy.name,
+            strategyVersion: consensus.strategy.version
+          }
+        });
+
+        await tx.optionResult.deleteMany({
+          where: { task_result_id: taskResult.id }
+        });
+
+        for (const result of consensus.results) {
+          await tx.optionResult.create({
+            data: {
+              option_id: result.optionId,
+              task_result_id: taskResult.id,
+              vote_count: result.count,
+              rank: result.rank,
+              percentage: result.percentage,
+              score: result.score
+            }
+          });
+        }
+      });
+
+      return {
+        taskId,
+        totalSubmissions: consensus.totalSubmissions,
+        strategy: consensus.strategy,
+        results: consensus.results.map(result => ({
+          optionId: result.optionId,
+          rank: result.rank,
+          voteCount: result.count,
+          percentage: result.percentage,
+          score: result.score
+        }))
+      };
+    } catch (error) {
+      console.error('Error recalculating task results:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get consensus results for a completed task
    * @param {number} taskId - Task ID
@@ -272,16 +550,36 @@ class ConsensusService {
         return null;
       }
 
+      const confidence = this.getConfidence(
+        {
+          pairwise: taskResult.task.pairwise,
+          options: taskResult.results.map(result => result.option),
+          submissions: taskResult.task.submissions
+        },
+        taskResult.results.map(result => result.option_id)
+      );
+
       return {
         taskId,
         totalSubmissions: taskResult.task.submissions.length,
+        strategy: {
+          name: taskResult.strategy,
+          version: taskResult.strategyVersion
+        },
         results: taskResult.results.map(result => ({
           optionId: result.option_id,
           rank: result.rank,
           voteCount: result.vote_count,
           percentage: result.percentage,
+          interval: confidence.bands.get(result.option_id),
+          score: result.score,
           option: result.option
         })),
+        confidence: {
+          level: confidence.level,
+          separation: confidence.separation
+        },
+        earlyStopped: taskResult.earlyStopped,
         completedAt: taskResult.createdAt
       };
     } catch (error) {
@@ -299,9 +597,10 @@ class ConsensusService {
       console.log('Checking for tasks ready for consensus...');
       
       const incompleteTasks = await prismaClient.task.findMany({
-        where: { done: false },
+        where: { done: false, gold: false },
         include: {
-          submissions: true
+          submissions: true,
+          options: true
         }
       });
 
@@ -310,9 +609,14 @@ class ConsensusService {
       for (const task of incompleteTasks) {
         const completionPercentage = task.submissions.length / task.reviewCount;
         
-        if (completionPercentage >= this.MINIMUM_SUBMISSIONS_THRESHOLD) {
+        const ready = completionPercentage >= this.MINIMUM_SUBMISSIONS_THRESHOLD;
+        
+        if (ready || this.canStopEarly(task)) {
           try {
-            const result = await this.processTaskCompletion(task.id);
+            const result = await this.processTaskCompletion(
+              task.id,
+              ready ? {} : { force: true, earlyStop: true }
+            );
             processedTasks.push(result);
           } catch (error) {
             console.error(`Error processing task ${task.id}:`, error);
@@ -329,7 +633,88 @@ class ConsensusService {
   }
 
   /**
-   * Get worker performance statistics
+   * Finalize a task that missed its deadline with the votes it has and refund
+   * its unused escrow to the user on chain
+   * @param {number} taskId - Task ID
+   * @returns {Promise<Object>} Processing result
+   */
+  async expireTask(taskId) {
+    try {
+      const submissions = await prismaClient.submission.count({
+        where: { task_id: taskId }
+      });
+
+      if (submissions > 0) {
+        return await this.processTaskCompletion(taskId, { force: true, expired: true });
+      }
+
+      // Nobody voted, so there are no results to record
+      return await prismaClient.$transaction(async (tx) => {
+        const closed = await tx.task.updateMany({
+          where: { id: taskId, done: false },
+          data: {
+            done: true,
+            completedAt: new Date()
+          }
+        });
+
+        if (closed.count !== 1) {
+          throw new Error('Task is already completed');
+        }
+
+        const task = await tx.task.findUnique({ where: { id: taskId } });
+
+        return {
+          taskId,
+          consensus: null,
+          rewardTransactions: [],
+          leftover: await refundService.queueRefund(tx, task),
+          completedAt: task.completedAt
+        };
+      });
+    } catch (error) {
+      console.error('Error expiring task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finalize every open task whose deadline has passed
+   * @returns {Promise<Array>} Results with the task owner for each expired task
+   */
+  async processExpiredTasks() {
+    try {
+      const expired = await prismaClient.task.findMany({
+        where: {
+          done: false,
+          gold: false,
+          deadline: {
+            lt: new Date()
+          }
+        },
+        select: { id: true, user_id: true }
+      });
+
+      const processed = [];
+      for (const task of expired) {
+        try {
+          const result = await this.expireTask(task.id);
+          processed.push({ ...result, userId: task.user_id });
+        } catch (error) {
+          console.error(`Error expiring task ${task.id}:`, error);
+        }
+      }
+
+      return processed;
+    } catch (error) {
+      console.error('Error processing expired tasks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get worker performance statistics. Accuracy and reputation are kept up to
+   * date as tasks finalize, so nothing is recomputed here.
    * @param {number} workerId - Worker ID
    * @returns {Promise<Object>} Worker statistics
    */
@@ -338,19 +723,8 @@ class ConsensusService {
       const worker = await prismaClient.worker.findUnique({
         where: { id: workerId },
         include: {
-          submissions: {
-            include: {
-              task: {
-                include: {
-                  results: {
-                    include: {
-                      results: true
-                    }
-                  }
-                }
-              },
-              option: true
-            }
+          _count: {
+            select: { submissions: true }
           }
         }
       });
@@ -359,43 +733,40 @@ class ConsensusService {
         throw new Error('Worker not found');
       }
 
-      // Calculate accuracy based on consensus alignment
-      let correctSubmissions = 0;
-      let totalCompletedSubmissions = 0;
-
-      for (const submission of worker.submissions) {
-        if (submission.task.done && submission.task.results.length > 0) {
-          totalCompletedSubmissions++;
-          
-          // Check if worker's choice was in top 3
-          const taskResults = submission.task.results[0].results;
-          const workerChoice = taskResults.find(r => r.option_id === submission.option_id);
-          
-          if (workerChoice && workerChoice.rank <= 3) {
-            correctSubmissions++;
-          }
-        }
-      }
-
-      const accuracy = totalCompletedSubmissions > 0 
-        ? (correctSubmissions / totalCompletedSubmissions) * 100 
-        : 0;
-
       return {
         workerId,
         totalEarned: worker.total_earned,
         pendingAmount: worker.pending_amount,
         lockedAmount: worker.locked_amount,
         tasksCompleted: worker.tasks_completed,
-        accuracy: Math.round(accuracy * 100) / 100,
-        totalSubmissions: worker.submissions.length,
-        completedSubmissions: totalCompletedSubmissions
+        accuracy: worker.accuracy_score,
+        reputation: reputationService.describe(worker),
+        totalSubmissions: worker._count.submissions,
+        completedSubmissions: worker.reviews_scored
       };
     } catch (error) {
       console.error('Error getting worker stats:', error);
       throw error;
     }
   }
+
+  /**
+   * Rebuild a worker's reputation and accuracy from their history. The
+   * completed task count is left alone: it counts consensus rewards paid,
+   * which the rebuild does not replay.
+   * @param {number} workerId - Worker ID
+   * @returns {Promise<Object>} Updated worker statistics
+   */
+  async refreshWorkerStats(workerId) {
+    try {
+      await reputationService.rebuild(workerId);
+
+      return await this.getWorkerStats(workerId);
+    } catch (error) {
+      console.error('Error refreshing worker stats:', error);
+      throw error;
+    }
+  }
 }
 
 export default new ConsensusService();
\ No newline at end of file
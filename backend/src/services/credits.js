@@ -0,0 +1,119 @@
+import { Keypair } from '@solana/web3.js';
+import { prismaClient } from '../db.js';
+import { LEDGER_ACCOUNTS } from './ledger.js';
+import { CURRENCIES, CREDIT_FIELDS } from '../currencies.js';
+import { DEPOSIT_TTL_MS } from '../config.js';
+
+class CreditService {
+  /**
+   * Open a deposit request the user pays on chain to top up their credit
+   * @param {number} userId - User ID
+   * @param {bigint} amount - Amount in base units
+   * @param {string} currency - SOL or USDC
+   * @returns {Promise<Object>} Created deposit
+   */
+  async createDeposit(userId, amount, currency) {
+    try {
+      return await prismaClient.deposit.create({
+        data: {
+          user_id: userId,
+          amount,
+          currency,
+          reference: Keypair.generate().publicKey.toBase58(),
+          expiresAt: new Date(Date.now() + DEPOSIT_TTL_MS)
+        }
+      });
+    } catch (error) {
+      console.error('Error creating deposit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Credit a user can spend in one currency. Payments verified for a quote
+   * but not yet used by an upload are already in the user's ledger account,
+   * so they are held back for that upload.
+   * @param {number} userId - User ID
+   * @param {string} currency - SOL or USDC
+   * @param {Object} [client] - Prisma client or transaction client
+   * @returns {Promise<Object>} balance, reserved and available in base units
+   */
+  async getAvailable(userId, currency, client = prismaClient) {
+    const [user, { _sum }] = await Promise.all([
+      client.user.findUnique({
+        where: { id: userId },
+        select: { [CREDIT_FIELDS[currency]]: true }
+      }),
+      client.payment.aggregate({
+        where: {
+          user_id: userId,
+          currency,
+          status: 'Verified',
+          quote_id: { not: null }
+        },
+        _sum: { amount: true }
+      })
+    ]);
+
+    const balance = user?.[CREDIT_FIELDS[currency]] ?? 0n;
+    const reserved = _sum.amount ?? 0n;
+    const available = balance > reserved ? balance - reserved : 0n;
+
+    return { balance, reserved, available };
+  }
+
+  /**
+   * Credit balances in every currency
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Balance, reserved and available amounts keyed by currency
+   */
+  async getBalances(userId) {
+    try {
+      const balances = await Promise.all(CURRENCIES.map(currency => this.getAvailable(userId, currency)));
+      return Object.fromEntries(CURRENCIES.map((currency, index) => [currency, balances[index]]));
+    } catch (error) {
+      console.error('Error getting credit balances:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Page through the ledger entries of a user's credit account, newest first
+   * @param {number} userId - User ID
+   * @param {Object} options - page, limit and an optional currency
+   * @returns {Promise<Object>} Entries and pagination
+   */
+  async getTransactions(userId, { page, limit, currency }) {
+    try {
+      const where = {
+        account: LEDGER_ACCOUNTS.user(userId),
+        ...(currency && { currency })
+      };
+
+      const [entries, total] = await Promise.all([
+        prismaClient.ledgerEntry.findMany({
+          where,
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prismaClient.ledgerEntry.count({ where })
+      ]);
+
+      return {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting credit transactions:', error);
+      throw error;
+    }
+  }
+}
+
+export default new CreditService();
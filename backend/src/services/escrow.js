@@ -0,0 +1,120 @@
+import ledgerService, { LEDGER_ACCOUNTS } from './ledger.js';
+import { ESCROW_LEFTOVER } from '../config.js';
+
+class EscrowService {
+  /**
+   * Move a new task's payment into its escrow and take the platform fee.
+   * A promo discount is paid into escrow by the platform, so the reward
+   * budget is the same as at list price.
+   * Must run inside the task-creation transaction.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} task - Created task
+   * @param {number} [paymentId] - Payment that funded the task
+   * @returns {Promise<void>}
+   */
+  async fund(tx, task, paymentId) {
+    await ledgerService.post(tx, {
+      kind: 'Escrow',
+      transfers: [{
+        from: LEDGER_ACCOUNTS.user(task.user_id),
+        to: LEDGER_ACCOUNTS.task(task.id),
+        amount: task.amount,
+        currency: task.currency
+      }],
+      userId: task.user_id,
+      taskId: task.id,
+      paymentId
+    });
+
+    if (task.discount > 0n) {
+      await ledgerService.post(tx, {
+        kind: 'Discount',
+        transfers: [{
+          from: LEDGER_ACCOUNTS.platform,
+          to: LEDGER_ACCOUNTS.task(task.id),
+          amount: task.discount,
+          currency: task.currency
+        }],
+        userId: task.user_id,
+        taskId: task.id
+      });
+    }
+
+    await ledgerService.post(tx, {
+      kind: 'Fee',
+      transfers: [{
+        from: LEDGER_ACCOUNTS.task(task.id),
+        to: LEDGER_ACCOUNTS.platform,
+        amount: task.platformFee,
+        currency: task.currency
+      }],
+      userId: task.user_id,
+      taskId: task.id
+    });
+  }
+
+  /**
+   * Give the platform back the escrow it added for a discount that the task
+   * did not spend, so a refund never exceeds what the user paid
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} task - Finished task with amount and discount
+   * @returns {Promise<bigint>} Escrow left for the user
+   */
+  async reclaimDiscount(tx, task) {
+    const account = LEDGER_ACCOUNTS.task(task.id);
+    const leftover = await ledgerService.getAccountBalance(account, task.currency, tx);
+
+    if (leftover <= task.amount) {
+      return leftover;
+    }
+
+    await ledgerService.post(tx, {
+      kind: 'Discount',
+      transfers: [{
+        from: account,
+        to: LEDGER_ACCOUNTS.platform,
+        amount: leftover - task.amount,
+        currency: task.currency
+      }],
+      userId: task.user_id,
+      taskId: task.id
+    });
+
+    return task.amount;
+  }
+
+  /**
+   * Empty a finished task's escrow, refunding the user or returning the rest to the platform
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} task - Finished task
+   * @param {string} [policy] - 'refund' or 'platform'
+   * @returns {Promise<Object>} Leftover amount and where it went
+   */
+  async releaseLeftover(tx, task, policy = ESCROW_LEFTOVER) {
+    const account = LEDGER_ACCOUNTS.task(task.id);
+    const refund = policy === 'refund';
+    const leftover = refund
+      ? await this.reclaimDiscount(tx, task)
+      : await ledgerService.getAccountBalance(account, task.currency, tx);
+
+    if (leftover <= 0n) {
+      return { amount: 0n, policy };
+    }
+
+    await ledgerService.post(tx, {
+      kind: refund ? 'Refund' : 'Fee',
+      transfers: [{
+        from: account,
+        to: refund ? LEDGER_ACCOUNTS.user(task.user_id) : LEDGER_ACCOUNTS.platform,
+        amount: leftover,
+        currency: task.currency
+      }],
+      userId: task.user_id,
+      taskId: task.id
+    });
+
+    return { amount: leftover, policy };
+  }
+}
+
+export default new EscrowService();
@@ -0,0 +1,389 @@
+import { createHmac } from 'crypto';
+import { prismaClient, getNextTask } from '../db.js';
+import ledgerService, { LEDGER_ACCOUNTS } from './ledger.js';
+import escrowService from './escrow.js';
+import pricingService from './pricing.js';
+import reputationService from './reputation.js';
+import consensusService from './consensus.js';
+import {
+  GOLD_TASK_RATE,
+  GOLD_SUSPEND_MIN_CHECKS,
+  GOLD_SUSPEND_FAILURE_RATE,
+  GOLD_TASK_SECRET,
+  TASK_DEADLINE_MS
+} from '../config.js';
+import { splitPayment, getBaseReward } from '../budget.js';
+
+const requestError = (status, message) => Object.assign(new Error(message), { status });
+
+class GoldService {
+  /**
+   * Whether a worker's next task should be a gold task. Turns are numbered by
+   * the worker's submission count, so asking again before submitting gives
+   * the same answer and reloading cannot reveal a gold task.
+   * @param {number} workerId - Worker ID
+   * @param {number} turn - Number of submissions the worker has made
+   * @returns {boolean} Whether the turn serves a gold task
+   */
+  isGoldTurn(workerId, turn) {
+    const digest = createHmac('sha256', GOLD_TASK_SECRET).update(`${workerId}:${turn}`).digest();
+    return digest.readUInt32BE(0) / 0x100000000 < GOLD_TASK_RATE;
+  }
+
+  /**
+   * Next task for a worker, a gold task on gold turns when one is available
+   * @param {number} workerId - Worker ID
+   * @returns {Promise<Object|null>} Task or null
+   */
+  async getNextTask(workerId) {
+    const turn = await prismaClient.submission.count({
+      where: { worker_id: workerId }
+    });
+
+    if (this.isGoldTurn(workerId, turn)) {
+      const gold = await getNextTask(workerId, { gold: true });
+      if (gold) {
+        return gold;
+      }
+    }
+
+    return getNextTask(workerId);
+  }
+
+  /**
+   * Whether a selection passes a gold task's check
+   * @param {Object} task - Gold task with options and their gold_correct flags
+   * @param {number} selection - Option the worker chose
+   * @returns {boolean} Whether the option is an accepted answer
+   */
+  isCorrect(task, selection) {
+    return task.options.some(option => option.id === selection && option.gold_correct);
+  }
+
+  /**
+   * Record a gold check against a worker: count it, add it to their reputation
+   * and suspend them once they fail too many. Must run inside the transaction
+   * that stores the submission.
+   * @param {Object} tx - Prisma transaction client
+   * @param {number} workerId - Worker ID
+   * @param {boolean} passed - Whether the check passed
+   * @returns {Promise<Object>} Updated check counts and whether the worker is now suspended
+   */
+  async recordCheck(tx, workerId, passed) {
+    const worker = await tx.worker.update({
+      where: { id: workerId },
+      data: {
+        gold_checks: { increment: 1 },
+        ...(!passed && { gold_failures: { increment: 1 } })
+      },
+      select: { gold_checks: true, gold_failures: true, suspendedAt: true }
+    });
+
+    await reputationService.recordGoldCheck(tx, workerId, passed);
+
+    const suspend = !passed &&
+      !worker.suspendedAt &&
+      worker.gold_checks >= GOLD_SUSPEND_MIN_CHECKS &&
+      worker.gold_failures / worker.gold_checks >= GOLD_SUSPEND_FAILURE_RATE;
+
+    if (suspend) {
+      await tx.worker.update({
+        where: { id: workerId },
+        data: {
+          suspendedAt: new Date(),
+          suspensionReason: `Failed ${worker.gold_failures} of ${worker.gold_checks} quality checks`
+        }
+      });
+      console.log(`Worker ${workerId} suspended after failing ${worker.gold_failures} of ${worker.gold_checks} gold checks`);
+    }
+
+    return {
+      checks: worker.gold_checks,
+      failures: worker.gold_failures,
+      suspended: Boolean(worker.suspendedAt) || suspend
+    };
+  }
+
+  /**
+   * Create a gold task. It is priced and split like a paid task of the same
+   * plan so workers see the same figures, and the platform funds the base
+   * rewards of every review it can take.
+   * @param {Object} data - serviceType, reviewCount, currency, title and options with their correct flags
+   * @returns {Promise<Object>} Created task with options
+   */
+  async createGoldTask({ serviceType, reviewCount, currency, title, options }) {
+    try {
+      if (!options.some(option => option.correct)) {
+        throw requestError(400, 'A gold task needs at least one correct option');
+      }
+
+      const { amount, table } = await pricingService.quote(serviceType, reviewCount, currency);
+      if (amount === 0n) {
+        throw requestError(400, 'No pricing table offers this plan');
+      }
+
+      const { platformFee, rewardBudget } = splitPayment(amount);
+
+      return await prismaClient.$transaction(async (tx) => {
+        const task = await tx.task.create({
+          data: {
+            serviceType,
+            reviewCount,
+            currency,
+            amount,
+            platformFee,
+            rewardBudget,
+            pricing_table_id: table.id,
+            deadline: new Date(Date.now() + TASK_DEADLINE_MS),
+            // Ask for the same ballot as paid tasks of this service
+            consensusStrategy: consensusService.getTaskStrategy({ serviceType }).name,
+            gold: true,
+            ...(title && { title }),
+            options: {
+              create: options.map(option => ({
+                image_url: option.imageUrl ?? null,
+                video_url: option.videoUrl ?? null,
+                ipfs_hash: option.ipfsHash ?? null,
+                file_type: option.fileType,
+                gold_correct: option.correct
+              }))
+            }
+          },
+          include: { options: true }
+        });
+
+        await ledgerService.post(tx, {
+          kind: 'Escrow',
+          transfers: [{
+            from: LEDGER_ACCOUNTS.platform,
+            to: LEDGER_ACCOUNTS.task(task.id),
+            amount: getBaseReward(task) * BigInt(reviewCount),
+            currency
+          }],
+          taskId: task.id,
+          memo: 'Gold task base rewards'
+        });
+
+        return task;
+      });
+    } catch (error) {
+      console.error('Error creating gold task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a gold task and return its unspent escrow to the platform
+   * @param {number} taskId - Task ID
+   * @returns {Promise<Object>} Leftover amount returned
+   * @throws {Error} 404 if there is no such gold task, 409 if it is already closed
+   */
+  async closeTask(taskId) {
+    try {
+      const gold = Number.isInteger(taskId) && await prismaClient.task.findFirst({
+        where: { id: taskId, gold: true },
+        select: { id: true }
+      });
+
+      if (!gold) {
+        throw requestError(404, 'Gold task not found');
+      }
+
+      return await prismaClient.$transaction(async (tx) => {
+        const closed = await tx.task.updateMany({
+          where: { id: taskId, done: false },
+          data: {
+            done: true,
+            completedAt: new Date()
+          }
+        });
+
+        if (closed.count !== 1) {
+          throw requestError(409, 'Gold task is already closed');
+        }
+
+        const task = await tx.task.findUnique({ where: { id: taskId } });
+
+        return {
+          taskId,
+          leftover: await escrowService.releaseLeftover(tx, task, 'platform')
+        };
+      });
+    } catch (error) {
+      console.error('Error closing gold task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a gold task once every review it offers has been taken
+   * @param {number} taskId - Task ID
+   * @returns {Promise<Object|null>} Close result, or null if the task still has room
+   */
+  async closeIfFull(taskId) {
+    const task = await prismaClient.task.findUnique({
+      where: { id: taskId },
+      select: {
+        done: true,
+        reviewCount: true,
+        _count: { select: { submissions: true } }
+      }
+    });
+
+    if (!task || task.done || task._count.submissions < task.reviewCount) {
+      return null;
+    }
+
+    return this.closeTask(taskId);
+  }
+
+  /**
+   * Close gold tasks whose deadline has passed, as paid tasks are finalized at theirs
+   * @returns {Promise<Array<Object>>} Close results
+   */
+  async closeExpired() {
+    try {
+      const expired = await prismaClient.task.findMany({
+        where: {
+          gold: true,
+          done: false,
+          deadline: { lt: new Date() }
+        },
+        select: { id: true }
+      });
+
+      const closed = [];
+      for (const task of expired) {
+        try {
+          closed.push(await this.closeTask(task.id));
+        } catch (error) {
+          console.error(`Error closing gold task ${task.id}:`, error);
+        }
+      }
+
+      return closed;
+    } catch (error) {
+      console.error('Error closing expired gold tasks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gold tasks with their answers and how workers did on them, newest first
+   * @returns {Promise<Array<Object>>} Gold tasks
+   */
+  async listGoldTasks() {
+    try {
+      const [tasks, outcomes] = await Promise.all([
+        prismaClient.task.findMany({
+          where: { gold: true },
+          include: { options: true },
+          orderBy: { createdAt: 'desc' }
+        }),
+        prismaClient.submission.groupBy({
+          by: ['task_id', 'gold_passed'],
+          where: {
+            task: { gold: true }
+          },
+          _count: { _all: true }
+        })
+      ]);
+
+      const countOf = (taskId, passed) => outcomes
+        .find(row => row.task_id === taskId && row.gold_passed === passed)?._count._all ?? 0;
+
+      return tasks.map(task => ({
+        id: task.id,
+        title: task.title,
+        serviceType: task.serviceType,
+        reviewCount: task.reviewCount,
+        currency: task.currency,
+        escrowBalance: task.escrowBalance,
+        done: task.done,
+        deadline: task.deadline,
+        createdAt: task.createdAt,
+        options: task.options.map(option => ({
+          id: option.id,
+          imageUrl: option.image_url,
+          videoUrl: option.video_url,
+          ipfsHash: option.ipfs_hash,
+          fileType: option.file_type,
+          correct: option.gold_correct
+        })),
+        checks: {
+          passed: countOf(task.id, true),
+          failed: countOf(task.id, false)
+        }
+      }));
+    } catch (error) {
+      console.error('Error listing gold tasks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Workers suspended for failing gold checks, most recent first
+   * @returns {Promise<Array<Object>>} Suspended workers
+   */
+  async listSuspendedWorkers() {
+    try {
+      const workers = await prismaClient.worker.findMany({
+        where: { suspendedAt: { not: null } },
+        orderBy: { suspendedAt: 'desc' }
+      });
+
+      return workers.map(worker => ({
+        id: worker.id,
+        address: worker.address,
+        suspendedAt: worker.suspendedAt,
+        suspensionReason: worker.suspensionReason,
+        goldChecks: worker.gold_checks,
+        goldFailures: worker.gold_failures,
+        reputation: reputationService.describe(worker)
+      }));
+    } catch (error) {
+      console.error('Error listing suspended workers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lift a worker's suspension. Their check counts start over so the next
+   * failure does not suspend them again at once; reputation is kept.
+   * @param {number} workerId - Worker ID
+   * @returns {Promise<Object>} Reinstated worker
+   * @throws {Error} 404 if there is no such worker, 409 if they are not suspended
+   */
+  async reinstateWorker(workerId) {
+    try {
+      const worker = Number.isInteger(workerId) && await prismaClient.worker.findUnique({
+        where: { id: workerId },
+        select: { suspendedAt: true }
+      });
+
+      if (!worker) {
+        throw requestError(404, 'Worker not found');
+      }
+
+      if (!worker.suspendedAt) {
+        throw requestError(409, 'Worker is not suspended');
+      }
+
+      return await prismaClient.worker.update({
+        where: { id: workerId },
+        data: {
+          suspendedAt: null,
+          suspensionReason: null,
+          gold_checks: 0,
+          gold_failures: 0
+        },
+        select: { id: true, address: true, suspendedAt: true }
+      });
+    } catch (error) {
+      console.error('Error reinstating worker:', error);
+      throw error;
+    }
+  }
+}
+
+export default new GoldService();
@@ -0,0 +1,221 @@
+import PDFDocument from 'pdfkit';
+import { prismaClient } from '../db.js';
+import solanaService from './solana.js';
+import { CURRENCY_DECIMALS, formatDecimalAmount } from '../currencies.js';
+import { INVOICE_ISSUER } from '../config.js';
+
+const requestError = (status, message) => Object.assign(new Error(message), { status });
+
+// Task fields an invoice is built from
+const INVOICE_SELECT = {
+  id: true,
+  serviceType: true,
+  reviewCount: true,
+  amount: true,
+  discount: true,
+  currency: true,
+  solUsdRate: true,
+  signature: true,
+  createdAt: true,
+  user: {
+    select: { address: true }
+  }
+};
+
+class InvoiceService {
+  /**
+   * Invoice for a task purchase. USD values use the rate of the task's quote,
+   * so they do not change with the market.
+   * @param {Object} task - Task with INVOICE_SELECT fields
+   * @returns {Promise<Object>} Invoice
+   */
+  async buildInvoice(task) {
+    const usd = task.currency !== 'SOL' || task.solUsdRate !== null
+      ? await solanaService.amountToUsd(task.amount, task.currency, task.solUsdRate)
+      : null;
+
+    return {
+      invoiceNumber: `PRV-${String(task.id).padStart(6, '0')}`,
+      issuedAt: task.createdAt,
+      issuer: INVOICE_ISSUER,
+      customer: task.user.address,
+      taskId: task.id,
+      serviceType: task.serviceType,
+      reviewCount: task.reviewCount,
+      currency: task.currency,
+      decimals: CURRENCY_DECIMALS[task.currency],
+      listAmount: task.amount + task.discount,
+      discount: task.discount,
+      amount: task.amount,
+      amountDecimal: formatDecimalAmount(task.amount, task.currency),
+      solUsdRate: task.solUsdRate,
+      amountUSD: usd === null ? null : Math.round(usd * 100) / 100,
+      paidWith: task.signature ? 'payment' : task.amount === 0n ? 'promo' : 'credits',
+      signature: task.signature,
+      explorerUrl: task.signature ? solanaService.getExplorerUrl(task.signature) : null
+    };
+  }
+
+  /**
+   * Invoice for one of a user's tasks
+   * @param {number} userId - User ID
+   * @param {number} taskId - Task ID
+   * @returns {Promise<Object>} Invoice
+   * @throws {Error} 404 error if the user has no such task
+   */
+  async getInvoice(userId, taskId) {
+    try {
+      const task = Number.isInteger(taskId) && await prismaClient.task.findFirst({
+        where: {
+          id: taskId,
+          user_id: userId
+        },
+        select: INVOICE_SELECT
+      });
+
+      if (!task) {
+        throw requestError(404, 'Task not found');
+      }
+
+      return await this.buildInvoice(task);
+    } catch (error) {
+      console.error('Error getting invoice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Page through a user's invoices, newest first
+   * @param {number} userId - User ID
+   * @param {Object} options - page, limit and an optional from/to date range
+   * @returns {Promise<Object>} Invoices and pagination
+   */
+  async listInvoices(userId, { page, limit, from, to }) {
+    try {
+      const where = {
+        user_id: userId,
+        ...((from || to) && {
+          createdAt: {
+            ...(from && { gte: from }),
+            ...(to && { lt: to })
+          }
+        })
+      };
+
+      const [tasks, total] = await Promise.all([
+        prismaClient.task.findMany({
+          where,
+          select: INVOICE_SELECT,
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prismaClient.task.count({ where })
+      ]);
+
+      return {
+        invoices: await Promise.all(tasks.map(task => this.buildInvoice(task))),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error listing invoices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render invoices as a PDF, one page each
+   * @param {Array<Object>} invoices - Invoices from buildInvoice
+   * @returns {Promise<Buffer>} PDF document
+   */
+  renderPdf(invoices) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        autoFirstPage: false,
+        info: {
+          Title: invoices.length === 1 ? `Invoice ${invoices[0].invoiceNumber}` : 'Invoices',
+          Author: INVOICE_ISSUER
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      for (const invoice of invoices) {
+        doc.addPage();
+        this.drawInvoice(doc, invoice);
+      }
+
+      if (invoices.length === 0) {
+        doc.addPage();
+        doc.fontSize(12).text('No invoices for this period.');
+      }
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Draw one invoice on the current page
+   * @param {PDFDocument} doc - Document being rendered
+   * @param {Object} invoice - Invoice from buildInvoice
+   */
+  drawInvoice(doc, invoice) {
+    const money = (amount) => `${formatDecimalAmount(amount, invoice.currency)} ${invoice.currency}`;
+    const line = (label, value, options = {}) => {
+      const y = doc.y;
+      doc.font('Helvetica').fillColor('#6b7280').text(label, 50, y, { width: 120 });
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fillColor('#111827')
+        .text(value, 180, y, { width: 365, link: options.link, underline: Boolean(options.link) });
+      doc.moveDown(0.5);
+    };
+    const rule = () => {
+      doc.moveDown(0.5);
+      doc.moveTo(50, doc.y).lineTo(545, doc.y).strokeColor('#e5e7eb').stroke();
+      doc.moveDown();
+    };
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#111827').text(invoice.issuer, 50, 50);
+    doc.font('Helvetica').fontSize(10).fillColor('#6b7280').text('Receipt for a paid evaluation task');
+    doc.moveDown(2);
+
+    line('Invoice', invoice.invoiceNumber, { bold: true });
+    line('Date', invoice.issuedAt.toISOString().slice(0, 10));
+    line('Billed to', invoice.customer);
+    line('Task', `#${invoice.taskId}`);
+    rule();
+
+    line('Service', invoice.serviceType.replace(/_/g, ' ').toLowerCase());
+    line('Reviews', String(invoice.reviewCount));
+    if (invoice.discount > 0n) {
+      line('List price', money(invoice.listAmount));
+      line('Discount', `-${money(invoice.discount)}`);
+    }
+    line('Total', money(invoice.amount), { bold: true });
+    if (invoice.amountUSD !== null) {
+      line('USD value', invoice.currency === 'SOL'
+        ? `$${invoice.amountUSD.toFixed(2)} at $${invoice.solUsdRate.toFixed(2)} / SOL`
+        : `$${invoice.amountUSD.toFixed(2)}`);
+    }
+    rule();
+
+    if (invoice.paidWith === 'payment') {
+      line('Paid with', `On-chain ${invoice.currency} transfer`);
+      line('Signature', invoice.signature, { link: invoice.explorerUrl });
+      line('Explorer', invoice.explorerUrl, { link: invoice.explorerUrl });
+    } else {
+      line('Paid with', invoice.paidWith === 'promo' ? 'Promo code' : 'Prepaid credit balance');
+    }
+  }
+}
+
+export default new InvoiceService();
@@ -0,0 +1,376 @@
+import { v4 as uuidv4 } from 'uuid';
+import { prismaClient } from '../db.js';
+import { CURRENCIES, BALANCE_FIELDS, CREDIT_FIELDS } from '../currencies.js';
+import { LEDGER_ACCOUNTS, getLegs } from '../accounts.js';
+
+export { LEDGER_ACCOUNTS };
+
+// Account prefixes summarised for the platform overview
+const ACCOUNT_GROUPS = {
+  users: 'user:',
+  escrow: 'task:',
+  refunds: 'refund:',
+  workers: 'worker:'
+};
+
+const WORKER_ACCOUNT = /^worker:(\d+):(pending|locked)$/;
+const TASK_ACCOUNT = /^task:(\d+)$/;
+const USER_ACCOUNT = /^user:(\d+)$/;
+
+export class InsufficientBalanceError extends Error {}
+
+class LedgerService {
+  /**
+   * Post a balanced ledger transaction and apply it to the cached balance
+   * columns. Must run inside the Prisma transaction that makes the change it records.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} posting - kind, transfers and the user, worker, task, payment or withdrawal it concerns
+   * @returns {Promise<string>} Ledger transaction ID
+   * @throws {InsufficientBalanceError} If a worker balance, task escrow or user credit would go negative
+   */
+  async post(tx, { kind, transfers, userId, workerId, taskId, paymentId, withdrawalId, memo }) {
+    const txId = uuidv4();
+    const legs = transfers.flatMap(getLegs);
+
+    const totals = new Map();
+    for (const leg of legs) {
+      totals.set(leg.currency, (totals.get(leg.currency) ?? 0n) + leg.amount);
+    }
+    for (const [currency, total] of totals) {
+      if (total !== 0n) {
+        throw new Error(`Unbalanced ${kind} ledger transaction: ${currency} legs sum to ${total}`);
+      }
+    }
+
+    if (legs.length === 0) {
+      return txId;
+    }
+
+    await tx.ledgerEntry.createMany({
+      data: legs.map(leg => ({
+        txId,
+        kind,
+        account: leg.account,
+        currency: leg.currency,
+        amount: leg.amount,
+        userId,
+        workerId: this.parseWorkerAccount(leg.account)?.workerId ?? workerId,
+        taskId,
+        paymentId,
+        withdrawalId,
+        memo
+      }))
+    });
+
+    await this.applyToCache(tx, legs);
+
+    return txId;
+  }
+
+  /**
+   * Read the worker and bucket out of a worker account name
+   * @param {string} account - Account name
+   * @returns {Object|null} Worker ID and 'pending' or 'locked', or null for other accounts
+   */
+  parseWorkerAccount(account) {
+    const match = account.match(WORKER_ACCOUNT);
+    return match ? { workerId: parseInt(match[1]), bucket: match[2] } : null;
+  }
+
+  /**
+   * Find the cached column a ledger account is mirrored in
+   * @param {string} account - Account name
+   * @param {string} currency - SOL or USDC
+   * @returns {Object|null} Prisma model, row ID and column, or null if the account is not cached
+   */
+  getCachedColumn(account, currency) {
+    const worker = this.parseWorkerAccount(account);
+    if (worker) {
+      return { model: 'worker', id: worker.workerId, field: BALANCE_FIELDS[currency][worker.bucket] };
+    }
+
+    const task = account.match(TASK_ACCOUNT);
+    if (task) {
+      // A task's escrow is only ever held in the task's own currency
+      return { model: 'task', id: parseInt(task[1]), field: 'escrowBalance' };
+    }
+
+    const user = account.match(USER_ACCOUNT);
+    if (user) {
+      return { model: 'user', id: parseInt(user[1]), field: CREDIT_FIELDS[currency] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Keep the cached balance columns on Worker, Task and User in step with posted legs
+   * @param {Object} tx - Prisma transaction client
+   * @param {Array<Object>} legs - Posted legs
+   * @returns {Promise<void>}
+   */
+  async applyToCache(tx, legs) {
+    const deltas = new Map();
+    for (const leg of legs) {
+      const column = this.getCachedColumn(leg.account, leg.currency);
+      if (!column) {
+        continue;
+      }
+
+      const key = `${column.model}:${column.id}:${column.field}`;
+      const current = deltas.get(key) ?? { ...column, amount: 0n };
+      deltas.set(key, { ...current, amount: current.amount + leg.amount });
+    }
+
+    for (const { model, id, field, amount } of deltas.values()) {
+      if (amount === 0n) {
+        continue;
+      }
+
+      // Conditional update so concurrent debits cannot overdraw the balance
+      const updated = await tx[model].updateMany({
+        where: {
+          id,
+          ...(amount < 0n && { [field]: { gte: -amount } })
+        },
+        data: {
+          [field]: {
+            increment: amount
+          }
+        }
+      });
+
+      if (updated.count !== 1) {
+        throw new InsufficientBalanceError(`${model} ${id} ${field} is too low`);
+      }
+    }
+  }
+
+  /**
+   * Derive a worker's balances from the ledger
+   * @param {number} workerId - Worker ID
+   * @returns {Promise<Object>} Pending and locked amounts keyed by currency
+   */
+  async getWorkerBalances(workerId) {
+    try {
+      const pending = LEDGER_ACCOUNTS.workerPending(workerId);
+      const locked = LEDGER_ACCOUNTS.workerLocked(workerId);
+
+      const sums = await prismaClient.ledgerEntry.groupBy({
+        by: ['account', 'currency'],
+        where: {
+          account: { in: [pending, locked] }
+        },
+        _sum: { amount: true }
+      });
+
+      const balanceOf = (account, currency) => sums.find(
+        sum => sum.account === account && sum.currency === currency
+      )?._sum.amount ?? 0n;
+
+      return Object.fromEntries(CURRENCIES.map(currency => [currency, {
+        pending: balanceOf(pending, currency),
+        locked: balanceOf(locked, currency)
+      }]));
+    } catch (error) {
+      console.error('Error deriving worker balances:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the balance of a single account
+   * @param {string} account - Account name
+   * @param {string} currency - SOL or USDC
+   * @param {Object} [client] - Prisma client or transaction client
+   * @returns {Promise<bigint>} Balance in base units
+   */
+  async getAccountBalance(account, currency, client = prismaClient) {
+    const { _sum } = await client.ledgerEntry.aggregate({
+      where: { account, currency },
+      _sum: { amount: true }
+    });
+
+    return _sum.amount ?? 0n;
+  }
+
+  /**
+   * Summarise what the platform holds and who it is owed to
+   * @returns {Promise<Object>} Per currency: held, revenue, users, escrow, refunds and workers
+   */
+  async getPlatformSummary() {
+    try {
+      const summary = Object.fromEntries(CURRENCIES.map(currency => [currency, {
+        held: 0n,
+        revenue: 0n,
+        users: 0n,
+        escrow: 0n,
+        refunds: 0n,
+        workers: 0n
+      }]));
+
+      const sumByCurrency = (where) => prismaClient.ledgerEntry.groupBy({
+        by: ['currency'],
+        where,
+        _sum: { amount: true }
+      });
+
+      const groups = {
+        held: sumByCurrency({ account: LEDGER_ACCOUNTS.external }),
+        revenue: sumByCurrency({ account: { in: [LEDGER_ACCOUNTS.platform, LEDGER_ACCOUNTS.fx] } }),
+        ...Object.fromEntries(Object.entries(ACCOUNT_GROUPS).map(([group, prefix]) => [
+          group,
+          sumByCurrency({ account: { startsWith: prefix } })
+        ]))
+      };
+
+      for (const [group, query] of Object.entries(groups)) {
+        for (const row of await query) {
+          summary[row.currency][group] = row._sum.amount ?? 0n;
+        }
+      }
+
+      // Funds held are what came in from outside, so the external account mirrors them
+      for (const currency of CURRENCIES) {
+        summary[currency].held = -summary[currency].held;
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('Error summarising platform ledger:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that every ledger transaction balances and that the cached worker
+   * balances, task escrow and user credit match the balances derived from the ledger
+   * @returns {Promise<Object>} Report listing unbalanced transactions and drifted balances
+   */
+  async checkInvariants() {
+    try {
+      const unbalanced = await prismaClient.ledgerEntry.groupBy({
+        by: ['txId', 'currency'],
+        _sum: { amount: true },
+        having: {
+          amount: {
+            _sum: { not: 0n }
+          }
+        }
+      });
+
+      const sums = await prismaClient.ledgerEntry.groupBy({
+        by: ['account', 'currency'],
+        where: {
+          account: { startsWith: ACCOUNT_GROUPS.workers }
+        },
+        _sum: { amount: true }
+      });
+
+      const derived = new Map(sums.map(sum => [`${sum.account}:${sum.currency}`, sum._sum.amount ?? 0n]));
+
+      const workers = await prismaClient.worker.findMany({
+        select: {
+          id: true,
+          ...Object.fromEntries(CURRENCIES.flatMap(currency => [
+            [BALANCE_FIELDS[currency].pending, true],
+            [BALANCE_FIELDS[currency].locked, true]
+          ]))
+        }
+      });
+
+      const drift = [];
+      for (const worker of workers) {
+        for (const currency of CURRENCIES) {
+          for (const bucket of ['pending', 'locked']) {
+            const account = `worker:${worker.id}:${bucket}`;
+            const cached = worker[BALANCE_FIELDS[currency][bucket]];
+            const ledger = derived.get(`${account}:${currency}`) ?? 0n;
+
+            if (cached !== ledger) {
+              drift.push({ workerId: worker.id, currency, bucket, cached, ledger });
+            }
+          }
+        }
+      }
+
+      // Task escrow is cached per task in the task's currency
+      const escrowSums = await prismaClient.ledgerEntry.groupBy({
+        by: ['account'],
+        where: {
+          account: { startsWith: ACCOUNT_GROUPS.escrow }
+        },
+        _sum: { amount: true }
+      });
+      const escrow = new Map(escrowSums.map(sum => [sum.account, sum._sum.amount ?? 0n]));
+
+      const tasks = await prismaClient.task.findMany({
+        where: {
+          OR: [
+            { escrowBalance: { not: 0n } },
+            { id: { in: [...escrow.keys()].map(account => parseInt(account.match(TASK_ACCOUNT)[1])) } }
+          ]
+        },
+        select: { id: true, currency: true, escrowBalance: true }
+      });
+
+      const escrowDrift = tasks
+        .map(task => ({
+          taskId: task.id,
+          currency: task.currency,
+          cached: task.escrowBalance,
+          ledger: escrow.get(LEDGER_ACCOUNTS.task(task.id)) ?? 0n
+        }))
+        .filter(task => task.cached !== task.ledger);
+
+      // User credit is cached per currency
+      const creditSums = await prismaClient.ledgerEntry.groupBy({
+        by: ['account', 'currency'],
+        where: {
+          account: { startsWith: ACCOUNT_GROUPS.users }
+        },
+        _sum: { amount: true }
+      });
+      const credit = new Map(creditSums.map(sum => [`${sum.account}:${sum.currency}`, sum._sum.amount ?? 0n]));
+
+      const users = await prismaClient.user.findMany({
+        where: {
+          OR: [
+            ...CURRENCIES.map(currency => ({ [CREDIT_FIELDS[currency]]: { not: 0n } })),
+            { id: { in: creditSums.map(sum => parseInt(sum.account.match(USER_ACCOUNT)[1])) } }
+          ]
+        },
+        select: {
+          id: true,
+          ...Object.fromEntries(CURRENCIES.map(currency => [CREDIT_FIELDS[currency], true]))
+        }
+      });
+
+      const creditDrift = users.flatMap(user => CURRENCIES.map(currency => ({
+        userId: user.id,
+        currency,
+        cached: user[CREDIT_FIELDS[currency]],
+        ledger: credit.get(`${LEDGER_ACCOUNTS.user(user.id)}:${currency}`) ?? 0n
+      }))).filter(user => user.cached !== user.ledger);
+
+      return {
+        healthy: unbalanced.length === 0 && drift.length === 0 && escrowDrift.length === 0 && creditDrift.length === 0,
+        checkedAt: new Date(),
+        workersChecked: workers.length,
+        unbalancedTransactions: unbalanced.map(row => ({
+          txId: row.txId,
+          currency: row.currency,
+          total: row._sum.amount
+        })),
+        drift,
+        escrowDrift,
+        creditDrift
+      };
+    } catch (error) {
+      console.error('Error checking ledger invariants:', error);
+      throw error;
+    }
+  }
+}
+
+export default new LedgerService();
@@ -0,0 +1,134 @@
+import { prismaClient } from '../db.js';
+import { getStrategy } from '../strategies.js';
+
+// Pairwise tasks are always ranked by Bradley–Terry strengths
+export const PAIRWISE_STRATEGY = 'bradley_terry';
+
+// Key of an unordered pair of options
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+class PairwiseService {
+  /**
+   * Ballots of a pairwise task's submissions
+   * @param {Array<Object>} submissions - Submissions with worker_id, option_id and loser_option_id
+   * @returns {Array<Object>} Ballots for the consensus strategies
+   */
+  getBallots(submissions) {
+    return submissions
+      .filter(submission => submission.loser_option_id !== null)
+      .map(submission => ({
+        workerId: submission.worker_id,
+        optionId: submission.option_id,
+        loserId: submission.loser_option_id
+      }));
+  }
+
+  /**
+   * Choose the pair to show next. Each pair is valued by how uncertain its
+   * outcome is under the current Bradley–Terry fit, p(1 - p), divided by one
+   * more than the number of times it has been served. Close options get
+   * compared most, and a pair that has been served often gives way to others.
+   * @param {Array<Object>} options - Task options
+   * @param {Array<Object>} ballots - Pairwise ballots so far
+   * @param {Map<string, number>} served - Times each pair has been served, by pair key
+   * @returns {Array<number>} Option IDs of the pair, in the order to show them
+   */
+  choosePair(options, ballots, served) {
+    const strengths = getStrategy(PAIRWISE_STRATEGY).score(options, ballots);
+    const ids = options.map(option => option.id);
+
+    let best = null;
+    for (const [index, a] of ids.entries()) {
+      for (const b of ids.slice(index + 1)) {
+        const p = strengths.get(a) / (strengths.get(a) + strengths.get(b));
+        const times = served.get(pairKey(a, b)) ?? 0;
+        const value = p * (1 - p) / (1 + times);
+
+        if (!best || value > best.value) {
+          best = { value, pair: [a, b], times };
+        }
+      }
+    }
+
+    // Alternate which option comes first to even out position bias
+    return best.times % 2 === 0 ? best.pair : [...best.pair].reverse();
+  }
+
+  /**
+   * The pair a worker is shown on a pairwise task, choosing one the first
+   * time the task is served to them
+   * @param {number} workerId - Worker ID
+   * @param {Object} task - Pairwise task with options
+   * @returns {Promise<Array<number>>} Option IDs of the pair, in the order to show them
+   */
+  async getPair(workerId, task) {
+    try {
+      const where = { task_id_worker_id: { task_id: task.id, worker_id: workerId } };
+      const existing = await prismaClient.pairAssignment.findUnique({ where });
+      if (existing) {
+        return [existing.first_option_id, existing.second_option_id];
+      }
+
+      const [submissions, assignments] = await Promise.all([
+        prismaClient.submission.findMany({
+          where: { task_id: task.id },
+          select: { worker_id: true, option_id: true, loser_option_id: true }
+        }),
+        prismaClient.pairAssignment.findMany({
+          where: { task_id: task.id },
+          select: { first_option_id: true, second_option_id: true }
+        })
+      ]);
+
+      const served = new Map();
+      for (const assignment of assignments) {
+        const key = pairKey(assignment.first_option_id, assignment.second_option_id);
+        served.set(key, (served.get(key) ?? 0) + 1);
+      }
+
+      const [first, second] = this.choosePair(task.options, this.getBallots(submissions), served);
+
+      try {
+        await prismaClient.pairAssignment.create({
+          data: {
+            task_id: task.id,
+            worker_id: workerId,
+            first_option_id: first,
+            second_option_id: second
+          }
+        });
+        return [first, second];
+      } catch (error) {
+        // Another request served this worker the task first; use its pair
+        if (error.code === 'P2002') {
+          const assignment = await prismaClient.pairAssignment.findUnique({ where });
+          return [assignment.first_option_id, assignment.second_option_id];
+        }
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error getting pair:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A task as a worker sees it: on pairwise tasks, only the options of their pair
+   * @param {number} workerId - Worker ID
+   * @param {Object} task - Task with options
+   * @returns {Promise<Object>} Task with the options to show
+   */
+  async serve(workerId, task) {
+    if (!task.pairwise) {
+      return task;
+    }
+
+    const pair = await this.getPair(workerId, task);
+    return {
+      ...task,
+      options: pair.map(optionId => task.options.find(option => option.id === optionId))
+    };
+  }
+}
+
+export default new PairwiseService();
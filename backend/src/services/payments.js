@@ -0,0 +1,488 @@
+import { prismaClient } from '../db.js';
+import solanaService from './solana.js';
+import websocketService from './websocket.js';
+import ledgerService, { LEDGER_ACCOUNTS } from './ledger.js';
+
+// Payments can finalize a little after the quote they pay for expires
+const WATCH_GRACE_MS = 2 * 60 * 1000;
+
+export const PAYMENT_ERRORS = {
+  INVALID: 'PAYMENT_INVALID',
+  NOT_FOUND: 'PAYMENT_NOT_FOUND',
+  ALREADY_USED: 'PAYMENT_ALREADY_USED',
+  QUOTE_ALREADY_PAID: 'QUOTE_ALREADY_PAID',
+  DEPOSIT_ALREADY_PAID: 'DEPOSIT_ALREADY_PAID'
+};
+
+class PaymentService {
+  constructor() {
+    this.watching = false;
+    this.watchingDeposits = false;
+  }
+
+  /**
+   * Verify a payment for a quote and record it in the payment ledger.
+   * A payment that was verified but never used, e.g. because the upload
+   * failed, can be presented again for the same quote.
+   * @param {Object} params - Signature, user ID, payer wallet (any if null) and quote
+   * @returns {Promise<Object>} Verification result with the payment or an error code
+   */
+  async recordPayment({ signature, userId, payer, quote }) {
+    try {
+      const existing = await prismaClient.payment.findUnique({
+        where: { signature }
+      });
+
+      if (existing) {
+        return this.checkReusable(existing, userId, quote);
+      }
+
+      const verification = await solanaService.verifyPayment(signature, {
+        payer,
+        amount: quote.amount,
+        currency: quote.currency,
+        reference: quote.reference,
+        expiresAt: quote.expiresAt
+      });
+
+      if (!verification.valid) {
+        return {
+          valid: false,
+          pending: verification.pending,
+          error: verification.error,
+          code: PAYMENT_ERRORS.INVALID
+        };
+      }
+
+      try {
+        const payment = await prismaClient.$transaction(async (tx) => {
+          const created = await tx.payment.create({
+            data: {
+              signature,
+              user_id: userId,
+              quote_id: quote.id,
+              amount: verification.amount,
+              currency: quote.currency
+            }
+          });
+
+          await ledgerService.post(tx, {
+            kind: 'Payment',
+            transfers: [{
+              from: LEDGER_ACCOUNTS.external,
+              to: LEDGER_ACCOUNTS.user(userId),
+              amount: created.amount,
+              currency: created.currency
+            }],
+            userId,
+            paymentId: created.id
+          });
+
+          return created;
+        });
+
+        return { valid: true, payment };
+      } catch (error) {
+        if (error.code !== 'P2002') {
+          throw error;
+        }
+
+        // Lost a race on the signature or the quote
+        const recorded = await prismaClient.payment.findUnique({
+          where: { signature }
+        });
+
+        if (recorded) {
+          return this.checkReusable(recorded, userId, quote);
+        }
+
+        return {
+          valid: false,
+          error: 'This quote has already been paid with another transaction',
+          code: PAYMENT_ERRORS.QUOTE_ALREADY_PAID
+        };
+      }
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the payment the reference watcher recorded for a quote
+   * @param {number} userId - User making the upload
+   * @param {Object} quote - Quote the upload is paid against
+   * @returns {Promise<Object>} Verification result with the payment or an error code
+   */
+  async findQuotePayment(userId, quote) {
+    const payment = await prismaClient.payment.findUnique({
+      where: { quote_id: quote.id }
+    });
+
+    if (!payment) {
+      return {
+        valid: false,
+        error: 'No payment has been detected for this quote yet',
+        code: PAYMENT_ERRORS.NOT_FOUND
+      };
+    }
+
+    return this.checkReusable(payment, userId, quote);
+  }
+
+  /**
+   * Look for payments to open quotes by their reference keys and record the ones found
+   * @returns {Promise<number>} Number of payments recorded
+   */
+  async watchQuotes() {
+    if (this.watching) {
+      return 0;
+    }
+
+    this.watching = true;
+    try {
+      const quotes = await prismaClient.quote.findMany({
+        where: {
+          usedAt: null,
+          payment: null,
+          // Quotes discounted to nothing are never paid on chain
+          amount: { gt: 0n },
+          expiresAt: {
+            gt: new Date(Date.now() - WATCH_GRACE_MS)
+          }
+        },
+      });
+
+      let recorded = 0;
+      for (const quote of quotes) {
+        try {
+          if (await this.checkQuote(quote)) {
+            recorded++;
+          }
+        } catch (error) {
+          console.error(`Error checking payment for quote ${quote.id}:`, error);
+        }
+      }
+      return recorded;
+    } finally {
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Check the chain for a transaction paying a quote
+   * @param {Object} quote - Open quote
+   * @returns {Promise<boolean>} Whether a payment was recorded
+   */
+  async checkQuote(quote) {
+    const signatures = await solanaService.getReferenceSignatures(quote.reference);
+    const candidates = signatures.filter(info => !info.err);
+
+    if (candidates.length === 0) {
+      return false;
+    }
+
+    const notify = (status, extra = {}) => websocketService.notifyUserPayment(quote.user_id, {
+      quoteId: quote.id,
+      status,
+      ...extra
+    });
+
+    for (const { signature } of candidates) {
+      // Solana Pay payments often come from a mobile wallet, so any payer is accepted;
+      // the quote's reference key is only known to its owner
+      const result = await this.recordPayment({
+        signature,
+        userId: quote.user_id,
+        payer: null,
+        quote
+      });
+
+      if (result.valid) {
+        notify('Verified', { signature });
+        return true;
+      }
+
+      if (result.pending) {
+        notify('Confirming', { signature });
+        return false;
+      }
+
+      notify('Rejected', { signature, error: result.error });
+    }
+
+    return false;
+  }
+
+  /**
+   * Verify a payment for a deposit request and credit it to the user's balance.
+   * The whole amount received is credited, so overpaying tops up by more.
+   * A deposit that was marked expired can still be credited with a payment
+   * made before it expired.
+   * @param {Object} params - Signature, user ID, payer wallet (any if null) and deposit
+   * @returns {Promise<Object>} Verification result with the payment or an error code
+   */
+  async recordDeposit({ signature, userId, payer, deposit }) {
+    try {
+      const existing = await prismaClient.payment.findUnique({
+        where: { signature }
+      });
+
+      if (existing) {
+        return this.checkDepositPayment(existing, deposit);
+      }
+
+      if (deposit.status === 'Credited') {
+        return {
+          valid: false,
+          error: 'This deposit has already been paid with another transaction',
+          code: PAYMENT_ERRORS.DEPOSIT_ALREADY_PAID
+        };
+      }
+
+      const verification = await solanaService.verifyPayment(signature, {
+        payer,
+        amount: deposit.amount,
+        currency: deposit.currency,
+        reference: deposit.reference,
+        expiresAt: deposit.expiresAt
+      });
+
+      if (!verification.valid) {
+        return {
+          valid: false,
+          pending: verification.pending,
+          error: verification.error,
+          code: PAYMENT_ERRORS.INVALID
+        };
+      }
+
+      try {
+        const payment = await prismaClient.$transaction(async (tx) => {
+          const claimed = await tx.deposit.updateMany({
+            where: {
+              id: deposit.id,
+              status: { not: 'Credited' }
+            },
+            data: {
+              status: 'Credited',
+              creditedAt: new Date()
+            }
+          });
+
+          if (claimed.count !== 1) {
+            return null;
+          }
+
+          // Deposits go straight to the credit balance, so there is nothing left to consume
+          const created = await tx.payment.create({
+            data: {
+              signature,
+              user_id: userId,
+              deposit_id: deposit.id,
+              amount: verification.amount,
+              currency: deposit.currency,
+              status: 'Consumed',
+              consumedAt: new Date()
+            }
+          });
+
+          await ledgerService.post(tx, {
+            kind: 'Deposit',
+            transfers: [{
+              from: LEDGER_ACCOUNTS.external,
+              to: LEDGER_ACCOUNTS.user(userId),
+              amount: created.amount,
+              currency: created.currency
+            }],
+            userId,
+            paymentId: created.id
+          });
+
+          return created;
+        });
+
+        if (payment) {
+          return { valid: true, payment };
+        }
+      } catch (error) {
+        if (error.code !== 'P2002') {
+          throw error;
+        }
+      }
+
+      // Lost a race on the signature or the deposit
+      const recorded = await prismaClient.payment.findUnique({
+        where: { signature }
+      });
+
+      if (recorded) {
+        return this.checkDepositPayment(recorded, deposit);
+      }
+
+      return {
+        valid: false,
+        error: 'This deposit has already been paid with another transaction',
+        code: PAYMENT_ERRORS.DEPOSIT_ALREADY_PAID
+      };
+    } catch (error) {
+      console.error('Error recording deposit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look for payments to pending deposits by their reference keys and credit
+   * the ones found. Deposits nobody paid are expired.
+   * @returns {Promise<number>} Number of deposits credited
+   */
+  async watchDeposits() {
+    if (this.watchingDeposits) {
+      return 0;
+    }
+
+    this.watchingDeposits = true;
+    try {
+      const cutoff = new Date(Date.now() - WATCH_GRACE_MS);
+
+      await prismaClient.deposit.updateMany({
+        where: {
+          status: 'Pending',
+          expiresAt: { lte: cutoff }
+        },
+        data: {
+          status: 'Expired'
+        }
+      });
+
+      const deposits = await prismaClient.deposit.findMany({
+        where: {
+          status: 'Pending'
+        }
+      });
+
+      let credited = 0;
+      for (const deposit of deposits) {
+        try {
+          if (await this.checkDeposit(deposit)) {
+            credited++;
+          }
+        } catch (error) {
+          console.error(`Error checking payment for deposit ${deposit.id}:`, error);
+        }
+      }
+      return credited;
+    } finally {
+      this.watchingDeposits = false;
+    }
+  }
+
+  /**
+   * Check the chain for a transaction paying a deposit
+   * @param {Object} deposit - Pending deposit
+   * @returns {Promise<boolean>} Whether the deposit was credited
+   */
+  async checkDeposit(deposit) {
+    const signatures = await solanaService.getReferenceSignatures(deposit.reference);
+    const candidates = signatures.filter(info => !info.err);
+
+    if (candidates.length === 0) {
+      return false;
+    }
+
+    const notify = (status, extra = {}) => websocketService.notifyUserDeposit(deposit.user_id, {
+      depositId: deposit.id,
+      currency: deposit.currency,
+      status,
+      ...extra
+    });
+
+    for (const { signature } of candidates) {
+      const result = await this.recordDeposit({
+        signature,
+        userId: deposit.user_id,
+        payer: null,
+        deposit
+      });
+
+      if (result.valid) {
+        notify('Credited', { signature, amount: result.payment.amount });
+        return true;
+      }
+
+      if (result.pending) {
+        notify('Confirming', { signature });
+        return false;
+      }
+
+      notify('Rejected', { signature, error: result.error });
+    }
+
+    return false;
+  }
+
+  /**
+   * Decide whether an already recorded payment is the one that paid this deposit
+   * @param {Object} payment - Recorded payment
+   * @param {Object} deposit - Deposit being verified
+   * @returns {Object} Verification result
+   */
+  checkDepositPayment(payment, deposit) {
+    if (payment.deposit_id === deposit.id) {
+      return { valid: true, payment };
+    }
+
+    return {
+      valid: false,
+      error: 'This payment has already been used',
+      code: PAYMENT_ERRORS.ALREADY_USED
+    };
+  }
+
+  /**
+   * Decide whether an already recorded payment may fund this upload
+   * @param {Object} payment - Recorded payment
+   * @param {number} userId - User making the upload
+   * @param {Object} quote - Quote the upload is paid against
+   * @returns {Object} Verification result
+   */
+  checkReusable(payment, userId, quote) {
+    if (payment.status === 'Verified' && payment.user_id === userId && payment.quote_id === quote.id) {
+      return { valid: true, payment };
+    }
+
+    return {
+      valid: false,
+      error: 'This payment has already been used',
+      code: PAYMENT_ERRORS.ALREADY_USED
+    };
+  }
+
+  /**
+   * Mark a verified payment as used inside a task-creation transaction
+   * @param {Object} tx - Prisma transaction client
+   * @param {number} paymentId - Payment ID
+   * @returns {Promise<void>}
+   */
+  async consumePayment(tx, paymentId) {
+    const consumed = await tx.payment.updateMany({
+      where: {
+        id: paymentId,
+        status: 'Verified'
+      },
+      data: {
+        status: 'Consumed',
+        consumedAt: new Date()
+      }
+    });
+
+    if (consumed.count !== 1) {
+      throw Object.assign(new Error('This payment has already been used'), {
+        status: 409,
+        code: PAYMENT_ERRORS.ALREADY_USED
+      });
+    }
+  }
+}
+
+export default new PaymentService();
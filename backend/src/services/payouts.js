@@ -0,0 +1,473 @@
+import { v4 as uuidv4 } from 'uuid';
+import { prismaClient } from '../db.js';
+import solanaService from './solana.js';
+import websocketService from './websocket.js';
+import ledgerService, { LEDGER_ACCOUNTS, InsufficientBalanceError } from './ledger.js';
+import { PAYOUT_MAX_ATTEMPTS, PAYOUT_SUBMIT_TIMEOUT_MS, PAYOUT_BATCH_SIZE } from '../config.js';
+
+// Most withdrawals picked up per processing or reconciliation run
+const QUEUE_FETCH_SIZE = 100;
+
+class ClaimLostError extends Error {}
+
+class PayoutService {
+  constructor() {
+    this.processing = false;
+    this.reconciling = false;
+  }
+
+  /**
+   * Move funds from a worker's pending balance into a queued withdrawal
+   * @param {number} workerId - Worker ID
+   * @param {bigint} amount - Amount in base units
+   * @param {string} [currency] - SOL or USDC
+   * @param {number} [solUsdRate] - SOL/USD rate at the time of the request
+   * @returns {Promise<Object|null>} Queued withdrawal or null if the balance is too low
+   */
+  async queueWithdrawal(workerId, amount, currency = 'SOL', solUsdRate = null) {
+    try {
+      return await prismaClient.$transaction(async (tx) => {
+        const withdrawal = await tx.workerWithdrawal.create({
+          data: {
+            workerId,
+            amount,
+            currency,
+            solUsdRate
+          }
+        });
+
+        // The ledger refuses to overdraw the pending balance, even for concurrent requests
+        await ledgerService.post(tx, {
+          kind: 'WithdrawalRequested',
+          transfers: [{
+            from: LEDGER_ACCOUNTS.workerPending(workerId),
+            to: LEDGER_ACCOUNTS.workerLocked(workerId),
+            amount,
+            currency
+          }],
+          workerId,
+          withdrawalId: withdrawal.id
+        });
+
+        return withdrawal;
+      });
+    } catch (error) {
+      if (error instanceof InsufficientBalanceError) {
+        return null;
+      }
+      console.error('Error queueing withdrawal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign and broadcast queued withdrawals, packed into as few transactions as possible
+   * @returns {Promise<number>} Number of withdrawals submitted
+   */
+  async processQueue() {
+    if (this.processing) {
+      return 0;
+    }
+
+    this.processing = true;
+    try {
+      const queued = await prismaClient.workerWithdrawal.findMany({
+        where: { status: 'Queued' },
+        include: { worker: { select: { address: true } } },
+        orderBy: { createdAt: 'asc' },
+        take: QUEUE_FETCH_SIZE
+      });
+
+      let submitted = 0;
+      for (const batch of this.packBatches(queued)) {
+        if (await this.submitBatch(batch)) {
+          submitted += batch.length;
+        }
+      }
+      return submitted;
+    } catch (error) {
+      console.error('Error processing withdrawal queue:', error);
+      throw error;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Group queued withdrawals into batches that fit into one transaction.
+   * A batch only holds withdrawals in one currency, and withdrawals split
+   * out of a failed batch are always sent on their own.
+   * @param {Array<Object>} withdrawals - Queued withdrawals with worker addresses
+   * @returns {Array<Array<Object>>} Batches in queue order
+   */
+  packBatches(withdrawals) {
+    const batches = [];
+    const open = new Map();
+
+    for (const withdrawal of withdrawals) {
+      if (withdrawal.isolated) {
+        batches.push([withdrawal]);
+        continue;
+      }
+
+      const current = open.get(withdrawal.currency) || [];
+      const candidate = [...current, withdrawal];
+      if (
+        current.length > 0 &&
+        (
+          candidate.length > PAYOUT_BATCH_SIZE ||
+          !solanaService.fitsInPayoutTransaction(this.toTransfers(candidate), withdrawal.currency)
+        )
+      ) {
+        batches.push(current);
+        open.set(withdrawal.currency, [withdrawal]);
+      } else {
+        open.set(withdrawal.currency, candidate);
+      }
+    }
+
+    batches.push(...open.values());
+    return batches;
+  }
+
+  /**
+   * Map withdrawals to payout transfers
+   * @param {Array<Object>} withdrawals - Withdrawals with worker addresses
+   * @returns {Array<Object>} Transfers as { address, amount }
+   */
+  toTransfers(withdrawals) {
+    return withdrawals.map(withdrawal => ({
+      address: withdrawal.worker.address,
+      amount: withdrawal.amount
+    }));
+  }
+
+  /**
+   * Submit a batch of queued withdrawals as one transaction.
+   *
+   * The signature is stored before the transaction is broadcast, so a crash at
+   * any point leaves rows that reconciliation can resolve from the chain.
+   * @param {Array<Object>} batch - Queued withdrawals with worker addresses
+   * @returns {Promise<boolean>} Whether this call submitted the batch
+   */
+  async submitBatch(batch) {
+    const ids = batch.map(withdrawal => withdrawal.id);
+    const total = batch.reduce((sum, withdrawal) => sum + withdrawal.amount, 0n);
+    const { currency } = batch[0];
+
+    let payout;
+    try {
+      await solanaService.ensurePayoutBalance(total, currency, batch.length);
+      payout = await solanaService.createPayoutTransaction(this.toTransfers(batch), currency);
+    } catch (error) {
+      // Nothing was sent; leave the batch queued for the next run
+      console.error(`Error preparing withdrawals ${ids.join(', ')}:`, error);
+      await prismaClient.workerWithdrawal.updateMany({
+        where: { id: { in: ids } },
+        data: { lastError: error.message }
+      });
+      return false;
+    }
+
+    const batchId = uuidv4();
+    const submittedAt = new Date();
+
+    // Claim every row or none; if another processor got there first, the transaction is dropped unsent
+    const claimed = await prismaClient.$transaction(async (tx) => {
+      for (const [instructionIndex, withdrawal] of batch.entries()) {
+        const result = await tx.workerWithdrawal.updateMany({
+          where: {
+            id: withdrawal.id,
+            status: 'Queued'
+          },
+          data: {
+            status: 'Submitted',
+            signature: payout.signature,
+            blockhash: payout.blockhash,
+            lastValidBlockHeight: payout.lastValidBlockHeight,
+            batchId,
+            instructionIndex,
+            submittedAt,
+            attempts: {
+              increment: 1
+            },
+            lastError: null
+          }
+        });
+
+        if (result.count !== 1) {
+          throw new ClaimLostError();
+        }
+      }
+      return true;
+    }).catch(error => {
+      if (error instanceof ClaimLostError) {
+        return false;
+      }
+      throw error;
+    });
+
+    if (!claimed) {
+      return false;
+    }
+
+    try {
+      await solanaService.submitTransaction(payout.transaction);
+      await solanaService.confirmPayout(payout);
+    } catch (error) {
+      // The transaction may still land; reconciliation settles it either way
+      console.error(`Payout batch ${batchId} not confirmed yet:`, error.message);
+      return true;
+    }
+
+    for (const id of ids) {
+      await this.settleWithdrawal(id, payout.signature, 'Confirmed');
+    }
+    return true;
+  }
+
+  /**
+   * Check submitted withdrawals on chain and settle, retry or release them
+   * @returns {Promise<Object>} Counts of withdrawals per outcome
+   */
+  async reconcile() {
+    const report = { confirmed: 0, failed: 0, requeued: 0, expired: 0 };
+
+    if (this.reconciling) {
+      return report;
+    }
+
+    this.reconciling = true;
+    try {
+      const submitted = await prismaClient.workerWithdrawal.findMany({
+        where: { status: 'Submitted' },
+        orderBy: { submittedAt: 'asc' },
+        take: QUEUE_FETCH_SIZE
+      });
+
+      if (submitted.length === 0) {
+        return report;
+      }
+
+      // Withdrawals in a batch share a transaction, so look each signature up once
+      const transactions = new Map();
+      for (const withdrawal of submitted) {
+        if (!transactions.has(withdrawal.signature)) {
+          transactions.set(withdrawal.signature, []);
+        }
+        transactions.get(withdrawal.signature).push(withdrawal);
+      }
+
+      const signatures = [...transactions.keys()];
+      const [statuses, blockHeight] = await Promise.all([
+        solanaService.getSignatureStatuses(signatures),
+        solanaService.getBlockHeight()
+      ]);
+
+      for (const [index, signature] of signatures.entries()) {
+        const status = statuses[index];
+        const withdrawals = transactions.get(signature);
+        const [first] = withdrawals;
+
+        if (solanaService.isConfirmedStatus(status)) {
+          for (const withdrawal of withdrawals) {
+            await this.settleWithdrawal(withdrawal.id, signature, 'Confirmed');
+          }
+          report.confirmed += withdrawals.length;
+          continue;
+        }
+
+        const failed = Boolean(status?.err);
+        const expired = !status && this.hasExpired(first, blockHeight);
+
+        if (!failed && !expired) {
+          continue;
+        }
+
+        // A failed batch is retried one recipient at a time so one bad transfer cannot block the rest
+        if (await this.isMultiRecipientBatch(first)) {
+          report.requeued += await this.splitBatch(first.batchId, signature);
+          continue;
+        }
+
+        for (const withdrawal of withdrawals) {
+          if (failed) {
+            await this.settleWithdrawal(withdrawal.id, signature, 'Failed', JSON.stringify(status.err));
+            report.failed++;
+          } else if (withdrawal.attempts < PAYOUT_MAX_ATTEMPTS) {
+            // The blockhash can no longer be used, so the transaction will never land
+            await this.requeueWithdrawal(withdrawal);
+            report.requeued++;
+          } else {
+            await this.settleWithdrawal(withdrawal.id, signature, 'Expired', 'Transaction expired before confirmation');
+            report.expired++;
+          }
+        }
+      }
+
+      return report;
+    } catch (error) {
+      console.error('Error reconciling withdrawals:', error);
+      throw error;
+    } finally {
+      this.reconciling = false;
+    }
+  }
+
+  /**
+   * Whether a submitted withdrawal's transaction can no longer be processed
+   * @param {Object} withdrawal - Submitted withdrawal
+   * @param {number} blockHeight - Current block height
+   * @returns {boolean} Whether the transaction has expired
+   */
+  hasExpired(withdrawal, blockHeight) {
+    if (withdrawal.lastValidBlockHeight !== null) {
+      return blockHeight > withdrawal.lastValidBlockHeight;
+    }
+
+    const submittedAt = withdrawal.submittedAt || withdrawal.createdAt;
+    return Date.now() - submittedAt.getTime() > PAYOUT_SUBMIT_TIMEOUT_MS;
+  }
+
+  /**
+   * Whether a withdrawal was sent together with other withdrawals
+   * @param {Object} withdrawal - Submitted withdrawal
+   * @returns {Promise<boolean>} Whether its batch has more than one recipient
+   */
+  async isMultiRecipientBatch(withdrawal) {
+    if (!withdrawal.batchId) {
+      return false;
+    }
+
+    const size = await prismaClient.workerWithdrawal.count({
+      where: { batchId: withdrawal.batchId }
+    });
+    return size > 1;
+  }
+
+  /**
+   * Queue every withdrawal of a dead batch again, to be sent individually
+   * @param {string} batchId - Batch ID
+   * @param {string} signature - Signature the batch was submitted with
+   * @returns {Promise<number>} Number of requeued withdrawals
+   */
+  async splitBatch(batchId, signature) {
+    const result = await prismaClient.workerWithdrawal.updateMany({
+      where: {
+        batchId,
+        status: 'Submitted',
+        signature
+      },
+      data: {
+        status: 'Queued',
+        isolated: true,
+        signature: null,
+        blockhash: null,
+        lastValidBlockHeight: null,
+        batchId: null,
+        instructionIndex: null,
+        lastError: `Payout batch ${batchId} failed`
+      }
+    });
+
+    console.warn(`Split payout batch ${batchId} into ${result.count} individual withdrawals`);
+    return result.count;
+  }
+
+  /**
+   * Put an expired withdrawal back in the queue for another attempt
+   * @param {Object} withdrawal - Submitted withdrawal
+   * @returns {Promise<void>}
+   */
+  async requeueWithdrawal(withdrawal) {
+    await prismaClient.workerWithdrawal.updateMany({
+      where: {
+        id: withdrawal.id,
+        status: 'Submitted',
+        signature: withdrawal.signature
+      },
+      data: {
+        status: 'Queued',
+        signature: null,
+        blockhash: null,
+        lastValidBlockHeight: null,
+        batchId: null,
+        instructionIndex: null,
+        lastError: 'Transaction expired before confirmation'
+      }
+    });
+  }
+
+  /**
+   * Move a submitted withdrawal to a final state and settle the locked balance.
+   * Confirmed withdrawals leave the locked balance; failed and expired ones go
+   * back to the worker's pending balance.
+   * @param {number} withdrawalId - Withdrawal ID
+   * @param {string} signature - Signature the withdrawal was submitted with
+   * @param {string} status - Confirmed, Failed or Expired
+   * @param {string} [error] - Reason for a failure
+   * @returns {Promise<boolean>} Whether this call settled the withdrawal
+   */
+  async settleWithdrawal(withdrawalId, signature, status, error = null) {
+    try {
+      const withdrawal = await prismaClient.$transaction(async (tx) => {
+        const settled = await tx.workerWithdrawal.updateMany({
+          where: {
+            id: withdrawalId,
+            status: 'Submitted',
+            signature
+          },
+          data: {
+            status,
+            lastError: error,
+            processedAt: new Date()
+          }
+        });
+
+        if (settled.count !== 1) {
+          return null;
+        }
+
+        const record = await tx.workerWithdrawal.findUnique({
+          where: { id: withdrawalId }
+        });
+
+        const confirmed = status === 'Confirmed';
+        await ledgerService.post(tx, {
+          kind: confirmed ? 'WithdrawalPaid' : 'WithdrawalReturned',
+          transfers: [{
+            from: LEDGER_ACCOUNTS.workerLocked(record.workerId),
+            to: confirmed ? LEDGER_ACCOUNTS.external : LEDGER_ACCOUNTS.workerPending(record.workerId),
+            amount: record.amount,
+            currency: record.currency
+          }],
+          workerId: record.workerId,
+          withdrawalId: record.id,
+          memo: confirmed ? record.signature : record.lastError
+        });
+
+        return record;
+      });
+
+      if (!withdrawal) {
+        return false;
+      }
+
+      websocketService.notifyWorkerPayout(withdrawal.workerId, {
+        withdrawalId: withdrawal.id,
+        amount: withdrawal.amount,
+        currency: withdrawal.currency,
+        status: withdrawal.status,
+        signature: withdrawal.signature,
+        error: withdrawal.lastError
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Error settling withdrawal:', error);
+      throw error;
+    }
+  }
+}
+
+export default new PayoutService();
@@ -0,0 +1,141 @@
+import axios from 'axios';
+import {
+  PRICE_SOURCE,
+  PRICE_FIXTURE_SOL_USD,
+  PRICE_CACHE_TTL_MS,
+  PRICE_MAX_AGE_MS
+} from '../config.js';
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+// Pyth SOL/USD price feed
+const PYTH_SOL_USD_FEED = 'ef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d';
+
+/**
+ * Price providers. Each one fetches the SOL/USD price and the time its
+ * source published it, so the age of a price does not depend on when we
+ * happened to fetch it.
+ */
+const PRICE_PROVIDERS = {
+  pyth: async () => {
+    const response = await axios.get('https://hermes.pyth.network/v2/updates/price/latest', {
+      params: { 'ids[]': PYTH_SOL_USD_FEED, parsed: true },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    const { price, expo, publish_time } = response.data.parsed[0].price;
+
+    return {
+      rate: Number(price) * 10 ** expo,
+      publishedAt: new Date(publish_time * 1000)
+    };
+  },
+
+  coingecko: async () => {
+    const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+      params: { ids: 'solana', vs_currencies: 'usd', include_last_updated_at: true },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    const { usd, last_updated_at } = response.data.solana;
+
+    return {
+      rate: usd,
+      publishedAt: new Date(last_updated_at * 1000)
+    };
+  },
+
+  fixture: async () => ({
+    rate: PRICE_FIXTURE_SOL_USD,
+    publishedAt: new Date()
+  })
+};
+
+class PriceService {
+  constructor() {
+    this.source = PRICE_SOURCE;
+    this.cached = null;
+    this.inflight = null;
+  }
+
+  /**
+   * Resolve the configured price provider
+   * @returns {Function} Provider returning { rate, publishedAt }
+   */
+  getProvider() {
+    const provider = PRICE_PROVIDERS[this.source];
+    if (!provider) {
+      throw new Error(`Unknown price source: ${this.source}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Get the current SOL/USD rate, from cache while it is fresh.
+   * A failed refresh falls back to the cached price until it is too old.
+   * @returns {Promise<Object>} Rate, publish time, fetch time and source
+   */
+  async getSolUsdRate() {
+    if (this.cached && Date.now() - this.cached.fetchedAt.getTime() < PRICE_CACHE_TTL_MS) {
+      return this.checkAge(this.cached);
+    }
+
+    // Concurrent callers share one request to the source
+    if (!this.inflight) {
+      this.inflight = this.fetchRate().finally(() => {
+        this.inflight = null;
+      });
+    }
+
+    try {
+      this.cached = await this.inflight;
+    } catch (error) {
+      console.error(`Error fetching SOL price from ${this.source}:`, error.message);
+      if (!this.cached) {
+        throw this.unavailable('SOL price is unavailable');
+      }
+    }
+
+    return this.checkAge(this.cached);
+  }
+
+  /**
+   * Fetch and sanity-check a price from the configured provider
+   * @returns {Promise<Object>} Fresh price entry
+   */
+  async fetchRate() {
+    const { rate, publishedAt } = await this.getProvider()();
+
+    if (!Number.isFinite(rate) || rate <= 0 || Number.isNaN(publishedAt.getTime())) {
+      throw new Error(`Invalid price from ${this.source}: ${rate}`);
+    }
+
+    return {
+      rate,
+      publishedAt,
+      fetchedAt: new Date(),
+      source: this.source
+    };
+  }
+
+  /**
+   * Refuse prices that were published too long ago
+   * @param {Object} entry - Price entry
+   * @returns {Object} The same entry if it is recent enough
+   */
+  checkAge(entry) {
+    if (Date.now() - entry.publishedAt.getTime() > PRICE_MAX_AGE_MS) {
+      throw this.unavailable(`SOL price is stale (published ${entry.publishedAt.toISOString()})`);
+    }
+    return entry;
+  }
+
+  /**
+   * Build an error routes can report as 503
+   * @param {string} message - Error message
+   * @returns {Error} Error with an HTTP status
+   */
+  unavailable(message) {
+    return Object.assign(new Error(message), { status: 503 });
+  }
+}
+
+export default new PriceService();
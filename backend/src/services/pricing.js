@@ -0,0 +1,308 @@
+import { prismaClient } from '../db.js';
+import { CURRENCIES, PRICE_FIELDS } from '../currencies.js';
+import { PRICING_CACHE_TTL_MS } from '../config.js';
+
+const BPS = 10000n;
+
+const requestError = (status, message) => Object.assign(new Error(message), { status });
+
+class PricingService {
+  constructor() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * All pricing tables with their tiers, newest validFrom first. Tables are
+   * cached for PRICING_CACHE_TTL_MS and reloaded at once after an admin change.
+   * @returns {Promise<Array<Object>>} Pricing tables
+   */
+  async getTables() {
+    if (this.cached && Date.now() - this.cachedAt < PRICING_CACHE_TTL_MS) {
+      return this.cached;
+    }
+
+    this.cached = await prismaClient.pricingTable.findMany({
+      include: {
+        tiers: {
+          orderBy: { reviewCount: 'asc' }
+        }
+      },
+      orderBy: [{ validFrom: 'desc' }, { id: 'desc' }]
+    });
+    this.cachedAt = Date.now();
+
+    return this.cached;
+  }
+
+  /**
+   * Drop the cached tables so the next lookup reads them again
+   */
+  invalidate() {
+    this.cached = null;
+  }
+
+  /**
+   * Pricing table in force for a service
+   * @param {string} serviceType - Type of service
+   * @param {Date} [at] - Time to look up, now by default
+   * @returns {Promise<Object|null>} Pricing table, null if the service has none yet
+   */
+  async getActiveTable(serviceType, at = new Date()) {
+    const tables = await this.getTables();
+    return tables.find(table => table.serviceType === serviceType && table.validFrom <= at) ?? null;
+  }
+
+  /**
+   * Pricing table by ID, e.g. the one a task was quoted from
+   * @param {number} id - Pricing table ID
+   * @returns {Promise<Object|null>} Pricing table
+   */
+  async getTable(id) {
+    const tables = await this.getTables();
+    return tables.find(table => table.id === id) ?? null;
+  }
+
+  /**
+   * Price of a review count under a pricing table. A tier for the exact count
+   * sets the price. Other counts are priced per review, at the table's
+   * per-review price or the per-review price of the largest tier below the
+   * count, whichever is lower.
+   * @param {Object} table - Pricing table with tiers
+   * @param {number} reviewCount - Number of reviews
+   * @param {string} [currency] - SOL (lamports) or USDC (10^-6 USDC)
+   * @returns {bigint} Price in base units, 0n if the table does not offer the count
+   */
+  getPrice(table, reviewCount, currency = 'SOL') {
+    const fields = PRICE_FIELDS[currency];
+
+    if (reviewCount < table.minReviews || reviewCount > table.maxReviews) {
+      return 0n;
+    }
+
+    const tier = table.tiers.find(tier => tier.reviewCount === reviewCount);
+    if (tier) {
+      return tier[fields.tier];
+    }
+
+    let rate = table[fields.perReview];
+    if (rate === null) {
+      return 0n;
+    }
+
+    const below = table.tiers.filter(tier => tier.reviewCount < reviewCount).at(-1);
+    if (below) {
+      const tierRate = below[fields.tier] / BigInt(below.reviewCount);
+      rate = tierRate < rate ? tierRate : rate;
+    }
+
+    return rate * BigInt(reviewCount);
+  }
+
+  /**
+   * Price a plan with the pricing table in force
+   * @param {string} serviceType - Type of service
+   * @param {number} reviewCount - Number of reviews
+   * @param {string} [currency] - SOL or USDC
+   * @returns {Promise<Object>} amount in base units (0n for plans not offered) and the table used
+   */
+  async quote(serviceType, reviewCount, currency = 'SOL') {
+    const table = await this.getActiveTable(serviceType);
+
+    return {
+      amount: table ? this.getPrice(table, reviewCount, currency) : 0n,
+      table
+    };
+  }
+
+  /**
+   * Consensus reward for a rank under a pricing table's reward policy
+   * @param {Object|null} table - Pricing table
+   * @param {number} rank - Worker's rank (1, 2, 3)
+   * @returns {bigint} Reward in lamports
+   */
+  getWorkerReward(table, rank) {
+    if (!table) {
+      return 0n;
+    }
+
+    switch (rank) {
+      case 1:
+        return table.majorityReward;
+      case 2:
+        return table.majorityReward * BigInt(table.secondPlaceBps) / BPS;
+      case 3:
+        return table.majorityReward * BigInt(table.thirdPlaceBps) / BPS;
+      default:
+        return 0n;
+    }
+  }
+
+  /**
+   * Pricing table that sets a task's rewards: the one it was quoted from, or
+   * the one in force for tasks from before pricing tables
+   * @param {Object} task - Task with serviceType and pricing_table_id
+   * @returns {Promise<Object|null>} Pricing table
+   */
+  async getTaskTable(task) {
+    return task.pricing_table_id
+      ? await this.getTable(task.pricing_table_id)
+      : await this.getActiveTable(task.serviceType);
+  }
+
+  /**
+   * Consensus rewards per rank for a task
+   * @param {Object} task - Task with serviceType and pricing_table_id
+   * @returns {Promise<Object>} first, second and third in lamports
+   */
+  async getEstimatedRewards(task) {
+    const table = await this.getTaskTable(task);
+
+    return {
+      first: this.getWorkerReward(table, 1),
+      second: this.getWorkerReward(table, 2),
+      third: this.getWorkerReward(table, 3)
+    };
+  }
+
+  /**
+   * Check that a pricing table can price what it offers
+   * @param {Object} table - Table fields with tiers
+   * @throws {Error} 400 error describing the problem
+   */
+  validateTable(table) {
+    if (table.minReviews > table.maxReviews) {
+      throw requestError(400, 'minReviews cannot be greater than maxReviews');
+    }
+
+    const perReview = CURRENCIES.map(currency => table[PRICE_FIELDS[currency].perReview] ?? null);
+    if (perReview.some(rate => rate === null) && perReview.some(rate => rate !== null)) {
+      throw requestError(400, 'Per-review prices must be set for every currency or for none');
+    }
+
+    if (perReview[0] === null && table.tiers.length === 0) {
+      throw requestError(400, 'A pricing table needs tiers or per-review prices');
+    }
+
+    const counts = table.tiers.map(tier => tier.reviewCount);
+    if (new Set(counts).size !== counts.length) {
+      throw requestError(400, 'Tier review counts must be unique');
+    }
+
+    if (counts.some(count => count < table.minReviews || count > table.maxReviews)) {
+      throw requestError(400, 'Tier review counts must be between minReviews and maxReviews');
+    }
+  }
+
+  /**
+   * Create a pricing table. It comes into force at validFrom, which cannot be in the past.
+   * @param {Object} data - Table fields with tiers
+   * @returns {Promise<Object>} Created table with tiers
+   */
+  async createTable({ tiers = [], ...data }) {
+    try {
+      if (data.validFrom && data.validFrom < new Date()) {
+        throw requestError(400, 'validFrom cannot be in the past');
+      }
+
+      this.validateTable({ minReviews: 1, maxReviews: 1000, ...data, tiers });
+
+      const table = await prismaClient.pricingTable.create({
+        data: {
+          ...data,
+          tiers: {
+            create: tiers
+          }
+        },
+        include: { tiers: true }
+      });
+
+      this.invalidate();
+      return table;
+    } catch (error) {
+      console.error('Error creating pricing table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a pricing table that is not in force yet. Tables in force are
+   * replaced by creating a newer one, so quoted tasks keep their terms.
+   * @param {number} id - Pricing table ID
+   * @param {Object} data - Fields to change; tiers, if given, replace the existing ones
+   * @returns {Promise<Object>} Updated table with tiers
+   */
+  async updateTable(id, { tiers, ...data }) {
+    try {
+      const existing = await this.getScheduledTable(id);
+
+      if (data.validFrom && data.validFrom < new Date()) {
+        throw requestError(400, 'validFrom cannot be in the past');
+      }
+
+      this.validateTable({ ...existing, ...data, tiers: tiers ?? existing.tiers });
+
+      const table = await prismaClient.$transaction(async (tx) => {
+        if (tiers) {
+          await tx.pricingTier.deleteMany({ where: { table_id: id } });
+          await tx.pricingTier.createMany({
+            data: tiers.map(tier => ({ ...tier, table_id: id }))
+          });
+        }
+
+        return tx.pricingTable.update({
+          where: { id },
+          data,
+          include: { tiers: true }
+        });
+      });
+
+      this.invalidate();
+      return table;
+    } catch (error) {
+      console.error('Error updating pricing table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a pricing table that is not in force yet
+   * @param {number} id - Pricing table ID
+   * @returns {Promise<void>}
+   */
+  async deleteTable(id) {
+    try {
+      await this.getScheduledTable(id);
+      await prismaClient.pricingTable.delete({ where: { id } });
+      this.invalidate();
+    } catch (error) {
+      console.error('Error deleting pricing table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a pricing table that may still be changed
+   * @param {number} id - Pricing table ID
+   * @returns {Promise<Object>} Table with tiers
+   * @throws {Error} 404 if it does not exist, 409 if it is already in force
+   */
+  async getScheduledTable(id) {
+    const table = Number.isInteger(id) && await prismaClient.pricingTable.findUnique({
+      where: { id },
+      include: { tiers: true }
+    });
+
+    if (!table) {
+      throw requestError(404, 'Pricing table not found');
+    }
+
+    if (table.validFrom <= new Date()) {
+      throw requestError(409, 'Pricing tables in force cannot be changed; create a new one instead');
+    }
+
+    return table;
+  }
+}
+
+export default new PricingService();
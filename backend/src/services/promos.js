@@ -0,0 +1,269 @@
+import { prismaClient } from '../db.js';
+import solanaService from './solana.js';
+import { PAYMENT_MAX_AGE_MS } from '../config.js';
+
+const requestError = (status, message) => Object.assign(new Error(message), { status });
+
+class PromoService {
+  /**
+   * Promo codes are matched case-insensitively and stored upper case
+   * @param {string} code - Code as entered
+   * @returns {string} Normalized code
+   */
+  normalizeCode(code) {
+    return code.trim().toUpperCase();
+  }
+
+  /**
+   * Amount a promo code takes off a price, never more than the price itself
+   * @param {Object} promo - Promo code
+   * @param {bigint} amount - List price in base units
+   * @param {string} currency - Currency of the price
+   * @param {number} [solPrice] - SOL/USD rate for converting fixed discounts
+   * @returns {Promise<bigint>} Discount in base units of currency
+   */
+  async calculateDiscount(promo, amount, currency, solPrice) {
+    const discount = promo.discountType === 'Percent'
+      ? amount * BigInt(promo.percentOff) / 100n
+      : await solanaService.convertAmount(promo.amountOff, promo.currency, currency, solPrice);
+
+    return discount < amount ? discount : amount;
+  }
+
+  /**
+   * Check a promo code for a quote and take one of its uses. Must run inside
+   * the transaction that creates the quote, so the use is returned if that fails.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} params - code, userId, serviceType, amount, currency and solPrice of the quote
+   * @returns {Promise<Object>} The promo code and the discount in base units
+   * @throws {Error} 404, 400 or 409 error when the code cannot be used
+   */
+  async redeem(tx, { code, userId, serviceType, amount, currency, solPrice }) {
+    const promo = await tx.promoCode.findUnique({
+      where: { code: this.normalizeCode(code) }
+    });
+
+    if (!promo || !promo.active) {
+      throw requestError(404, 'Promo code not found');
+    }
+
+    if (promo.expiresAt && promo.expiresAt <= new Date()) {
+      throw requestError(400, 'Promo code has expired');
+    }
+
+    if (promo.serviceTypes.length > 0 && !promo.serviceTypes.includes(serviceType)) {
+      throw requestError(400, 'Promo code does not apply to this service');
+    }
+
+    if (promo.perUserLimit !== null) {
+      // Lock the code until this transaction ends, so a concurrent quote by the
+      // same user waits here and then counts the quote this one creates
+      await tx.$queryRaw`SELECT id FROM "PromoCode" WHERE id = ${promo.id} FOR UPDATE`;
+
+      // Quotes that were used or can still be paid count against the limit
+      const held = await tx.quote.count({
+        where: {
+          user_id: userId,
+          promo_code_id: promo.id,
+          OR: [
+            { usedAt: { not: null } },
+            { expiresAt: { gt: new Date() } }
+          ]
+        }
+      });
+
+      if (held >= promo.perUserLimit) {
+        throw requestError(409, 'You have already used this promo code');
+      }
+    }
+
+    // The guard makes concurrent quotes for the last use lose the race
+    const claimed = await tx.promoCode.updateMany({
+      where: {
+        id: promo.id,
+        OR: [
+          { maxUses: null },
+          { uses: { lt: prismaClient.promoCode.fields.maxUses } }
+        ]
+      },
+      data: {
+        uses: { increment: 1 }
+      }
+    });
+
+    if (claimed.count !== 1) {
+      throw requestError(409, 'Promo code has been fully redeemed');
+    }
+
+    return {
+      promo,
+      discount: await this.calculateDiscount(promo, amount, currency, solPrice)
+    };
+  }
+
+  /**
+   * Give back the uses held by quotes that expired without being paid.
+   * Quotes are only released once a payment for them would be too old to accept.
+   * @returns {Promise<number>} Number of uses returned
+   */
+  async releaseExpired() {
+    try {
+      const stale = await prismaClient.quote.findMany({
+        where: {
+          promo_code_id: { not: null },
+          usedAt: null,
+          payment: null,
+          expiresAt: {
+            lt: new Date(Date.now() - PAYMENT_MAX_AGE_MS)
+          }
+        },
+        select: { id: true, promo_code_id: true }
+      });
+
+      let released = 0;
+      for (const quote of stale) {
+        const done = await prismaClient.$transaction(async (tx) => {
+          const detached = await tx.quote.updateMany({
+            where: {
+              id: quote.id,
+              promo_code_id: quote.promo_code_id
+            },
+            data: {
+              promo_code_id: null
+            }
+          });
+
+          if (detached.count !== 1) {
+            return false;
+          }
+
+          await tx.promoCode.update({
+            where: { id: quote.promo_code_id },
+            data: { uses: { decrement: 1 } }
+          });
+          return true;
+        });
+
+        if (done) {
+          released++;
+        }
+      }
+
+      return released;
+    } catch (error) {
+      console.error('Error releasing promo code uses:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a promo code's discount fields fit its type
+   * @param {Object} promo - Promo code fields
+   * @throws {Error} 400 error describing the problem
+   */
+  validatePromo(promo) {
+    if (promo.discountType === 'Percent' && !(promo.percentOff >= 1 && promo.percentOff <= 100)) {
+      throw requestError(400, 'Percent codes need percentOff between 1 and 100');
+    }
+
+    if (promo.discountType === 'Fixed' && (!promo.amountOff || !promo.currency)) {
+      throw requestError(400, 'Fixed codes need amountOff and currency');
+    }
+  }
+
+  /**
+   * Create a promo code
+   * @param {Object} data - Promo code fields
+   * @returns {Promise<Object>} Created promo code
+   */
+  async createPromo(data) {
+    try {
+      this.validatePromo(data);
+
+      return await prismaClient.promoCode.create({
+        data: {
+          ...data,
+          code: this.normalizeCode(data.code)
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw requestError(409, 'A promo code with this code already exists');
+      }
+      console.error('Error creating promo code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a promo code's limits, expiry, services or whether it is active.
+   * The discount itself cannot change, so quotes made with the code stay explainable.
+   * @param {number} id - Promo code ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated promo code
+   */
+  async updatePromo(id, data) {
+    try {
+      const promo = Number.isInteger(id) && await prismaClient.promoCode.findUnique({ where: { id } });
+
+      if (!promo) {
+        throw requestError(404, 'Promo code not found');
+      }
+
+      return await prismaClient.promoCode.update({
+        where: { id },
+        data
+      });
+    } catch (error) {
+      console.error('Error updating promo code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Usage of every promo code for admin reporting
+   * @returns {Promise<Array<Object>>} Per code: limits, uses held, quotes redeemed by an upload and discount given per currency
+   */
+  async getUsageReport() {
+    try {
+      const [promos, redeemed] = await Promise.all([
+        prismaClient.promoCode.findMany({
+          orderBy: { createdAt: 'desc' }
+        }),
+        prismaClient.quote.groupBy({
+          by: ['promo_code_id', 'currency'],
+          where: {
+            promo_code_id: { not: null },
+            usedAt: { not: null }
+          },
+          _count: { _all: true },
+          _sum: { discount: true }
+        })
+      ]);
+
+      return promos.map(promo => {
+        const rows = redeemed.filter(row => row.promo_code_id === promo.id);
+
+        return {
+          id: promo.id,
+          code: promo.code,
+          discountType: promo.discountType,
+          percentOff: promo.percentOff,
+          amountOff: promo.amountOff,
+          currency: promo.currency,
+          active: promo.active,
+          expiresAt: promo.expiresAt,
+          maxUses: promo.maxUses,
+          uses: promo.uses,
+          redeemed: rows.reduce((sum, row) => sum + row._count._all, 0),
+          discountGiven: Object.fromEntries(rows.map(row => [row.currency, row._sum.discount ?? 0n]))
+        };
+      });
+    } catch (error) {
+      console.error('Error building promo code report:', error);
+      throw error;
+    }
+  }
+}
+
+export default new PromoService();
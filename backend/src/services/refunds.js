@@ -0,0 +1,296 @@
+import { prismaClient } from '../db.js';
+import solanaService from './solana.js';
+import websocketService from './websocket.js';
+import ledgerService, { LEDGER_ACCOUNTS } from './ledger.js';
+import escrowService from './escrow.js';
+import { PAYOUT_MAX_ATTEMPTS, PAYOUT_SUBMIT_TIMEOUT_MS } from '../config.js';
+
+// Most refunds picked up per processing run
+const QUEUE_FETCH_SIZE = 50;
+
+class RefundService {
+  constructor() {
+    this.processing = false;
+  }
+
+  /**
+   * Move what is left of a task's escrow into an on-chain refund to its owner.
+   * Must run inside the transaction that finalizes the task.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} task - Finalized task
+   * @returns {Promise<Object>} Refunded amount and currency, policy and the Payouts row ID
+   */
+  async queueRefund(tx, task) {
+    const account = LEDGER_ACCOUNTS.task(task.id);
+    const amount = await escrowService.reclaimDiscount(tx, task);
+
+    if (amount <= 0n) {
+      return { amount: 0n, policy: 'refund' };
+    }
+
+    const payout = await tx.payouts.create({
+      data: {
+        user_id: task.user_id,
+        task_id: task.id,
+        amount,
+        currency: task.currency
+      }
+    });
+
+    await ledgerService.post(tx, {
+      kind: 'Refund',
+      transfers: [{
+        from: account,
+        to: LEDGER_ACCOUNTS.refund(payout.id),
+        amount,
+        currency: task.currency
+      }],
+      userId: task.user_id,
+      taskId: task.id
+    });
+
+    return { amount, currency: task.currency, policy: 'refund', payoutId: payout.id };
+  }
+
+  /**
+   * Send unsent refunds and settle the ones already sent
+   * @returns {Promise<Object>} Counts of refunds per outcome
+   */
+  async processQueue() {
+    const report = { sent: 0, confirmed: 0, failed: 0, retried: 0 };
+
+    if (this.processing) {
+      return report;
+    }
+
+    this.processing = true;
+    try {
+      const refunds = await prismaClient.payouts.findMany({
+        where: {
+          status: 'Processing',
+          task_id: { not: null }
+        },
+        include: { user: { select: { address: true } } },
+        orderBy: { createdAt: 'asc' },
+        take: QUEUE_FETCH_SIZE
+      });
+
+      const submitted = refunds.filter(refund => refund.signature);
+      if (submitted.length > 0) {
+        await this.reconcile(submitted, report);
+      }
+
+      for (const refund of refunds.filter(refund => !refund.signature)) {
+        if (await this.submitRefund(refund)) {
+          report.sent++;
+        }
+      }
+
+      return report;
+    } catch (error) {
+      console.error('Error processing refunds:', error);
+      throw error;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Sign and broadcast a refund. The signature is stored first, so a crash
+   * leaves a row the next run can settle from the chain.
+   * @param {Object} refund - Unsent refund with the user's address
+   * @returns {Promise<boolean>} Whether this call sent the refund
+   */
+  async submitRefund(refund) {
+    let payout;
+    try {
+      await solanaService.ensurePayoutBalance(refund.amount, refund.currency);
+      payout = await solanaService.createPayoutTransaction(
+        [{ address: refund.user.address, amount: refund.amount }],
+        refund.currency
+      );
+    } catch (error) {
+      // Nothing was sent; try again on the next run
+      console.error(`Error preparing refund ${refund.id}:`, error);
+      await prismaClient.payouts.update({
+        where: { id: refund.id },
+        data: { lastError: error.message }
+      });
+      return false;
+    }
+
+    const claimed = await prismaClient.payouts.updateMany({
+      where: {
+        id: refund.id,
+        status: 'Processing',
+        signature: null
+      },
+      data: {
+        signature: payout.signature,
+        blockhash: payout.blockhash,
+        lastValidBlockHeight: payout.lastValidBlockHeight,
+        attempts: {
+          increment: 1
+        },
+        lastError: null
+      }
+    });
+
+    if (claimed.count !== 1) {
+      return false;
+    }
+
+    try {
+      await solanaService.submitTransaction(payout.transaction);
+      await solanaService.confirmPayout(payout);
+    } catch (error) {
+      // The transaction may still land; the next run settles it either way
+      console.error(`Refund ${refund.id} not confirmed yet:`, error.message);
+      return true;
+    }
+
+    await this.settleRefund(refund.id, payout.signature, 'Success');
+    return true;
+  }
+
+  /**
+   * Check sent refunds on chain and settle, retry or give them up
+   * @param {Array<Object>} refunds - Refunds with a signature
+   * @param {Object} report - Counts to update
+   * @returns {Promise<void>}
+   */
+  async reconcile(refunds, report) {
+    const [statuses, blockHeight] = await Promise.all([
+      solanaService.getSignatureStatuses(refunds.map(refund => refund.signature)),
+      solanaService.getBlockHeight()
+    ]);
+
+    for (const [index, refund] of refunds.entries()) {
+      const status = statuses[index];
+
+      if (solanaService.isConfirmedStatus(status)) {
+        await this.settleRefund(refund.id, refund.signature, 'Success');
+        report.confirmed++;
+      } else if (status?.err) {
+        await this.settleRefund(refund.id, refund.signature, 'Failure', JSON.stringify(status.err));
+        report.failed++;
+      } else if (!status && this.hasExpired(refund, blockHeight)) {
+        if (refund.attempts < PAYOUT_MAX_ATTEMPTS) {
+          await this.resetRefund(refund);
+          report.retried++;
+        } else {
+          await this.settleRefund(refund.id, refund.signature, 'Failure', 'Transaction expired before confirmation');
+          report.failed++;
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether a sent refund's transaction can no longer be processed
+   * @param {Object} refund - Sent refund
+   * @param {number} blockHeight - Current block height
+   * @returns {boolean} Whether the transaction has expired
+   */
+  hasExpired(refund, blockHeight) {
+    if (refund.lastValidBlockHeight !== null) {
+      return blockHeight > refund.lastValidBlockHeight;
+    }
+
+    return Date.now() - refund.createdAt.getTime() > PAYOUT_SUBMIT_TIMEOUT_MS;
+  }
+
+  /**
+   * Clear an expired refund's transaction so the next run signs a new one
+   * @param {Object} refund - Sent refund
+   * @returns {Promise<void>}
+   */
+  async resetRefund(refund) {
+    await prismaClient.payouts.updateMany({
+      where: {
+        id: refund.id,
+        status: 'Processing',
+        signature: refund.signature
+      },
+      data: {
+        signature: null,
+        blockhash: null,
+        lastValidBlockHeight: null,
+        lastError: 'Transaction expired before confirmation'
+      }
+    });
+  }
+
+  /**
+   * Move a sent refund to a final state. Refunds that could not be sent are
+   * credited to the user's ledger account instead.
+   * @param {number} refundId - Payouts row ID
+   * @param {string} signature - Signature the refund was sent with
+   * @param {string} status - Success or Failure
+   * @param {string} [error] - Reason for a failure
+   * @returns {Promise<boolean>} Whether this call settled the refund
+   */
+  async settleRefund(refundId, signature, status, error = null) {
+    try {
+      const refund = await prismaClient.$transaction(async (tx) => {
+        const settled = await tx.payouts.updateMany({
+          where: {
+            id: refundId,
+            status: 'Processing',
+            signature
+          },
+          data: {
+            status,
+            lastError: error,
+            processedAt: new Date()
+          }
+        });
+
+        if (settled.count !== 1) {
+          return null;
+        }
+
+        const record = await tx.payouts.findUnique({
+          where: { id: refundId }
+        });
+
+        const success = status === 'Success';
+        await ledgerService.post(tx, {
+          kind: success ? 'RefundPaid' : 'RefundReturned',
+          transfers: [{
+            from: LEDGER_ACCOUNTS.refund(record.id),
+            to: success ? LEDGER_ACCOUNTS.external : LEDGER_ACCOUNTS.user(record.user_id),
+            amount: record.amount,
+            currency: record.currency
+          }],
+          userId: record.user_id,
+          taskId: record.task_id,
+          memo: success ? record.signature : record.lastError
+        });
+
+        return record;
+      });
+
+      if (!refund) {
+        return false;
+      }
+
+      websocketService.notifyUserRefund(refund.user_id, {
+        refundId: refund.id,
+        taskId: refund.task_id,
+        amount: refund.amount,
+        currency: refund.currency,
+        status: refund.status,
+        signature: refund.signature,
+        error: refund.lastError
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Error settling refund:', error);
+      throw error;
+    }
+  }
+}
+
+export default new RefundService();
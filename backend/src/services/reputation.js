@@ -0,0 +1,337 @@
+import { prismaClient } from '../db.js';
+import { REPUTATION_HALF_LIFE_MS, GOLD_REPUTATION_WEIGHT } from '../config.js';
+
+// Reputation is the mean of a Beta(alpha, beta) distribution over how often a
+// worker agrees with the final answer. Everyone starts from the Beta(1, 1)
+// prior; evidence above the prior halves every REPUTATION_HALF_LIFE_MS, so
+// recent work counts for more than old work.
+const PRIOR = 1;
+
+// Attempts at writing a worker's reputation when other tasks finalize at the same time
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Reputation fields of a worker
+const REPUTATION_SELECT = {
+  id: true,
+  reputation_alpha: true,
+  reputation_beta: true,
+  reputation_updated_at: true,
+  reviews_scored: true,
+  reviews_agreed: true
+};
+
+class ReputationService {
+  /**
+   * A worker's evidence decayed to a point in time
+   * @param {Object} worker - Worker with reputation fields
+   * @param {Date} [at] - Time to decay to, now by default
+   * @returns {Object} alpha and beta at that time
+   */
+  decay(worker, at = new Date()) {
+    const elapsed = worker.reputation_updated_at ? at - worker.reputation_updated_at : 0;
+    const factor = elapsed > 0 ? 0.5 ** (elapsed / REPUTATION_HALF_LIFE_MS) : 1;
+
+    return {
+      alpha: PRIOR + (worker.reputation_alpha - PRIOR) * factor,
+      beta: PRIOR + (worker.reputation_beta - PRIOR) * factor
+    };
+  }
+
+  /**
+   * Reputation score of a Beta distribution
+   * @param {Object} evidence - alpha and beta
+   * @returns {number} Score from 0 to 1, 0.5 with no evidence
+   */
+  score({ alpha, beta }) {
+    return alpha / (alpha + beta);
+  }
+
+  /**
+   * A worker's reputation for API responses
+   * @param {Object} worker - Worker with reputation fields
+   * @returns {Object} Current score, the decayed amount of evidence behind it and when it last changed
+   */
+  describe(worker) {
+    const evidence = this.decay(worker);
+
+    return {
+      score: Math.round(this.score(evidence) * 1000) / 1000,
+      evidence: Math.round((evidence.alpha + evidence.beta - 2 * PRIOR) * 100) / 100,
+      updatedAt: worker.reputation_updated_at
+    };
+  }
+
+  /**
+   * Add outcomes to workers' reputations
+   * @param {Object} tx - Prisma transaction client
+   * @param {Array<Object>} outcomes - workerId, agreement (0 to 1), weight of the evidence
+   *   and, for outcomes that count towards accuracy, scored and agreed
+   * @param {Date} [at] - When the outcomes happened
+   * @returns {Promise<void>}
+   */
+  async applyOutcomes(tx, outcomes, at = new Date()) {
+    for (const outcome of outcomes) {
+      for (let attempt = 1; ; attempt++) {
+        const worker = await tx.worker.findUnique({
+          where: { id: outcome.workerId },
+          select: REPUTATION_SELECT
+        });
+
+        if (!worker) {
+          break;
+        }
+
+        const { alpha, beta } = this.decay(worker, at);
+        const weight = outcome.weight ?? 1;
+        const next = {
+          alpha: alpha + weight * outcome.agreement,
+          beta: beta + weight * (1 - outcome.agreement)
+        };
+        const scored = worker.reviews_scored + (outcome.scored ? 1 : 0);
+        const agreed = worker.reviews_agreed + (outcome.scored && outcome.agreed ? 1 : 0);
+
+        // Only write over the values read above; a task that finalized in between retries
+        const updated = await tx.worker.updateMany({
+          where: {
+            id: worker.id,
+            reputation_alpha: worker.reputation_alpha,
+            reputation_beta: worker.reputation_beta,
+            reputation_updated_at: worker.reputation_updated_at
+          },
+          data: {
+            reputation_alpha: next.alpha,
+            reputation_beta: next.beta,
+            reputation: this.score(next),
+            reputation_updated_at: at,
+            reviews_scored: scored,
+            reviews_agreed: agreed,
+            accuracy_score: scored > 0 ? Math.round(agreed / scored * 10000) / 100 : 0
+          }
+        });
+
+        if (updated.count === 1) {
+          break;
+        }
+
+        if (attempt >= MAX_UPDATE_ATTEMPTS) {
+          throw new Error(`Worker ${worker.id} reputation changed during every update attempt`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Outcomes of a finalized task for the workers who voted on it. A worker's
+   * agreement is their option's score relative to the winner's; a choice in
+   * the top 3 counts as agreeing for accuracy.
+   * @param {Array<Object>} results - Ranked results with optionId, rank, score (or count) and voters
+   * @returns {Array<Object>} Outcomes for applyOutcomes
+   */
+  getConsensusOutcomes(results) {
+    const valueOf = (result) => result.score ?? result.count;
+    const top = Math.max(0, ...results.map(valueOf));
+
+    return results.flatMap(result => result.voters.map(workerId => ({
+      workerId,
+      agreement: top > 0 ? Math.min(1, Math.max(0, valueOf(result) / top)) : (result.rank === 1 ? 1 : 0),
+      weight: 1,
+      scored: true,
+      agreed: result.rank <= 3
+    })));
+  }
+
+  /**
+   * Outcomes of a finalized pairwise task. A worker's agreement is the
+   * probability, from the final scores, that their choice beats the option
+   * it was shown with; the choice agrees for accuracy when it ranked higher.
+   * @param {Array<Object>} results - Ranked results with optionId, rank and score
+   * @param {Array<Object>} comparisons - Pairwise ballots with workerId, optionId (the winner) and loserId
+   * @returns {Array<Object>} Outcomes for applyOutcomes
+   */
+  getPairwiseOutcomes(results, comparisons) {
+    const byOption = new Map(results.map(result => [result.optionId, result]));
+
+    return comparisons.flatMap(({ workerId, optionId, loserId }) => {
+      const winner = byOption.get(optionId);
+      const loser = byOption.get(loserId);
+      if (!winner || !loser) {
+        return [];
+      }
+
+      const total = winner.score + loser.score;
+      return [{
+        workerId,
+        agreement: total > 0 ? winner.score / total : (winner.rank < loser.rank ? 1 : 0),
+        weight: 1,
+        scored: true,
+        agreed: winner.rank < loser.rank
+      }];
+    });
+  }
+
+  /**
+   * Update the reputation of everyone who voted on a task as it finalizes.
+   * Must run inside the transaction that stores the task's results.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Array<Object>} results - Ranked consensus results
+   * @param {Date} [at] - When the task finalized
+   * @param {Array<Object>} [comparisons] - Ballots of a pairwise task
+   * @returns {Promise<void>}
+   */
+  async recordConsensus(tx, results, at = new Date(), comparisons) {
+    const outcomes = comparisons
+      ? this.getPairwiseOutcomes(results, comparisons)
+      : this.getConsensusOutcomes(results);
+    await this.applyOutcomes(tx, outcomes, at);
+  }
+
+  /**
+   * Current reputation of workers, used as vote weights
+   * @param {Array<number>} workerIds - Worker IDs
+   * @returns {Promise<Map<number, number>>} Score by worker ID
+   */
+  async getWeights(workerIds) {
+    const workers = await prismaClient.worker.findMany({
+      where: {
+        id: { in: workerIds }
+      },
+      select: REPUTATION_SELECT
+    });
+
+    const now = new Date();
+    return new Map(workers.map(worker => [worker.id, this.score(this.decay(worker, now))]));
+  }
+
+  /**
+   * Outcome of a gold check. Gold answers are known, so a check counts for
+   * GOLD_REPUTATION_WEIGHT consensus votes; it does not count towards accuracy.
+   * @param {number} workerId - Worker ID
+   * @param {boolean} passed - Whether the worker chose an accepted answer
+   * @returns {Object} Outcome for applyOutcomes
+   */
+  getGoldOutcome(workerId, passed) {
+    return {
+      workerId,
+      agreement: passed ? 1 : 0,
+      weight: GOLD_REPUTATION_WEIGHT,
+      scored: false
+    };
+  }
+
+  /**
+   * Update a worker's reputation with a gold check. Must run inside the
+   * transaction that stores the submission.
+   * @param {Object} tx - Prisma transaction client
+   * @param {number} workerId - Worker ID
+   * @param {boolean} passed - Whether the check passed
+   * @param {Date} [at] - When the submission was made
+   * @returns {Promise<void>}
+   */
+  async recordGoldCheck(tx, workerId, passed, at = new Date()) {
+    await this.applyOutcomes(tx, [this.getGoldOutcome(workerId, passed)], at);
+  }
+
+  /**
+   * Recompute a worker's reputation and accuracy from scratch by replaying
+   * their gold checks and the stored results of every finalized task they
+   * voted on, in the order they happened
+   * @param {number} workerId - Worker ID
+   * @returns {Promise<Object>} Rebuilt reputation fields
+   */
+  async rebuild(workerId) {
+    try {
+      const submissions = await prismaClient.submission.findMany({
+        where: {
+          worker_id: workerId,
+          OR: [
+            { gold_passed: { not: null } },
+            {
+              task: {
+                done: true,
+                completedAt: { not: null },
+                results: { some: {} }
+              }
+            }
+          ]
+        },
+        select: {
+          option_id: true,
+          loser_option_id: true,
+          gold_passed: true,
+          createdAt: true,
+          task: {
+            select: {
+              completedAt: true,
+              results: {
+                select: {
+                  results: {
+                    select: { option_id: true, rank: true, vote_count: true, score: true }
+                  }
+                }
+              }
+            }
+          }
+        }
+      });
+
+      const events = submissions.flatMap(submission => {
+        if (submission.gold_passed !== null) {
+          return [{ at: submission.createdAt, outcome: this.getGoldOutcome(workerId, submission.gold_passed) }];
+        }
+
+        const results = submission.task.results[0].results.map(result => ({
+          optionId: result.option_id,
+          rank: result.rank,
+          count: result.vote_count,
+          score: result.score,
+          voters: result.option_id === submission.option_id ? [workerId] : []
+        }));
+        const outcomes = submission.loser_option_id !== null
+          ? this.getPairwiseOutcomes(results, [{ workerId, optionId: submission.option_id, loserId: submission.loser_option_id }])
+          : this.getConsensusOutcomes(results);
+        return outcomes.map(outcome => ({ at: submission.task.completedAt, outcome }));
+      });
+
+      events.sort((a, b) => a.at - b.at);
+
+      let worker = {
+        reputation_alpha: PRIOR,
+        reputation_beta: PRIOR,
+        reputation_updated_at: null,
+        reviews_scored: 0,
+        reviews_agreed: 0
+      };
+
+      for (const { at, outcome } of events) {
+        const { alpha, beta } = this.decay(worker, at);
+        worker = {
+          reputation_alpha: alpha + outcome.weight * outcome.agreement,
+          reputation_beta: beta + outcome.weight * (1 - outcome.agreement),
+          reputation_updated_at: at,
+          reviews_scored: worker.reviews_scored + (outcome.scored ? 1 : 0),
+          reviews_agreed: worker.reviews_agreed + (outcome.scored && outcome.agreed ? 1 : 0)
+        };
+      }
+
+      const data = {
+        ...worker,
+        reputation: this.score({ alpha: worker.reputation_alpha, beta: worker.reputation_beta }),
+        accuracy_score: worker.reviews_scored > 0
+          ? Math.round(worker.reviews_agreed / worker.reviews_scored * 10000) / 100
+          : 0
+      };
+
+      await prismaClient.worker.update({
+        where: { id: workerId },
+        data
+      });
+
+      return data;
+    } catch (error) {
+      console.error('Error rebuilding worker reputation:', error);
+      throw error;
+    }
+  }
+}
+
+export default new ReputationService();
@@ -0,0 +1,178 @@
+import { prismaClient } from '../db.js';
+
+// How often a session's lastSeenAt is refreshed while it is in use
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const SESSION_MODELS = {
+  user: { delegate: () => prismaClient.userSession, ownerField: 'userId' },
+  worker: { delegate: () => prismaClient.workerSession, ownerField: 'workerId' }
+};
+
+class SessionService {
+  /**
+   * Resolve the Prisma model for a session kind
+   * @param {string} kind - 'user' or 'worker'
+   * @returns {Object} Prisma delegate and owner column
+   */
+  getModel(kind) {
+    const model = SESSION_MODELS[kind];
+    if (!model) {
+      throw new Error(`Unknown session kind: ${kind}`);
+    }
+    return { delegate: model.delegate(), ownerField: model.ownerField };
+  }
+
+  /**
+   * Store a new session for a freshly issued token
+   * @param {string} kind - 'user' or 'worker'
+   * @param {number} ownerId - User or worker ID
+   * @param {string} token - Signed JWT
+   * @param {Date} expiresAt - Token expiry
+   * @param {Object} req - Express request the session was created from
+   * @returns {Promise<Object>} Created session
+   */
+  async createSession(kind, ownerId, token, expiresAt, req) {
+    try {
+      const { delegate, ownerField } = this.getModel(kind);
+
+      return await delegate.create({
+        data: {
+          [ownerField]: ownerId,
+          token,
+          expiresAt,
+          userAgent: req.get('User-Agent')?.slice(0, 512) || null,
+          ipAddress: req.ip || null
+        }
+      });
+    } catch (error) {
+      console.error(`Error creating ${kind} session:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the live session for a token and mark it as recently used
+   * @param {string} kind - 'user' or 'worker'
+   * @param {string} token - Signed JWT
+   * @param {number} ownerId - Owner ID from the token payload
+   * @returns {Promise<Object|null>} Session or null if revoked or expired
+   */
+  async findActiveSession(kind, token, ownerId) {
+    try {
+      const { delegate, ownerField } = this.getModel(kind);
+      const now = new Date();
+
+      const session = await delegate.findFirst({
+        where: {
+          token,
+          [ownerField]: ownerId,
+          expiresAt: {
+            gt: now
+          }
+        }
+      });
+
+      if (session && now - session.lastSeenAt > LAST_SEEN_RESOLUTION_MS) {
+        await delegate.update({
+          where: { id: session.id },
+          data: { lastSeenAt: now }
+        });
+      }
+
+      return session;
+    } catch (error) {
+      console.error(`Error finding ${kind} session:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the live sessions of an owner
+   * @param {string} kind - 'user' or 'worker'
+   * @param {number} ownerId - User or worker ID
+   * @param {number} currentSessionId - Session making the request
+   * @returns {Promise<Array>} Sessions, most recently used first
+   */
+  async listSessions(kind, ownerId, currentSessionId) {
+    try {
+      const { delegate, ownerField } = this.getModel(kind);
+
+      const sessions = await delegate.findMany({
+        where: {
+          [ownerField]: ownerId,
+          expiresAt: {
+            gt: new Date()
+          }
+        },
+        orderBy: {
+          lastSeenAt: 'desc'
+        }
+      });
+
+      return sessions.map(session => ({
+        id: session.id,
+        device: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session.id === currentSessionId
+      }));
+    } catch (error) {
+      console.error(`Error listing ${kind} sessions:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} kind - 'user' or 'worker'
+   * @param {number} ownerId - User or worker ID
+   * @param {number} sessionId - Session to revoke
+   * @returns {Promise<boolean>} Whether a session was revoked
+   */
+  async revokeSession(kind, ownerId, sessionId) {
+    try {
+      const { delegate, ownerField } = this.getModel(kind);
+
+      const result = await delegate.deleteMany({
+        where: {
+          id: sessionId,
+          [ownerField]: ownerId
+        }
+      });
+
+      return result.count > 0;
+    } catch (error) {
+      console.error(`Error revoking ${kind} session:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session of an owner
+   * @param {string} kind - 'user' or 'worker'
+   * @param {number} ownerId - User or worker ID
+   * @param {number} [keepSessionId] - Session to leave signed in
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAllSessions(kind, ownerId, keepSessionId) {
+    try {
+      const { delegate, ownerField } = this.getModel(kind);
+
+      const result = await delegate.deleteMany({
+        where: {
+          [ownerField]: ownerId,
+          ...(keepSessionId && { id: { not: keepSessionId } })
+        }
+      });
+
+      return result.count;
+    } catch (error) {
+      console.error(`Error revoking ${kind} sessions:`, error);
+      throw error;
+    }
+  }
+}
+
+export default new SessionService();
@@ -1,37 +1,202 @@
-import { Connection, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import {
+  Connection,
+  PublicKey,
+  Keypair,
+  Transaction,
+  SystemProgram,
+  SystemInstruction,
+  TransactionInstruction,
+  LAMPORTS_PER_SOL,
+  PACKET_DATA_SIZE,
+  TransactionExpiredBlockheightExceededError
+} from '@solana/web3.js';
+import {
+  TOKEN_PROGRAM_ID,
+  TokenInstruction,
+  getAccount,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  decodeTransferCheckedInstruction,
+  getMinimumBalanceForRentExemptAccount,
+  TokenAccountNotFoundError
+} from '@solana/spl-token';
 import bs58 from 'bs58';
 import dotenv from 'dotenv';
+import {
+  PAYOUT_WALLET_SECRET_KEY,
+  PAYOUT_COMMITMENT,
+  PAYOUT_MAX_ATTEMPTS,
+  PAYOUT_FEE_RESERVE,
+  PAYMENT_MAX_AGE_MS,
+  USDC_MINT,
+  SOLANA_NETWORK
+} from '../config.js';
+import { CURRENCY_DECIMALS, formatDecimalAmount } from '../currencies.js';
+import priceService from './price.js';
 
 dotenv.config();
 
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
 class SolanaService {
   constructor() {
     this.connection = new Connection(process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com', 'confirmed');
     this.adminWallet = new PublicKey(process.env.ADMIN_WALLET_ADDRESS);
+    this.usdcMint = new PublicKey(USDC_MINT);
+    this.adminUsdcAccount = getAssociatedTokenAddressSync(this.usdcMint, this.adminWallet);
+    this.payoutKeypair = null;
+  }
+
+  /**
+   * Load the hot-wallet keypair used to sign payouts
+   * @returns {Keypair} Payout wallet keypair
+   */
+  getPayoutKeypair() {
+    if (this.payoutKeypair) {
+      return this.payoutKeypair;
+    }
+
+    if (!PAYOUT_WALLET_SECRET_KEY) {
+      throw new Error('Payout wallet is not configured (set PAYOUT_WALLET_SECRET_KEY)');
+    }
+
+    const secret = PAYOUT_WALLET_SECRET_KEY.trim();
+    const secretKey = secret.startsWith('[')
+      ? Uint8Array.from(JSON.parse(secret))
+      : bs58.decode(secret);
+
+    this.payoutKeypair = Keypair.fromSecretKey(secretKey);
+    return this.payoutKeypair;
   }
 
   /**
-   * Verify a transaction signature on the Solana blockchain
+   * Get the payout wallet balance
+   * @param {string} [currency] - SOL or USDC
+   * @returns {Promise<bigint>} Balance in base units
+   */
+  async getPayoutBalance(currency = 'SOL') {
+    const payer = this.getPayoutKeypair().publicKey;
+
+    if (currency === 'SOL') {
+      return BigInt(await this.connection.getBalance(payer, PAYOUT_COMMITMENT));
+    }
+
+    try {
+      const account = await getAccount(
+        this.connection,
+        getAssociatedTokenAddressSync(this.usdcMint, payer),
+        PAYOUT_COMMITMENT
+      );
+      return account.amount;
+    } catch (error) {
+      if (error instanceof TokenAccountNotFoundError) {
+        return 0n;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure the payout wallet can cover a payout plus fees. USDC payouts
+   * also need SOL to open token accounts for recipients that have none.
+   * @param {bigint} amount - Amount in base units
+   * @param {string} [currency] - SOL or USDC
+   * @param {number} [recipients] - Number of recipients in the payout
+   * @returns {Promise<bigint>} Current balance in base units
+   */
+  async ensurePayoutBalance(amount, currency = 'SOL', recipients = 1) {
+    const balance = await this.getPayoutBalance(currency);
+    const feeReserve = BigInt(PAYOUT_FEE_RESERVE);
+
+    if (currency === 'SOL') {
+      if (balance < amount + feeReserve) {
+        throw new Error(`Insufficient payout wallet balance: ${balance} lamports available, ${amount + feeReserve} required`);
+      }
+      return balance;
+    }
+
+    if (balance < amount) {
+      throw new Error(`Insufficient payout wallet balance: ${balance} ${currency} base units available, ${amount} required`);
+    }
+
+    const rent = await getMinimumBalanceForRentExemptAccount(this.connection, PAYOUT_COMMITMENT);
+    const required = feeReserve + BigInt(rent) * BigInt(recipients);
+    const lamports = await this.getPayoutBalance('SOL');
+
+    if (lamports < required) {
+      throw new Error(`Insufficient payout wallet balance for fees: ${lamports} lamports available, ${required} required`);
+    }
+
+    return balance;
+  }
+
+  /**
+   * Fetch a finalized transaction and decode its top-level instructions
    * @param {string} signature - Transaction signature to verify
-   * @returns {Promise<Object>} Transaction details if valid
+   * @returns {Promise<Object>} Decoded SOL transfers, token transfers and memos if the transaction is usable
    */
   async verifyTransaction(signature) {
     try {
+      const status = await this.getSignatureStatus(signature);
+
+      if (!status) {
+        return { valid: false, error: 'Transaction not found' };
+      }
+
+      if (status.err) {
+        return { valid: false, error: 'Transaction failed on chain' };
+      }
+
+      if (status.confirmationStatus !== 'finalized') {
+        return { valid: false, pending: true, error: 'Transaction is not finalized yet' };
+      }
+
       const transaction = await this.connection.getTransaction(signature, {
-        commitment: 'confirmed',
+        commitment: 'finalized',
         maxSupportedTransactionVersion: 0
       });
 
       if (!transaction) {
-        throw new Error('Transaction not found');
+        return { valid: false, error: 'Transaction not found' };
+      }
+
+      // Resolves address lookup tables for versioned transactions
+      const { message } = transaction.transaction;
+      const accountKeys = message.getAccountKeys({
+        accountKeysFromLookups: transaction.meta?.loadedAddresses
+      });
+
+      const transfers = [];
+      const tokenTransfers = [];
+      const memos = [];
+
+      for (const instruction of message.compiledInstructions) {
+        const programId = accountKeys.get(instruction.programIdIndex);
+        const keys = instruction.accountKeyIndexes.map(index => accountKeys.get(index));
+        const data = Buffer.from(instruction.data);
+
+        if (programId.equals(SystemProgram.programId)) {
+          const transfer = this.decodeSystemTransfer(keys, data);
+          if (transfer) {
+            transfers.push(transfer);
+          }
+        } else if (programId.equals(TOKEN_PROGRAM_ID)) {
+          const transfer = this.decodeTokenTransfer(keys, data);
+          if (transfer) {
+            tokenTransfers.push(transfer);
+          }
+        } else if (programId.equals(MEMO_PROGRAM_ID)) {
+          memos.push(data.toString('utf8'));
+        }
       }
 
       return {
         valid: true,
         transaction,
-        amount: transaction.meta?.postBalances[1] - transaction.meta?.preBalances[1] || 0,
-        from: transaction.transaction.message.accountKeys[0].toString(),
-        to: transaction.transaction.message.accountKeys[1].toString(),
+        transfers,
+        tokenTransfers,
+        memos,
         blockTime: transaction.blockTime
       };
     } catch (error) {
@@ -41,68 +206,354 @@ class SolanaService {
   }
 
   /**
-   * Verify payment transaction for task creation
+   * Decode a System Program transfer instruction
+   * @param {Array<PublicKey>} keys - Instruction accounts
+   * @param {Buffer} data - Instruction data
+   * @returns {Object|null} Transfer or null for other System instructions
+   */
+  decodeSystemTransfer(keys, data) {
+    const instruction = new TransactionInstruction({
+      programId: SystemProgram.programId,
+      keys: keys.map(pubkey => ({ pubkey, isSigner: false, isWritable: false })),
+      data
+    });
+
+    try {
+      if (SystemInstruction.decodeInstructionType(instruction) !== 'Transfer') {
+        return null;
+      }
+    } catch {
+      return null;
+    }
+
+    const { fromPubkey, toPubkey, lamports } = SystemInstruction.decodeTransfer(instruction);
+
+    return {
+      from: fromPubkey.toBase58(),
+      to: toPubkey.toBase58(),
+      lamports: BigInt(lamports),
+      // Solana Pay appends reference keys as extra read-only accounts
+      references: keys.slice(2).map(key => key.toBase58())
+    };
+  }
+
+  /**
+   * Decode an SPL Token transferChecked instruction
+   * @param {Array<PublicKey>} keys - Instruction accounts
+   * @param {Buffer} data - Instruction data
+   * @returns {Object|null} Token transfer or null for other Token instructions
+   */
+  decodeTokenTransfer(keys, data) {
+    if (data[0] !== TokenInstruction.TransferChecked) {
+      return null;
+    }
+
+    let decoded;
+    try {
+      decoded = decodeTransferCheckedInstruction(new TransactionInstruction({
+        programId: TOKEN_PROGRAM_ID,
+        keys: keys.map(pubkey => ({ pubkey, isSigner: false, isWritable: false })),
+        data
+      }));
+    } catch {
+      return null;
+    }
+
+    const { source, mint, destination, owner, multiSigners } = decoded.keys;
+
+    return {
+      source: source.pubkey.toBase58(),
+      mint: mint.pubkey.toBase58(),
+      destination: destination.pubkey.toBase58(),
+      owner: owner.pubkey.toBase58(),
+      amount: decoded.data.amount,
+      decimals: decoded.data.decimals,
+      // Solana Pay appends reference keys after the owner, where multisig signers would go
+      references: multiSigners.map(signer => signer.pubkey.toBase58())
+    };
+  }
+
+  /**
+   * Pick the transfers in a decoded transaction that pay the admin wallet in a currency
+   * @param {Object} result - Decoded transaction from verifyTransaction
+   * @param {string} currency - SOL or USDC
+   * @param {string|null} payer - Paying wallet, any if null
+   * @returns {Array<Object>} Payments as { amount, references }
+   */
+  findAdminPayments(result, currency, payer) {
+    if (currency === 'SOL') {
+      const adminAddress = this.adminWallet.toBase58();
+
+      return result.transfers
+        .filter(transfer => transfer.to === adminAddress && (!payer || transfer.from === payer))
+        .map(transfer => ({ amount: transfer.lamports, references: transfer.references }));
+    }
+
+    // transferChecked commits to the mint and decimals, so a look-alike token cannot pass
+    const adminAccount = this.adminUsdcAccount.toBase58();
+    const mint = this.usdcMint.toBase58();
+
+    return result.tokenTransfers
+      .filter(transfer =>
+        transfer.destination === adminAccount &&
+        transfer.mint === mint &&
+        transfer.decimals === CURRENCY_DECIMALS[currency] &&
+        (!payer || transfer.owner === payer)
+      )
+      .map(transfer => ({ amount: transfer.amount, references: transfer.references }));
+  }
+
+  /**
+   * Verify that a transaction pays the admin wallet for a quote
    * @param {string} signature - Transaction signature
-   * @param {number} expectedAmount - Expected amount in lamports
-   * @param {string} userWallet - User's wallet address
-   * @returns {Promise<boolean>} Whether payment is valid
+   * @param {Object} expected - Payer (any wallet if null), amount in base units (bigint), currency, quote reference and quote expiry
+   * @returns {Promise<Object>} Verification result
    */
-  async verifyPayment(signature, expectedAmount, userWallet) {
+  async verifyPayment(signature, { payer, amount, currency = 'SOL', reference, expiresAt }) {
     try {
       const result = await this.verifyTransaction(signature);
-      
+
       if (!result.valid) {
-        return false;
+        return { valid: false, pending: result.pending, error: result.error };
       }
 
-      const { transaction } = result;
-      
-      // Check if payment was made to admin wallet
-      const toAddress = transaction.transaction.message.accountKeys[1].toString();
-      if (toAddress !== this.adminWallet.toString()) {
-        console.error('Payment not made to admin wallet');
-        return false;
+      if (!result.blockTime) {
+        return { valid: false, error: 'Transaction has no block time' };
       }
 
-      // Check if payment came from user wallet
-      const fromAddress = transaction.transaction.message.accountKeys[0].toString();
-      if (fromAddress !== userWallet) {
-        console.error('Payment not from expected user wallet');
-        return false;
+      const paidAt = new Date(result.blockTime * 1000);
+
+      if (Date.now() - paidAt.getTime() > PAYMENT_MAX_AGE_MS) {
+        return { valid: false, error: 'Transaction is too old' };
       }
 
-      // Check amount (allowing for small transaction fees)
-      const actualAmount = Math.abs(transaction.meta?.postBalances[1] - transaction.meta?.preBalances[1] || 0);
-      const tolerance = 0.001 * LAMPORTS_PER_SOL; // 0.001 SOL tolerance for fees
-      
-      if (Math.abs(actualAmount - expectedAmount) > tolerance) {
-        console.error(`Amount mismatch. Expected: ${expectedAmount}, Actual: ${actualAmount}`);
-        return false;
+      if (expiresAt && paidAt > expiresAt) {
+        return { valid: false, error: 'Transaction was made after the quote expired' };
       }
 
-      return true;
+      const payments = this.findAdminPayments(result, currency, payer);
+
+      if (payments.length === 0) {
+        return {
+          valid: false,
+          error: payer
+            ? `Transaction does not pay the admin wallet in ${currency} from your wallet`
+            : `Transaction does not pay the admin wallet in ${currency}`
+        };
+      }
+
+      const referenced =
+        payments.some(payment => payment.references.includes(reference)) ||
+        result.memos.some(memo => memo.trim() === reference);
+
+      if (!referenced) {
+        return { valid: false, error: 'Transaction does not reference the quote' };
+      }
+
+      const paid = payments.reduce((sum, payment) => sum + payment.amount, 0n);
+
+      if (paid < BigInt(amount)) {
+        return { valid: false, error: `Amount mismatch. Expected: ${amount}, paid: ${paid}` };
+      }
+
+      return { valid: true, amount: paid, paidAt };
     } catch (error) {
       console.error('Error verifying payment:', error);
-      return false;
+      return { valid: false, error: 'Payment verification failed' };
     }
   }
 
   /**
-   * Send SOL to a worker's wallet
+   * Find transactions that reference a key, oldest first
+   * @param {string} reference - Reference public key
+   * @returns {Promise<Array<Object>>} Signature infos
+   */
+  async getReferenceSignatures(reference) {
+    const signatures = await this.connection.getSignaturesForAddress(
+      new PublicKey(reference),
+      { limit: 10 },
+      'confirmed'
+    );
+    return signatures.reverse();
+  }
+
+  /**
+   * Solana Explorer page of a transaction on the configured cluster
+   * @param {string} signature - Transaction signature
+   * @returns {string} Explorer URL
+   */
+  getExplorerUrl(signature) {
+    const cluster = SOLANA_NETWORK.startsWith('mainnet') ? '' : `?cluster=${SOLANA_NETWORK}`;
+    return `https://explorer.solana.com/tx/${signature}${cluster}`;
+  }
+
+  /**
+   * Build a Solana Pay transfer request URL paying the admin wallet
+   * @param {Object} params - Amount in base units, currency, reference key, label and message
+   * @returns {string} solana: URL
+   */
+  buildPaymentUrl({ amount, currency = 'SOL', reference, label, message }) {
+    const params = new URLSearchParams({
+      amount: formatDecimalAmount(amount, currency),
+      ...(currency === 'USDC' && { 'spl-token': this.usdcMint.toBase58() }),
+      reference,
+      label,
+      message
+    });
+
+    // URLSearchParams encodes spaces as '+', which Solana Pay wallets read literally
+    return `solana:${this.adminWallet.toBase58()}?${params.toString().replace(/\+/g, '%20')}`;
+  }
+
+  /**
+   * Build an unsigned transaction with one transfer per recipient. USDC
+   * transfers go to the recipient's associated token account, which is
+   * created first if it does not exist yet.
+   * @param {Array<Object>} transfers - Recipients as { address, amount } in base units
+   * @param {string} blockhash - Recent blockhash
+   * @param {number} [lastValidBlockHeight] - Last block height the blockhash is valid for
+   * @param {string} [currency] - SOL or USDC
+   * @returns {Transaction} Unsigned transaction
+   */
+  buildPayoutTransaction(transfers, blockhash, lastValidBlockHeight, currency = 'SOL') {
+    const payer = this.getPayoutKeypair();
+
+    const transaction = new Transaction({
+      feePayer: payer.publicKey,
+      blockhash,
+      lastValidBlockHeight
+    });
+
+    const sourceAccount = currency === 'USDC'
+      ? getAssociatedTokenAddressSync(this.usdcMint, payer.publicKey)
+      : null;
+
+    for (const { address, amount } of transfers) {
+      const recipient = new PublicKey(address);
+
+      if (currency === 'SOL') {
+        transaction.add(
+          SystemProgram.transfer({
+            fromPubkey: payer.publicKey,
+            toPubkey: recipient,
+            lamports: amount
+          })
+        );
+        continue;
+      }
+
+      const recipientAccount = getAssociatedTokenAddressSync(this.usdcMint, recipient);
+      transaction.add(
+        createAssociatedTokenAccountIdempotentInstruction(payer.publicKey, recipientAccount, recipient, this.usdcMint),
+        createTransferCheckedInstruction(
+          sourceAccount,
+          this.usdcMint,
+          recipientAccount,
+          payer.publicKey,
+          amount,
+          CURRENCY_DECIMALS[currency]
+        )
+      );
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Check whether a set of transfers fits into a single signed transaction
+   * @param {Array<Object>} transfers - Recipients as { address, amount } in base units
+   * @param {string} [currency] - SOL or USDC
+   * @returns {boolean} Whether the transaction is within the packet size limit
+   */
+  fitsInPayoutTransaction(transfers, currency = 'SOL') {
+    // The blockhash only affects content, not size
+    const transaction = this.buildPayoutTransaction(transfers, PublicKey.default.toBase58(), undefined, currency);
+    const signatureBytes = 1 + 64;
+
+    return signatureBytes + transaction.serializeMessage().length <= PACKET_DATA_SIZE;
+  }
+
+  /**
+   * Build and sign a payout from the payout wallet without broadcasting it
+   * @param {Array<Object>} transfers - Recipients as { address, amount } in base units
+   * @param {string} [currency] - SOL or USDC
+   * @returns {Promise<Object>} Signed transaction, its signature and blockhash validity
+   */
+  async createPayoutTransaction(transfers, currency = 'SOL') {
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash(PAYOUT_COMMITMENT);
+
+    const transaction = this.buildPayoutTransaction(transfers, blockhash, lastValidBlockHeight, currency);
+    transaction.sign(this.getPayoutKeypair());
+
+    return {
+      transaction,
+      signature: bs58.encode(transaction.signature),
+      blockhash,
+      lastValidBlockHeight
+    };
+  }
+
+  /**
+   * Broadcast a signed transaction
+   * @param {Transaction} transaction - Signed transaction
+   * @returns {Promise<string>} Transaction signature
+   */
+  async submitTransaction(transaction) {
+    return this.connection.sendRawTransaction(transaction.serialize(), {
+      preflightCommitment: PAYOUT_COMMITMENT
+    });
+  }
+
+  /**
+   * Wait for a submitted payout to reach the configured commitment
+   * @param {Object} params - Signature, blockhash and last valid block height
+   * @returns {Promise<void>}
+   */
+  async confirmPayout({ signature, blockhash, lastValidBlockHeight }) {
+    const confirmation = await this.connection.confirmTransaction(
+      { signature, blockhash, lastValidBlockHeight },
+      PAYOUT_COMMITMENT
+    );
+
+    if (confirmation.value.err) {
+      throw new Error(`Payout transaction ${signature} failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+  }
+
+  /**
+   * Send SOL to a worker's wallet from the payout hot wallet
    * @param {string} workerAddress - Worker's wallet address
-   * @param {number} amount - Amount in lamports
+   * @param {bigint} amount - Amount in lamports
    * @returns {Promise<string>} Transaction signature
    */
   async sendReward(workerAddress, amount) {
     try {
-      // In production, you would use the admin's private key to sign transactions
-      // For now, we'll simulate the transaction
-      console.log(`Simulating reward payment: ${amount} lamports to ${workerAddress}`);
-      
-      // Generate a mock transaction signature for development
-      const mockSignature = bs58.encode(Buffer.from(Array.from({length: 64}, () => Math.floor(Math.random() * 256))));
-      
-      return mockSignature;
+      await this.ensurePayoutBalance(BigInt(amount));
+
+      for (let attempt = 1; attempt <= PAYOUT_MAX_ATTEMPTS; attempt++) {
+        const payout = await this.createPayoutTransaction([{ address: workerAddress, amount }]);
+        await this.submitTransaction(payout.transaction);
+
+        try {
+          await this.confirmPayout(payout);
+
+          console.log(`Sent ${amount} lamports to ${workerAddress}: ${payout.signature}`);
+          return payout.signature;
+        } catch (error) {
+          if (!(error instanceof TransactionExpiredBlockheightExceededError)) {
+            throw error;
+          }
+
+          // The blockhash expired before we saw a confirmation; it may still have landed
+          if (this.isConfirmedStatus(await this.getSignatureStatus(payout.signature))) {
+            return payout.signature;
+          }
+
+          console.warn(`Payout to ${workerAddress} expired (attempt ${attempt}/${PAYOUT_MAX_ATTEMPTS}), retrying with a new blockhash`);
+        }
+      }
+
+      throw new Error(`Payout to ${workerAddress} was not confirmed after ${PAYOUT_MAX_ATTEMPTS} attempts`);
     } catch (error) {
       console.error('Error sending reward:', error);
       throw error;
@@ -110,92 +561,113 @@ class SolanaService {
   }
 
   /**
-   * Get current SOL price in USD (mock implementation)
+   * Look up the status of several signatures, including ones outside the recent status cache
+   * @param {Array<string>} signatures - Transaction signatures
+   * @returns {Promise<Array<Object|null>>} Statuses in the same order, null if unknown
+   */
+  async getSignatureStatuses(signatures) {
+    const { value } = await this.connection.getSignatureStatuses(signatures, {
+      searchTransactionHistory: true
+    });
+    return value;
+  }
+
+  /**
+   * Look up the status of a signature
+   * @param {string} signature - Transaction signature
+   * @returns {Promise<Object|null>} Signature status or null if unknown
+   */
+  async getSignatureStatus(signature) {
+    const [status] = await this.getSignatureStatuses([signature]);
+    return status;
+  }
+
+  /**
+   * Check whether a signature status reached the payout commitment level without error
+   * @param {Object|null} status - Signature status
+   * @returns {boolean} Whether the transaction is confirmed
+   */
+  isConfirmedStatus(status) {
+    if (!status || status.err) {
+      return false;
+    }
+
+    const levels = ['processed', 'confirmed', 'finalized'];
+    return levels.indexOf(status.confirmationStatus) >= levels.indexOf(PAYOUT_COMMITMENT);
+  }
+
+  /**
+   * Get the current block height at the payout commitment level
+   * @returns {Promise<number>} Block height
+   */
+  async getBlockHeight() {
+    return this.connection.getBlockHeight(PAYOUT_COMMITMENT);
+  }
+
+  /**
+   * Get the current SOL price in USD from the price oracle
    * @returns {Promise<number>} SOL price in USD
    */
   async getSolPrice() {
-    try {
-      // In production, you would fetch from a price API
-      // Mock price for development
-      return 100; // $100 per SOL
-    } catch (error) {
-      console.error('Error fetching SOL price:', error);
-      return 100; // Default fallback price
-    }
+    const { rate } = await priceService.getSolUsdRate();
+    return rate;
   }
 
   /**
    * Convert USD amount to lamports
    * @param {number} usdAmount - Amount in USD
-   * @returns {Promise<number>} Amount in lamports
+   * @param {number} [solPrice] - SOL/USD rate to use instead of the current one
+   * @returns {Promise<bigint>} Amount in lamports
    */
-  async usdToLamports(usdAmount) {
-    const solPrice = await this.getSolPrice();
-    const solAmount = usdAmount / solPrice;
-    return Math.floor(solAmount * LAMPORTS_PER_SOL);
+  async usdToLamports(usdAmount, solPrice) {
+    const rate = solPrice ?? await this.getSolPrice();
+    const solAmount = usdAmount / rate;
+    return BigInt(Math.floor(solAmount * LAMPORTS_PER_SOL));
   }
 
   /**
    * Convert lamports to USD
-   * @param {number} lamports - Amount in lamports
+   * @param {bigint|number} lamports - Amount in lamports
+   * @param {number} [solPrice] - SOL/USD rate to use instead of the current one
    * @returns {Promise<number>} Amount in USD
    */
-  async lamportsToUsd(lamports) {
-    const solPrice = await this.getSolPrice();
-    const solAmount = lamports / LAMPORTS_PER_SOL;
-    return solAmount * solPrice;
+  async lamportsToUsd(lamports, solPrice) {
+    const rate = solPrice ?? await this.getSolPrice();
+    const solAmount = Number(lamports) / LAMPORTS_PER_SOL;
+    return solAmount * rate;
   }
 
   /**
-   * Get service pricing in lamports
-   * @param {string} serviceType - Type of service
-   * @param {number} reviewCount - Number of reviews
-   * @returns {number} Price in lamports
+   * Convert an amount in any currency to USD (USDC is taken as $1)
+   * @param {bigint|number} amount - Amount in base units
+   * @param {string} currency - SOL or USDC
+   * @param {number} [solPrice] - SOL/USD rate to use instead of the current one
+   * @returns {Promise<number>} Amount in USD
    */
-  getServicePrice(serviceType, reviewCount) {
-    const priceMap = {
-      'MARKETING_IMAGES': {
-        200: parseInt(process.env.MARKETING_IMAGES_200_PRICE),
-        500: parseInt(process.env.MARKETING_IMAGES_500_PRICE)
-      },
-      'YOUTUBE_THUMBNAILS': {
-        200: parseInt(process.env.YOUTUBE_THUMBNAILS_200_PRICE),
-        500: parseInt(process.env.YOUTUBE_THUMBNAILS_500_PRICE)
-      },
-      'VIDEOS': {
-        100: parseInt(process.env.VIDEOS_100_PRICE),
-        300: parseInt(process.env.VIDEOS_300_PRICE)
-      }
-    };
-
-    return priceMap[serviceType]?.[reviewCount] || 0;
+  async amountToUsd(amount, currency, solPrice) {
+    return currency === 'SOL'
+      ? this.lamportsToUsd(amount, solPrice)
+      : Number(amount) / 10 ** CURRENCY_DECIMALS[currency];
   }
 
   /**
-   * Calculate worker reward based on consensus
-   * @param {string} serviceType - Type of service
-   * @param {number} rank - Worker's rank (1, 2, 3)
-   * @returns {number} Reward in lamports
+   * Convert an amount between currencies
+   * @param {bigint} amount - Amount in base units of the source currency
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {number} [solPrice] - SOL/USD rate to use instead of the current one
+   * @returns {Promise<bigint>} Amount in base units of the target currency
    */
-  calculateWorkerReward(serviceType, rank) {
-    let baseReward;
-    
-    if (serviceType === 'VIDEOS') {
-      baseReward = parseInt(process.env.VIDEO_MAJORITY_REWARD);
-    } else {
-      baseReward = parseInt(process.env.IMAGE_THUMBNAIL_MAJORITY_REWARD);
+  async convertAmount(amount, from, to, solPrice) {
+    if (from === to) {
+      return amount;
     }
 
-    switch (rank) {
-      case 1:
-        return baseReward;
-      case 2:
-        return Math.floor(baseReward * parseFloat(process.env.SECOND_PLACE_MULTIPLIER));
-      case 3:
-        return Math.floor(baseReward * parseFloat(process.env.THIRD_PLACE_MULTIPLIER));
-      default:
-        return 0;
-    }
+    const usdAmount = await this.amountToUsd(amount, from, solPrice);
+
+    return to === 'SOL'
+      ? await this.usdToLamports(usdAmount, solPrice)
+      : BigInt(Math.floor(usdAmount * 10 ** CURRENCY_DECIMALS[to]));
   }
 
   /**
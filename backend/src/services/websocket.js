@@ -2,12 +2,16 @@ import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
 import { prismaClient } from '../db.js';
 import { WORKER_JWT_SECRET } from '../config.js';
+import { stringifyAmounts } from '../currencies.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
+// Event payloads as clients receive them, with BigInt amounts as strings
+const serialize = (data) => JSON.parse(JSON.stringify(data, stringifyAmounts));
+
 class WebSocketService {
   constructor() {
     this.io = null;
@@ -110,7 +114,7 @@ class WebSocketService {
             socket.userType = 'worker';
             this.workerSockets.set(session.workerId, socket);
             
-            socket.emit('authenticated', {
+            socket.emit('authenticated', serialize({
               success: true,
               worker: {
                 id: session.worker.id,
@@ -118,7 +122,7 @@ class WebSocketService {
                 pendingAmount: session.worker.pending_amount,
                 totalEarned: session.worker.total_earned
               }
-            });
+            }));
 
             // Join worker-specific room and general workers room
             socket.join(`worker_${session.workerId}`);
@@ -168,6 +172,16 @@ class WebSocketService {
     });
   }
 
+  /**
+   * Emit an event to a room, or to every client
+   * @param {string|null} room - Room name, or null to broadcast
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  emit(room, event, data) {
+    (room ? this.io.to(room) : this.io).emit(event, serialize(data));
+  }
+
   /**
    * Notify user about task progress
    * @param {number} userId - User ID
@@ -175,7 +189,7 @@ class WebSocketService {
    */
   notifyUserTaskUpdate(userId, taskUpdate) {
     try {
-      this.io.to(`user_${userId}`).emit('task_update', {
+      this.emit(`user_${userId}`, 'task_update', {
         type: 'task_progress',
         data: taskUpdate,
         timestamp: new Date().toISOString()
@@ -183,7 +197,7 @@ class WebSocketService {
 
       // Also notify task-specific subscribers
       if (taskUpdate.taskId) {
-        this.io.to(`task_${taskUpdate.taskId}`).emit('task_update', {
+        this.emit(`task_${taskUpdate.taskId}`, 'task_update', {
           type: 'task_progress',
           data: taskUpdate,
           timestamp: new Date().toISOString()
@@ -194,6 +208,57 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Notify user about the payment status of a quote
+   * @param {number} userId - User ID
+   * @param {Object} paymentUpdate - Quote ID, status and signature
+   */
+  notifyUserPayment(userId, paymentUpdate) {
+    try {
+      this.emit(`user_${userId}`, 'payment_update', {
+        type: 'payment_update',
+        data: paymentUpdate,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error notifying user payment:', error);
+    }
+  }
+
+  /**
+   * Notify user about a refund of unused task escrow
+   * @param {number} userId - User ID
+   * @param {Object} refundUpdate - Refund ID, task ID, amount, status and signature
+   */
+  notifyUserRefund(userId, refundUpdate) {
+    try {
+      this.emit(`user_${userId}`, 'refund_update', {
+        type: 'refund_update',
+        data: refundUpdate,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error notifying user refund:', error);
+    }
+  }
+
+  /**
+   * Notify user about a payment to one of their credit deposits
+   * @param {number} userId - User ID
+   * @param {Object} depositUpdate - Deposit ID, status and signature
+   */
+  notifyUserDeposit(userId, depositUpdate) {
+    try {
+      this.emit(`user_${userId}`, 'deposit_update', {
+        type: 'deposit_update',
+        data: depositUpdate,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error notifying user deposit:', error);
+    }
+  }
+
   /**
    * Notify worker about new task availability
    * @param {number} workerId - Worker ID (optional, if null notifies all workers)
@@ -208,9 +273,9 @@ class WebSocketService {
       };
 
       if (workerId) {
-        this.io.to(`worker_${workerId}`).emit('new_task', event);
+        this.emit(`worker_${workerId}`, 'new_task', event);
       } else {
-        this.io.to('workers').emit('new_task', event);
+        this.emit('workers', 'new_task', event);
       }
     } catch (error) {
       console.error('Error notifying worker new task:', error);
@@ -224,7 +289,7 @@ class WebSocketService {
    */
   notifyWorkerEarnings(workerId, earningsData) {
     try {
-      this.io.to(`worker_${workerId}`).emit('earnings_update', {
+      this.emit(`worker_${workerId}`, 'earnings_update', {
         type: 'earnings_update',
         data: earningsData,
         timestamp: new Date().toISOString()
@@ -252,17 +317,17 @@ class WebSocketService {
       };
 
       // Notify task subscribers
-      this.io.to(`task_${taskId}`).emit('task_completed', event);
+      this.emit(`task_${taskId}`, 'task_completed', event);
 
       // Notify task owner
       if (results.userId) {
-        this.io.to(`user_${results.userId}`).emit('task_completed', event);
+        this.emit(`user_${results.userId}`, 'task_completed', event);
       }
 
       // Notify workers who participated
       if (results.workerRewards) {
         results.workerRewards.forEach(reward => {
-          this.io.to(`worker_${reward.workerId}`).emit('reward_received', {
+          this.emit(`worker_${reward.workerId}`, 'reward_received', {
             type: 'reward_received',
             data: {
               taskId,
@@ -285,7 +350,7 @@ class WebSocketService {
    */
   broadcastSystemStats(stats) {
     try {
-      this.io.to('system_stats').emit('system_stats_update', {
+      this.emit('system_stats', 'system_stats_update', {
         type: 'system_stats',
         data: stats,
         timestamp: new Date().toISOString()
@@ -302,7 +367,7 @@ class WebSocketService {
    */
   notifyWorkerPayout(workerId, payoutData) {
     try {
-      this.io.to(`worker_${workerId}`).emit('payout_update', {
+      this.emit(`worker_${workerId}`, 'payout_update', {
         type: 'payout_update',
         data: payoutData,
         timestamp: new Date().toISOString()
@@ -333,7 +398,7 @@ class WebSocketService {
    */
   sendToUser(userId, event, data) {
     try {
-      this.io.to(`user_${userId}`).emit(event, {
+      this.emit(`user_${userId}`, event, {
         ...data,
         timestamp: new Date().toISOString()
       });
@@ -350,7 +415,7 @@ class WebSocketService {
    */
   sendToWorker(workerId, event, data) {
     try {
-      this.io.to(`worker_${workerId}`).emit(event, {
+      this.emit(`worker_${workerId}`, event, {
         ...data,
         timestamp: new Date().toISOString()
       });
@@ -366,7 +431,7 @@ class WebSocketService {
    */
   broadcast(event, data) {
     try {
-      this.io.emit(event, {
+      this.emit(null, event, {
         ...data,
         timestamp: new Date().toISOString()
       });
@@ -0,0 +1,173 @@
+// Consensus strategies. Each one scores a task's options from its ballots;
+// options are ranked by score, highest first. A strategy's version changes
+// whenever its scoring changes, so stored results can be reproduced.
+//
+// A ballot is { workerId, optionId, ranking, loserId }: optionId is the
+// worker's choice and ranking, when the task asked for one, lists option IDs
+// best first. On pairwise tasks loserId is the other option of the pair.
+// `ballot` says what a strategy asks workers for: a single choice or a ranking.
+
+// Bradley–Terry fitting: iterations, convergence tolerance and the pseudo-win
+// each option gets against every other so unbeaten or winless options stay finite
+const BT_MAX_ITERATIONS = 200;
+const BT_TOLERANCE = 1e-9;
+const BT_PRIOR_WINS = 0.1;
+
+/**
+ * Options a ballot puts in order, best first
+ * @param {Object} ballot - Ballot
+ * @returns {Array<number>} Option IDs
+ */
+const ballotOrder = (ballot) => (ballot.ranking?.length ? ballot.ranking : [ballot.optionId]);
+
+/**
+ * Score map with every option at zero
+ * @param {Array<Object>} options - Task options
+ * @returns {Map<number, number>} Scores by option ID
+ */
+const emptyScores = (options) => new Map(options.map(option => [option.id, 0]));
+
+/**
+ * Pairwise wins implied by the ballots. A ranking beats everything below it
+ * and everything it leaves out; a single choice beats every other option,
+ * except on a pairwise ballot, where it only beats the option it was shown with.
+ * @param {Array<Object>} options - Task options
+ * @param {Array<Object>} ballots - Ballots
+ * @returns {Map<number, Map<number, number>>} wins.get(a).get(b) is how often a beat b
+ */
+const countWins = (options, ballots) => {
+  const wins = new Map(options.map(option => [option.id, emptyScores(options)]));
+
+  for (const ballot of ballots) {
+    if (ballot.loserId != null) {
+      if (wins.has(ballot.optionId) && wins.has(ballot.loserId)) {
+        wins.get(ballot.optionId).set(ballot.loserId, wins.get(ballot.optionId).get(ballot.loserId) + 1);
+      }
+      continue;
+    }
+
+    const order = ballotOrder(ballot).filter(id => wins.has(id));
+    const unranked = options.map(option => option.id).filter(id => !order.includes(id));
+
+    order.forEach((winner, index) => {
+      for (const loser of [...order.slice(index + 1), ...unranked]) {
+        wins.get(winner).set(loser, wins.get(winner).get(loser) + 1);
+      }
+    });
+  }
+
+  return wins;
+};
+
+const plurality = {
+  name: 'plurality',
+  version: 1,
+  ballot: 'choice',
+  description: 'One vote per worker for their choice',
+  score(options, ballots) {
+    const scores = emptyScores(options);
+    for (const ballot of ballots) {
+      if (scores.has(ballot.optionId)) {
+        scores.set(ballot.optionId, scores.get(ballot.optionId) + 1);
+      }
+    }
+    return scores;
+  }
+};
+
+const weightedPlurality = {
+  name: 'weighted_plurality',
+  version: 1,
+  ballot: 'choice',
+  usesWeights: true,
+  description: "Each worker's choice counts with their reputation",
+  score(options, ballots, { weights = new Map() } = {}) {
+    const scores = emptyScores(options);
+    for (const ballot of ballots) {
+      if (scores.has(ballot.optionId)) {
+        scores.set(ballot.optionId, scores.get(ballot.optionId) + (weights.get(ballot.workerId) ?? 1));
+      }
+    }
+    return scores;
+  }
+};
+
+const borda = {
+  name: 'borda',
+  version: 1,
+  ballot: 'ranking',
+  description: 'Borda count: n-1 points for a first place, n-2 for a second, and so on',
+  score(options, ballots) {
+    const scores = emptyScores(options);
+    for (const ballot of ballots) {
+      ballotOrder(ballot)
+        .filter(id => scores.has(id))
+        .forEach((id, position) => {
+          scores.set(id, scores.get(id) + options.length - 1 - position);
+        });
+    }
+    return scores;
+  }
+};
+
+const bradleyTerry = {
+  name: 'bradley_terry',
+  version: 1,
+  ballot: 'ranking',
+  description: 'Bradley–Terry strengths fitted to the pairwise wins in the ballots',
+  score(options, ballots) {
+    const ids = options.map(option => option.id);
+    const wins = countWins(options, ballots);
+    const won = (a, b) => wins.get(a).get(b) + BT_PRIOR_WINS;
+
+    // Minorization–maximization updates (Hunter, 2004), normalized to sum to 1
+    let strengths = new Map(ids.map(id => [id, 1 / ids.length]));
+    for (let iteration = 0; iteration < BT_MAX_ITERATIONS; iteration++) {
+      const next = new Map();
+      for (const i of ids) {
+        let totalWins = 0;
+        let denominator = 0;
+        for (const j of ids) {
+          if (i === j) continue;
+          totalWins += won(i, j);
+          denominator += (won(i, j) + won(j, i)) / (strengths.get(i) + strengths.get(j));
+        }
+        next.set(i, denominator > 0 ? totalWins / denominator : strengths.get(i));
+      }
+
+      const sum = [...next.values()].reduce((total, value) => total + value, 0);
+      const change = Math.max(...ids.map(id => Math.abs(next.get(id) / sum - strengths.get(id))));
+      strengths = new Map(ids.map(id => [id, next.get(id) / sum]));
+
+      if (change < BT_TOLERANCE) {
+        break;
+      }
+    }
+
+    return strengths;
+  }
+};
+
+export const CONSENSUS_STRATEGIES = Object.fromEntries(
+  [plurality, weightedPlurality, borda, bradleyTerry].map(strategy => [strategy.name, strategy])
+);
+
+/**
+ * Whether a name is a known consensus strategy
+ * @param {string} name - Strategy name
+ * @returns {boolean} Whether the strategy exists
+ */
+export const isConsensusStrategy = (name) => Object.hasOwn(CONSENSUS_STRATEGIES, name);
+
+/**
+ * Look up a consensus strategy
+ * @param {string} name - Strategy name
+ * @returns {Object} Strategy
+ * @throws {Error} If there is no strategy with that name
+ */
+export const getStrategy = (name) => {
+  if (!isConsensusStrategy(name)) {
+    throw new Error(`Unknown consensus strategy: ${name}`);
+  }
+  return CONSENSUS_STRATEGIES[name];
+};
@@ -6,21 +6,42 @@ export const ServiceTypeEnum = z.enum(['MARKETING_IMAGES', 'YOUTUBE_THUMBNAILS',
 // File type enum
 export const FileTypeEnum = z.enum(['IMAGE', 'VIDEO']);
 
+// Payment and payout currency enum
+export const CurrencyEnum = z.enum(['SOL', 'USDC']);
+
+// Amount in base units; sent as a string so large values keep their precision
+export const AmountInput = z
+  .union([z.string().regex(/^\d+$/, "Amount must be an integer"), z.number().int().nonnegative()])
+  .transform(value => BigInt(value))
+  .refine(value => value > 0n, "Amount must be positive");
+
 // Transaction status enum
 export const TxnStatusEnum = z.enum(['Processing', 'Success', 'Failure']);
 
+// Sign-in challenge request
+export const signinNonceInput = z.object({
+  walletAddress: z.string().min(32, "Invalid wallet address")
+});
+
 // User authentication
 export const userSigninInput = z.object({
   walletAddress: z.string().min(32, "Invalid wallet address"),
-  signature: z.string().optional(),
-  message: z.string().optional()
+  signature: z.string().min(1, "Signature is required"),
+  message: z.string().min(1, "Signed message is required")
 });
 
 // Worker authentication
 export const workerSigninInput = z.object({
   walletAddress: z.string().min(32, "Invalid wallet address"),
-  signature: z.string().optional(),
-  message: z.string().optional()
+  signature: z.string().min(1, "Signature is required"),
+  message: z.string().min(1, "Signed message is required")
+});
+
+// Admin authentication
+export const adminSigninInput = z.object({
+  walletAddress: z.string().min(32, "Invalid wallet address"),
+  signature: z.string().min(1, "Signature is required"),
+  message: z.string().min(1, "Signed message is required")
 });
 
 // Task creation input
@@ -35,13 +56,14 @@ export const createTaskInput = z.object({
     fileType: FileTypeEnum
   })).min(2).max(5),
   signature: z.string().min(1, "Transaction signature is required"),
-  amount: z.number().int().positive()
+  amount: AmountInput
 });
 
 // Task submission input
 export const createSubmissionInput = z.object({
   taskId: z.string().transform(val => parseInt(val)),
-  selection: z.string().transform(val => parseInt(val))
+  selection: z.string().transform(val => parseInt(val)),
+  ranking: z.array(z.coerce.number().int()).optional() // Option IDs best first, starting with selection
 });
 
 // File upload input
@@ -56,23 +78,70 @@ export const fileUploadInput = z.object({
   })).min(1).max(5)
 });
 
+// Payment quote request
+export const createQuoteInput = z.object({
+  serviceType: ServiceTypeEnum,
+  reviewCount: z.number().int().positive(),
+  currency: CurrencyEnum.optional().default('SOL'),
+  promoCode: z.string().trim().min(1).max(64).optional()
+});
+
 // Payment verification input
 export const paymentVerificationInput = z.object({
   signature: z.string().min(1, "Transaction signature is required"),
-  amount: z.number().int().positive(),
+  amount: AmountInput,
   serviceType: ServiceTypeEnum,
   reviewCount: z.number().int().positive()
 });
 
+// Credit top-up request
+export const createDepositInput = z.object({
+  amount: AmountInput,
+  currency: CurrencyEnum.optional().default('SOL')
+});
+
+// Deposit payment verification input
+export const depositVerificationInput = z.object({
+  signature: z.string().min(1, "Transaction signature is required")
+});
+
+// Credit transaction history query; query strings arrive as text
+export const creditHistoryInput = z.object({
+  currency: CurrencyEnum.optional(),
+  page: z.coerce.number().int().positive().default(1),
+  limit: z.coerce.number().int().positive().max(100).default(20)
+});
+
+// User invoice list query; to is exclusive
+export const invoiceListInput = z.object({
+  format: z.enum(['json', 'pdf']).optional().default('json'),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  page: z.coerce.number().int().positive().default(1),
+  limit: z.coerce.number().int().positive().max(100).default(20)
+});
+
+// Single invoice query
+export const invoiceFormatInput = z.object({
+  format: z.enum(['json', 'pdf']).optional().default('json')
+});
+
 // Worker payout request
 export const workerPayoutInput = z.object({
-  amount: z.number().int().positive().optional() // If not provided, payout all pending
+  amount: AmountInput.optional(), // If not provided, payout all pending
+  currency: CurrencyEnum.optional().default('SOL')
+});
+
+// Currency a worker's rewards are credited in
+export const workerPayoutCurrencyInput = z.object({
+  currency: CurrencyEnum
 });
 
 // Task query parameters
 export const taskQueryInput = z.object({
   taskId: z.string().transform(val => parseInt(val)),
-  includeResults: z.boolean().optional().default(false)
+  // Query strings carry booleans as text
+  includeResults: z.enum(['true', 'false']).transform(val => val === 'true').optional().default(false)
 });
 
 // Worker stats query
@@ -153,7 +222,7 @@ export const rewardDistributionInput = z.object({
   taskId: z.number().int().positive(),
   workerRewards: z.array(z.object({
     workerId: z.number().int().positive(),
-    amount: z.number().int().positive(),
+    amount: AmountInput,
     rank: z.number().int().min(1).max(3)
   }))
 });
@@ -168,9 +237,75 @@ export const websocketMessageInput = z.object({
 
 // Admin operations input
 export const adminOperationInput = z.object({
-  operation: z.enum(['force_complete_task', 'recalculate_consensus', 'update_worker_stats', 'system_maintenance']),
+  operation: z.enum(['force_complete_task', 'recalculate_consensus', 'update_worker_stats', 'system_maintenance', 'check_ledger']),
   targetId: z.number().int().positive().optional(),
-  parameters: z.record(z.any()).optional()
+  parameters: z.record(z.string(), z.any()).optional()
+});
+
+// Fixed price for one review count in a pricing table
+export const pricingTierInput = z.object({
+  reviewCount: z.number().int().positive(),
+  price: AmountInput,
+  priceUsdc: AmountInput
+});
+
+// Pricing table fields; prices and rewards in base units
+const pricingTableFields = {
+  validFrom: z.coerce.date().optional(),
+  minReviews: z.number().int().positive(),
+  maxReviews: z.number().int().positive(),
+  perReviewPrice: AmountInput.nullable(),
+  perReviewPriceUsdc: AmountInput.nullable(),
+  majorityReward: AmountInput,
+  secondPlaceBps: z.number().int().min(0).max(10000),
+  thirdPlaceBps: z.number().int().min(0).max(10000),
+  tiers: z.array(pricingTierInput).max(50)
+};
+
+// New pricing table; only the service and the majority reward are required
+export const createPricingTableInput = z
+  .object({ serviceType: ServiceTypeEnum, ...pricingTableFields })
+  .partial()
+  .required({ serviceType: true, majorityReward: true });
+
+// Changes to a scheduled pricing table
+export const updatePricingTableInput = z.object(pricingTableFields).partial();
+
+// New promo code; percentOff or amountOff and currency depending on the type
+export const createPromoCodeInput = z.object({
+  code: z.string().trim().regex(/^[A-Za-z0-9_-]{3,64}$/, "Codes are 3 to 64 letters, digits, dashes or underscores"),
+  discountType: z.enum(['Percent', 'Fixed']),
+  percentOff: z.number().int().min(1).max(100).optional(),
+  amountOff: AmountInput.optional(),
+  currency: CurrencyEnum.optional(),
+  maxUses: z.number().int().positive().nullable().optional(),
+  perUserLimit: z.number().int().positive().nullable().optional(),
+  serviceTypes: z.array(ServiceTypeEnum).optional().default([]),
+  expiresAt: z.coerce.date().nullable().optional()
+});
+
+// Changes to a promo code; the discount itself is fixed
+export const updatePromoCodeInput = z.object({
+  active: z.boolean(),
+  maxUses: z.number().int().positive().nullable(),
+  perUserLimit: z.number().int().positive().nullable(),
+  serviceTypes: z.array(ServiceTypeEnum),
+  expiresAt: z.coerce.date().nullable()
+}).partial();
+
+// New gold task: options in the shape of createTaskInput, flagged with the accepted answers
+export const createGoldTaskInput = z.object({
+  title: z.string().optional(),
+  serviceType: ServiceTypeEnum,
+  reviewCount: z.number().int().positive(),
+  currency: CurrencyEnum.optional().default('SOL'),
+  options: z.array(z.object({
+    imageUrl: z.string().url().optional(),
+    videoUrl: z.string().url().optional(),
+    ipfsHash: z.string().optional(),
+    fileType: FileTypeEnum,
+    correct: z.boolean().optional().default(false)
+  })).min(2).max(5)
 });
 
 // Error response schema
@@ -193,16 +328,6 @@ export const successResponseSchema = z.object({
 });
 
 // Validation helper functions
-export const validateServicePrice = (serviceType, reviewCount) => {
-  const validCombinations = {
-    'MARKETING_IMAGES': [200, 500],
-    'YOUTUBE_THUMBNAILS': [200, 500],
-    'VIDEOS': [100, 300]
-  };
-  
-  return validCombinations[serviceType]?.includes(reviewCount) || false;
-};
-
 export const validateFileType = (serviceType, fileType) => {
   const validTypes = {
     'MARKETING_IMAGES': ['IMAGE'],
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Fix the split so the expected amounts do not depend on the environment
+process.env.PLATFORM_FEE_BPS = '1000';
+process.env.BASE_REWARD_SHARE_BPS = '5000';
+const { splitPayment, getBaseReward, getBonusPool, fitToPool } = await import('../src/budget.js');
+
+test('the platform fee is rounded down and the reward budget takes the remainder', () => {
+  assert.deepEqual(splitPayment(1_000_000_000n), {
+    platformFee: 100_000_000n,
+    rewardBudget: 900_000_000n
+  });
+
+  const { platformFee, rewardBudget } = splitPayment(1_999n);
+  assert.equal(platformFee, 199n);
+  assert.equal(rewardBudget, 1_800n);
+  assert.equal(platformFee + rewardBudget, 1_999n);
+});
+
+test('the base reward is the base share of the budget per review, rounded down', () => {
+  assert.equal(getBaseReward({ rewardBudget: 900_000_000n, reviewCount: 200 }), 2_250_000n);
+  assert.equal(getBaseReward({ rewardBudget: 1_001n, reviewCount: 3 }), 166n);
+});
+
+test('the bonus pool is the rest of the budget, limited by the escrow left', () => {
+  assert.equal(getBonusPool({ rewardBudget: 900n, escrowBalance: 1_000n }), 450n);
+  assert.equal(getBonusPool({ rewardBudget: 900n, escrowBalance: 300n }), 300n);
+});
+
+test('amounts that fit the pool are paid in full', () => {
+  const amounts = [100n, 200n];
+  assert.deepEqual(fitToPool(amounts, 300n), amounts);
+});
+
+test('amounts over the pool are scaled down proportionally without exceeding it', () => {
+  const fitted = fitToPool([100n, 100n, 100n], 200n);
+
+  assert.deepEqual(fitted, [66n, 66n, 66n]);
+  assert.ok(fitted.reduce((sum, amount) => sum + amount, 0n) <= 200n);
+  assert.deepEqual(fitToPool([300n, 100n], 200n), [150n, 50n]);
+});
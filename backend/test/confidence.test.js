@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wilsonInterval, getConfidenceBands, checkSeparation } from '../src/confidence.js';
+
+const close = (actual, expected, tolerance = 1e-3) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not close to ${expected}`);
+
+// Critical value for a 95% interval
+const Z95 = 1.959964;
+
+test('wilson interval matches the closed form', () => {
+  const { lower, upper } = wilsonInterval(40, 60, Z95);
+
+  close(lower, 0.5403);
+  close(upper, 0.7733);
+});
+
+test('wilson interval stays within 0 and 1', () => {
+  assert.deepEqual(wilsonInterval(0, 0), { lower: 0, upper: 1 });
+
+  const none = wilsonInterval(0, 20, Z95);
+  assert.equal(none.lower, 0);
+  close(none.upper, 0.1611);
+
+  const all = wilsonInterval(20, 20, Z95);
+  close(all.lower, 0.8389);
+  assert.equal(all.upper, 1);
+});
+
+test('bands are in percent and use each option\'s own total when given', () => {
+  const counts = new Map([[1, 40], [2, 20]]);
+
+  const shared = getConfidenceBands(counts, 60);
+  assert.ok(shared.get(1).lower < 66.7 && shared.get(1).upper > 66.7);
+
+  const own = getConfidenceBands(counts, new Map([[1, 40], [2, 40]]));
+  assert.equal(own.get(1).upper, 100);
+  assert.ok(own.get(2).lower < 50 && own.get(2).upper > 50);
+});
+
+test('a clear lead is separated and a narrow one is not', () => {
+  const clear = checkSeparation(35, 15);
+  assert.equal(clear.separated, true);
+  assert.equal(clear.share, 70);
+  assert.ok(clear.lower > 50);
+
+  const narrow = checkSeparation(25, 20);
+  assert.equal(narrow.separated, false);
+  assert.ok(narrow.lower <= 50);
+
+  assert.equal(checkSeparation(0, 0).separated, false);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LEDGER_ACCOUNTS, getLegs } from '../src/accounts.js';
+
+// Sum of the legs in each currency
+const totals = (legs) => legs.reduce((sums, leg) => {
+  sums[leg.currency] = (sums[leg.currency] ?? 0n) + leg.amount;
+  return sums;
+}, {});
+
+test('a same-currency transfer is two balanced legs', () => {
+  const legs = getLegs({ from: 'user:1', to: 'task:2', amount: 500n, currency: 'SOL' });
+
+  assert.deepEqual(legs, [
+    { account: 'user:1', currency: 'SOL', amount: -500n },
+    { account: 'task:2', currency: 'SOL', amount: 500n }
+  ]);
+  assert.deepEqual(totals(legs), { SOL: 0n });
+});
+
+test('a conversion passes through the fx account and balances in each currency', () => {
+  const legs = getLegs({
+    from: LEDGER_ACCOUNTS.task(7),
+    to: LEDGER_ACCOUNTS.workerPending(3),
+    amount: 1_000_000_000n,
+    currency: 'SOL',
+    toAmount: 150_000_000n,
+    toCurrency: 'USDC'
+  });
+
+  assert.equal(legs.length, 4);
+  assert.deepEqual(totals(legs), { SOL: 0n, USDC: 0n });
+  assert.deepEqual(legs.filter(leg => leg.account === LEDGER_ACCOUNTS.fx), [
+    { account: 'platform:fx', currency: 'SOL', amount: 1_000_000_000n },
+    { account: 'platform:fx', currency: 'USDC', amount: -150_000_000n }
+  ]);
+  assert.deepEqual(legs.at(-1), { account: 'worker:3:pending', currency: 'USDC', amount: 150_000_000n });
+});
+
+test('zero legs are dropped', () => {
+  assert.deepEqual(getLegs({ from: 'platform', to: 'task:1', amount: 0n, currency: 'SOL' }), []);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getStrategy, isConsensusStrategy } from '../src/strategies.js';
+
+const options = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+// Option IDs by score, highest first
+const order = (scores) => [...scores].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+
+test('plurality counts one vote per choice', () => {
+  const scores = getStrategy('plurality').score(options, [
+    { workerId: 1, optionId: 2 },
+    { workerId: 2, optionId: 2 },
+    { workerId: 3, optionId: 1 },
+    { workerId: 4, optionId: 9 }
+  ]);
+
+  assert.deepEqual([...scores], [[1, 1], [2, 2], [3, 0]]);
+});
+
+test('weighted plurality counts each choice with its worker weight', () => {
+  const scores = getStrategy('weighted_plurality').score(
+    options,
+    [
+      { workerId: 1, optionId: 1 },
+      { workerId: 2, optionId: 2 },
+      { workerId: 3, optionId: 2 }
+    ],
+    { weights: new Map([[1, 0.9], [2, 0.2], [3, 0.3]]) }
+  );
+
+  assert.deepEqual(order(scores), [1, 2, 3]);
+  assert.equal(scores.get(2), 0.5);
+});
+
+test('borda gives n-1 points for first place, n-2 for second', () => {
+  const scores = getStrategy('borda').score(options, [
+    { workerId: 1, optionId: 1, ranking: [1, 2, 3] },
+    { workerId: 2, optionId: 2, ranking: [2, 3, 1] },
+    { workerId: 3, optionId: 2, ranking: [2, 1, 3] }
+  ]);
+
+  assert.deepEqual([...scores], [[1, 3], [2, 5], [3, 1]]);
+  assert.deepEqual(order(scores), [2, 1, 3]);
+});
+
+test('bradley-terry orders options by their pairwise wins and normalizes strengths', () => {
+  const scores = getStrategy('bradley_terry').score(options, [
+    { workerId: 1, optionId: 3, ranking: [3, 1, 2] },
+    { workerId: 2, optionId: 3, ranking: [3, 2, 1] },
+    { workerId: 3, optionId: 1, ranking: [1, 3, 2] },
+    { workerId: 4, optionId: 3, ranking: [3, 1, 2] }
+  ]);
+
+  assert.deepEqual(order(scores), [3, 1, 2]);
+  const total = [...scores.values()].reduce((sum, score) => sum + score, 0);
+  assert.ok(Math.abs(total - 1) < 1e-9);
+});
+
+test('bradley-terry counts a pairwise ballot only against the option it was shown with', () => {
+  const scores = getStrategy('bradley_terry').score(options, [
+    { workerId: 1, optionId: 2, loserId: 1 },
+    { workerId: 2, optionId: 2, loserId: 1 },
+    { workerId: 3, optionId: 1, loserId: 3 },
+    { workerId: 4, optionId: 1, loserId: 3 }
+  ]);
+
+  assert.deepEqual(order(scores), [2, 1, 3]);
+});
+
+test('unknown strategies are rejected', () => {
+  assert.equal(isConsensusStrategy('borda'), true);
+  assert.equal(isConsensusStrategy('borda_count'), false);
+  assert.throws(() => getStrategy('borda_count'), /Unknown consensus strategy/);
+});
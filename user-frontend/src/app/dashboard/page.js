@@ -17,7 +17,8 @@ import {
   Search,
   Calendar,
   Download,
-  RefreshCw
+  RefreshCw,
+  LogOut
 } from 'lucide-react';
 import Link from 'next/link';
 import { useRouter } from 'next/navigation';
@@ -26,9 +27,24 @@ import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContaine
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
+import { getStoredToken, signInWithWallet, signOut } from '../../lib/auth';
+import SessionsPanel from '../../components/SessionsPanel';
+import CreditsPanel from '../../components/CreditsPanel';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
 
+// Decimals of the base units amounts are stored in
+const DECIMALS = { SOL: 9, USDC: 6 };
+
+// Format what a task cost in its currency, with its USD value at the SOL/USD
+// rate recorded when it was paid (USDC counts as dollars)
+const formatTaskAmount = (task) => {
+  const amount = Number(task.amount) / 10 ** DECIMALS[task.currency];
+  const usd = task.currency === 'USDC' ? amount : task.solUsdRate && amount * task.solUsdRate;
+
+  return usd ? `$${usd.toFixed(2)} (${amount} ${task.currency})` : `${amount} ${task.currency}`;
+};
+
 // Fetch user profile and statistics
 const fetchUserProfile = async (token) => {
   const response = await axios.get(`${API_BASE_URL}/v1/user/profile`, {
@@ -47,7 +63,7 @@ const fetchUserTasks = async (token, filters = {}) => {
 };
 
 export default function DashboardPage() {
-  const { connected, publicKey } = useWallet();
+  const { connected, publicKey, signMessage, disconnect } = useWallet();
   const router = useRouter();
   const queryClient = useQueryClient();
   
@@ -60,16 +76,25 @@ export default function DashboardPage() {
   });
   const [searchTerm, setSearchTerm] = useState('');
 
-  // Check authentication
+  // Check authentication, signing in with the wallet when there is no session
   useEffect(() => {
-    const token = localStorage.getItem('authToken');
-    if (!token && connected) {
-      // Redirect to authentication or show connect wallet
-      toast.error('Please authenticate your wallet');
+    if (!connected || !publicKey) {
+      return;
+    }
+
+    const token = getStoredToken(publicKey.toBase58());
+    if (token) {
+      setAuthToken(token);
       return;
     }
-    setAuthToken(token);
-  }, [connected]);
+
+    signInWithWallet({ publicKey, signMessage })
+      .then(setAuthToken)
+      .catch((error) => {
+        console.error('Wallet sign-in failed:', error);
+        toast.error('Please sign the message to authenticate your wallet');
+      });
+  }, [connected, publicKey, signMessage]);
 
   // Redirect if not connected
   useEffect(() => {
@@ -123,6 +148,40 @@ export default function DashboardPage() {
     toast.success('Data refreshed');
   };
 
+  // Download a task's invoice as a PDF
+  const handleDownloadInvoice = async (taskId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/v1/user/invoices/${taskId}`, {
+        params: { format: 'pdf' },
+        headers: { Authorization: authToken },
+        responseType: 'blob'
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `invoice-${taskId}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download invoice:', error);
+      toast.error('Failed to download invoice');
+    }
+  };
+
+  // Sign out of this session and disconnect the wallet
+  const handleLogout = async () => {
+    try {
+      await signOut(authToken);
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    setAuthToken(null);
+    queryClient.clear();
+    await disconnect();
+    toast.success('Signed out');
+  };
+
   // Get status color
   const getStatusColor = (task) => {
     if (task.done) return 'text-success-600 bg-success-100';
@@ -214,6 +273,14 @@ export default function DashboardPage() {
                 New Task
               </Link>
               
+              <button
+                onClick={handleLogout}
+                className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+                title="Sign out"
+              >
+                <LogOut className="w-5 h-5" />
+              </button>
+
               <WalletMultiButton className="!bg-gray-100 !text-gray-900" />
             </div>
           </div>
@@ -429,7 +496,7 @@ export default function DashboardPage() {
                         </span>
                         <span className="flex items-center">
                           <DollarSign className="w-4 h-4 mr-1" />
-                          ${(task.amount / 1000000000 * 100).toFixed(2)} {/* Convert from lamports */}
+                          {formatTaskAmount(task)}
                         </span>
                       </div>
                     </div>
@@ -439,6 +506,15 @@ export default function DashboardPage() {
                         {getStatusText(task)}
                       </span>
                       
+                      <button
+                        onClick={() => handleDownloadInvoice(task.id)}
+                        className="btn-outline btn-sm"
+                        title="Download invoice"
+                      >
+                        <Download className="w-4 h-4 mr-1" />
+                        Invoice
+                      </button>
+
                       <Link
                         href={`/dashboard/task/${task.id}`}
                         className="btn-outline btn-sm"
@@ -514,6 +590,12 @@ export default function DashboardPage() {
             </div>
           )}
         </motion.div>
+
+        {/* Credits and sessions */}
+        <div className="mt-8 grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <CreditsPanel token={authToken} />
+          <SessionsPanel token={authToken} />
+        </div>
       </div>
     </div>
   );
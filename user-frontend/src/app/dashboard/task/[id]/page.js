@@ -0,0 +1,345 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useWallet } from '@solana/wallet-adapter-react';
+import { WalletMultiButton } from '@solana/wallet-adapter-react-ui';
+import { motion } from 'framer-motion';
+import {
+  ArrowLeft,
+  Award,
+  Calendar,
+  CheckCircle,
+  Clock,
+  FastForward,
+  RefreshCw,
+  Users
+} from 'lucide-react';
+import Link from 'next/link';
+import { useParams, useRouter } from 'next/navigation';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { getStoredToken, signInWithWallet } from '../../../../lib/auth';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
+
+// Fetch a task with its vote shares, confidence bands and stored results
+const fetchTask = async (token, taskId) => {
+  const response = await axios.get(`${API_BASE_URL}/v1/user/task`, {
+    params: { taskId, includeResults: true },
+    headers: { Authorization: token }
+  });
+  return response.data.data;
+};
+
+export default function TaskResultsPage() {
+  const { connected, publicKey, signMessage } = useWallet();
+  const { id } = useParams();
+  const router = useRouter();
+  const queryClient = useQueryClient();
+
+  const [authToken, setAuthToken] = useState(null);
+
+  // Check authentication, signing in with the wallet when there is no session
+  useEffect(() => {
+    if (!connected || !publicKey) {
+      return;
+    }
+
+    const token = getStoredToken(publicKey.toBase58());
+    if (token) {
+      setAuthToken(token);
+      return;
+    }
+
+    signInWithWallet({ publicKey, signMessage })
+      .then(setAuthToken)
+      .catch((error) => {
+        console.error('Wallet sign-in failed:', error);
+        toast.error('Please sign the message to authenticate your wallet');
+      });
+  }, [connected, publicKey, signMessage]);
+
+  // Redirect if not connected
+  useEffect(() => {
+    if (!connected) {
+      router.push('/');
+    }
+  }, [connected, router]);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['userTask', authToken, id],
+    queryFn: () => fetchTask(authToken, id),
+    enabled: !!authToken && !!id,
+    // Poll while reviews are coming in
+    refetchInterval: (query) => (query.state.data?.task.done ? false : 15000)
+  });
+
+  useEffect(() => {
+    if (error) {
+      console.error('Failed to fetch task:', error);
+      toast.error(error.response?.data?.error || 'Failed to load task');
+    }
+  }, [error]);
+
+  const handleRefresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['userTask'] });
+  };
+
+  if (!connected) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">
+            Connect Your Wallet
+          </h1>
+          <p className="text-gray-600 mb-6">
+            Please connect your wallet to view this task
+          </p>
+          <WalletMultiButton />
+        </div>
+      </div>
+    );
+  }
+
+  if (error && !data) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <p className="text-gray-600 mb-6">
+            {error.response?.data?.error || 'Failed to load task'}
+          </p>
+          <Link href="/dashboard" className="btn-primary">
+            Back to Dashboard
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (isLoading || !data) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="spinner w-8 h-8 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading task...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { task, submissionStats, confidence } = data;
+  const level = Math.round(confidence.level * 100);
+
+  // Stored results once the task is finalized, live vote counts (win rates on pairwise tasks) before then
+  const rows = data.results
+    ? data.results.map(result => ({
+        optionId: result.option_id,
+        rank: result.rank,
+        count: result.vote_count,
+        percentage: result.percentage,
+        interval: result.interval,
+        score: result.score,
+        imageUrl: result.option.image_url,
+        videoUrl: result.option.video_url,
+        fileType: result.option.file_type
+      }))
+    : Object.values(submissionStats)
+        .sort((a, b) => (task.pairwise ? b.percentage - a.percentage : b.count - a.count) || a.option.id - b.option.id)
+        .map((stat, index) => ({
+          optionId: stat.option.id,
+          rank: index + 1,
+          count: stat.count,
+          percentage: stat.percentage,
+          interval: stat.interval,
+          imageUrl: stat.option.imageUrl,
+          videoUrl: stat.option.videoUrl,
+          fileType: stat.option.fileType
+        }));
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex justify-between items-center mb-6">
+          <Link href="/dashboard" className="btn-ghost">
+            <ArrowLeft className="w-5 h-5 mr-2" />
+            Back to Dashboard
+          </Link>
+          <button
+            onClick={handleRefresh}
+            className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+            title="Refresh"
+          >
+            <RefreshCw className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Task summary */}
+        <motion.div
+          className="card mb-6"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+        >
+          <div className="flex items-start justify-between mb-4">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">{task.title}</h1>
+              <div className="flex items-center space-x-4 text-sm text-gray-600">
+                <span className="flex items-center">
+                  <Calendar className="w-4 h-4 mr-1" />
+                  {format(new Date(task.createdAt), 'MMM dd, yyyy')}
+                </span>
+                <span className="flex items-center">
+                  <Users className="w-4 h-4 mr-1" />
+                  {task.reviewCount} reviews
+                </span>
+                <span className="badge-gray">
+                  {task.consensusStrategy.replace('_', ' ')}
+                </span>
+                {task.pairwise && (
+                  <span className="badge-gray">pairwise</span>
+                )}
+              </div>
+            </div>
+            <div className="flex items-center space-x-2">
+              {data.earlyStopped && (
+                <span className="badge-secondary flex items-center">
+                  <FastForward className="w-3 h-3 mr-1" />
+                  Stopped early
+                </span>
+              )}
+              {task.done ? (
+                <span className="badge-success flex items-center">
+                  <CheckCircle className="w-3 h-3 mr-1" />
+                  Completed
+                </span>
+              ) : (
+                <span className="badge-primary flex items-center">
+                  <Clock className="w-3 h-3 mr-1" />
+                  In Progress
+                </span>
+              )}
+            </div>
+          </div>
+
+          <div className="flex justify-between text-sm text-gray-600 mb-2">
+            <span>Progress</span>
+            <span>{task.progress.completed}/{task.progress.required} reviews</span>
+          </div>
+          <div className="progress-bar">
+            <div
+              className="progress-fill"
+              style={{ width: `${Math.min(task.progress.percentage, 100)}%` }}
+            />
+          </div>
+
+          {task.earlyStop && !task.done && (
+            <p className="text-sm text-gray-600 mt-4">
+              Early stopping is on: the task finishes once it has at least {confidence.earlyStopMinReviews} reviews
+              and the leader is separated from the runner-up.
+            </p>
+          )}
+          {data.earlyStopped && (
+            <p className="text-sm text-gray-600 mt-4">
+              The winner was clear after {task.progress.completed} reviews, so the rewards for the remaining
+              reviews are refunded to your wallet{task.refunds.length > 0 ? ` (${task.refunds[0].status.toLowerCase()})` : ''}.
+            </p>
+          )}
+        </motion.div>
+
+        {/* Separation between first and second place */}
+        {confidence.separation.runnerUp !== null && (
+          <motion.div
+            className={`card mb-6 border ${confidence.separation.separated ? 'border-success-200' : 'border-warning-200'}`}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.1 }}
+          >
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">
+                  {confidence.separation.separated ? 'Statistically separated' : 'Not yet separated'}
+                </h2>
+                <p className="text-sm text-gray-600">
+                  Option #{confidence.separation.leader} has {confidence.separation.share.toFixed(1)}%
+                  {task.pairwise ? ' of its comparisons with' : ' of the votes shared with'} option #{confidence.separation.runnerUp} ({level}% interval{' '}
+                  {confidence.separation.lower.toFixed(1)}–{confidence.separation.upper.toFixed(1)}%).
+                  {confidence.separation.separated
+                    ? ' The whole interval is above 50%, so the lead is unlikely to be chance.'
+                    : ' The interval still includes 50%, so more reviews could change the order.'}
+                </p>
+              </div>
+              <span className={confidence.separation.separated ? 'badge-success' : 'badge-warning'}>
+                {level}% confidence
+              </span>
+            </div>
+          </motion.div>
+        )}
+
+        {/* Vote shares with confidence bands */}
+        <motion.div
+          className="card"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.2 }}
+        >
+          <h2 className="text-xl font-bold text-gray-900 mb-6">
+            {data.results ? 'Results' : 'Current votes'}
+          </h2>
+
+          <div className="space-y-6">
+            {rows.map((row) => (
+              <div key={row.optionId} className="flex items-center space-x-4">
+                <div className="w-24 h-24 flex-shrink-0 rounded-lg overflow-hidden bg-gray-100">
+                  {row.fileType === 'VIDEO' ? (
+                    <video src={row.videoUrl} className="w-full h-full object-cover" muted />
+                  ) : (
+                    <img src={row.imageUrl} alt={`Option ${row.optionId}`} className="w-full h-full object-cover" />
+                  )}
+                </div>
+
+                <div className="flex-1">
+                  <div className="flex justify-between text-sm mb-2">
+                    <span className="font-medium text-gray-900 flex items-center">
+                      {row.rank === 1 && row.count > 0 && <Award className="w-4 h-4 mr-1 text-warning-500" />}
+                      #{row.rank} · Option #{row.optionId}
+                    </span>
+                    <span className="text-gray-600">
+                      {task.pairwise
+                        ? `${row.count} wins · ${row.percentage.toFixed(1)}% of comparisons`
+                        : `${row.count} votes · ${row.percentage.toFixed(1)}%`}
+                      {row.score !== undefined && row.score !== null && ` · score ${row.score.toFixed(3)}`}
+                    </span>
+                  </div>
+
+                  {/* Share of the votes, with its confidence band shaded behind it */}
+                  <div className="relative w-full bg-gray-200 rounded-full h-3">
+                    {row.interval && (
+                      <div
+                        className="absolute h-3 bg-primary-200 rounded-full"
+                        style={{
+                          left: `${row.interval.lower}%`,
+                          width: `${row.interval.upper - row.interval.lower}%`
+                        }}
+                      />
+                    )}
+                    <div
+                      className="absolute h-3 w-1 bg-primary-600 rounded-full"
+                      style={{ left: `calc(${row.percentage}% - 2px)` }}
+                    />
+                  </div>
+
+                  {row.interval && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      {level}% interval: {row.interval.lower.toFixed(1)}–{row.interval.upper.toFixed(1)}%
+                    </p>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </motion.div>
+      </div>
+    </div>
+  );
+}
@@ -16,20 +16,28 @@ import {
   Loader2,
   ArrowLeft,
   Info,
-  DollarSign
+  DollarSign,
+  Clock,
+  RefreshCw,
+  QrCode,
+  Wallet,
+  Coins
 } from 'lucide-react';
 import Link from 'next/link';
 import { useRouter, useSearchParams } from 'next/navigation';
 import { Connection, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { createTransferCheckedInstruction, getAssociatedTokenAddressSync } from '@solana/spl-token';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { QRCodeSVG } from 'qrcode.react';
+import { getStoredToken, signInWithWallet } from '../../lib/auth';
+import { connectUserSocket } from '../../lib/socket';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
 const SOLANA_RPC_URL = process.env.NEXT_PUBLIC_SOLANA_RPC_URL || 'https://api.devnet.solana.com';
-const ADMIN_WALLET = process.env.NEXT_PUBLIC_ADMIN_WALLET || '0x9d7834C376B2b722c5693af588C3e7a03Ea8e44D';
 
 export default function UploadPage() {
-  const { connected, publicKey, sendTransaction } = useWallet();
+  const { connected, publicKey, sendTransaction, signMessage } = useWallet();
   const router = useRouter();
   const searchParams = useSearchParams();
   const preselectedService = searchParams.get('service');
@@ -43,6 +51,20 @@ export default function UploadPage() {
   const [uploadProgress, setUploadProgress] = useState(0);
   const [taskId, setTaskId] = useState(null);
   const [pricing, setPricing] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [quoteLoading, setQuoteLoading] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const [paymentMethod, setPaymentMethod] = useState('wallet'); // 'wallet', 'qr' or 'credits'
+  const [currency, setCurrency] = useState('SOL'); // 'SOL' or 'USDC'
+  const [paymentStatus, setPaymentStatus] = useState(null);
+  const [credits, setCredits] = useState(null);
+  const [customReviews, setCustomReviews] = useState('');
+  const [promoInput, setPromoInput] = useState('');
+  const [promoCode, setPromoCode] = useState('');
+  const [consensusStrategy, setConsensusStrategy] = useState(''); // '' uses the service's default
+  const [earlyStop, setEarlyStop] = useState(false);
+  const [pairwise, setPairwise] = useState(false);
+  const comparePairs = pairwise && files.length >= 3; // Pairwise tasks need at least 3 files
 
   // Fetch pricing information
   useEffect(() => {
@@ -59,6 +81,92 @@ export default function UploadPage() {
     fetchPricing();
   }, []);
 
+  // Watch for the Solana Pay payment while the QR code is shown
+  useEffect(() => {
+    if (step !== 3 || paymentMethod !== 'qr' || !quote || !publicKey) return;
+
+    const token = getStoredToken(publicKey.toBase58());
+    if (!token) return;
+
+    const socket = connectUserSocket(token);
+    socket.on('payment_update', ({ data }) => {
+      if (data.quoteId !== quote.quoteId) return;
+
+      setPaymentStatus(data.status);
+      if (data.status === 'Verified') {
+        socket.disconnect();
+        handleDetectedPayment(token);
+      } else if (data.status === 'Rejected') {
+        toast.error(data.error || 'The payment could not be accepted');
+      }
+    });
+
+    return () => socket.disconnect();
+  }, [step, paymentMethod, quote, publicKey]);
+
+  // Load the credit balance when paying from credits
+  useEffect(() => {
+    if (step !== 3 || paymentMethod !== 'credits' || !publicKey) return;
+
+    const token = getStoredToken(publicKey.toBase58());
+    if (!token) return;
+
+    axios.get(`${API_BASE_URL}/v1/user/credits`, { headers: { Authorization: token } })
+      .then(response => setCredits(response.data.data.credits))
+      .catch(error => console.error('Failed to fetch credits:', error));
+  }, [step, paymentMethod, publicKey]);
+
+  // Quote the selected plan when the payment step opens
+  useEffect(() => {
+    if (step === 3 && connected && selectedPlan && !quote) {
+      requestQuote();
+    }
+  }, [step, connected, selectedPlan]);
+
+  // Tick the quote countdown
+  useEffect(() => {
+    if (!quote) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [quote]);
+
+  const quoteSecondsLeft = quote
+    ? Math.max(0, Math.floor((new Date(quote.expiresAt).getTime() - now) / 1000))
+    : 0;
+  const quoteExpired = Boolean(quote) && quoteSecondsLeft === 0;
+
+  // Lock the price of the selected plan, discounted by a promo code if one is applied
+  const requestQuote = async (code = promoCode) => {
+    setQuoteLoading(true);
+
+    try {
+      const token = getStoredToken(publicKey.toBase58()) ||
+        await signInWithWallet({ publicKey, signMessage });
+
+      const response = await axios.post(
+        `${API_BASE_URL}/v1/user/quotes`,
+        {
+          serviceType: selectedService,
+          reviewCount: selectedPlan.reviews,
+          currency,
+          ...(code && { promoCode: code })
+        },
+        { headers: { 'Authorization': token } }
+      );
+
+      setQuote(response.data.data);
+      setPromoCode(response.data.data.promoCode || '');
+      setPaymentStatus(null);
+      setNow(Date.now());
+    } catch (error) {
+      console.error('Failed to get quote:', error);
+      toast.error(error.response?.data?.error || 'Failed to get a price quote');
+    } finally {
+      setQuoteLoading(false);
+    }
+  };
+
   // Service configurations
   const services = {
     MARKETING_IMAGES: {
@@ -121,6 +229,7 @@ export default function UploadPage() {
   const handleServiceSelect = (serviceId) => {
     setSelectedService(serviceId);
     setSelectedPlan(null);
+    setQuote(null);
     setFiles([]);
     setStep(2);
   };
@@ -128,6 +237,141 @@ export default function UploadPage() {
   // Handle plan selection
   const handlePlanSelect = (plan) => {
     setSelectedPlan(plan);
+    setQuote(null);
+  };
+
+  // Applying or removing a promo code needs a new quote
+  const applyPromo = () => {
+    if (!promoInput.trim()) return;
+    requestQuote(promoInput.trim());
+  };
+
+  const removePromo = () => {
+    setPromoInput('');
+    setPromoCode('');
+    requestQuote('');
+  };
+
+  // Switching currency needs a new quote in that currency
+  const handleCurrencySelect = (value) => {
+    if (value === currency) return;
+    setCurrency(value);
+    setQuote(null);
+  };
+
+  // Build the payment instruction for the quote's currency
+  const createPaymentInstruction = () => {
+    if (quote.currency === 'USDC') {
+      const mint = new PublicKey(quote.mint);
+      return createTransferCheckedInstruction(
+        getAssociatedTokenAddressSync(mint, publicKey),
+        mint,
+        new PublicKey(quote.recipientTokenAccount),
+        publicKey,
+        BigInt(quote.amount),
+        quote.decimals
+      );
+    }
+
+    return SystemProgram.transfer({
+      fromPubkey: publicKey,
+      toPubkey: new PublicKey(quote.recipient),
+      lamports: BigInt(quote.amount),
+    });
+  };
+
+  // Upload the files against the paid quote; without a signature the server
+  // uses the payment its reference watcher detected, or the user's credits
+  const uploadFiles = async (token, signature, payWith) => {
+    const formData = new FormData();
+    formData.append('quoteId', quote.quoteId);
+    if (signature) {
+      formData.append('signature', signature);
+    }
+    if (payWith) {
+      formData.append('payWith', payWith);
+    }
+    if (consensusStrategy && !comparePairs) {
+      formData.append('consensusStrategy', consensusStrategy);
+    }
+    if (earlyStop) {
+      formData.append('earlyStop', 'true');
+    }
+    if (comparePairs) {
+      formData.append('pairwise', 'true');
+    }
+
+    files.forEach((fileObj) => {
+      formData.append('files', fileObj.file);
+    });
+
+    const uploadResponse = await axios.post(
+      `${API_BASE_URL}/v1/user/upload`,
+      formData,
+      {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+          'Authorization': token
+        },
+        onUploadProgress: (progressEvent) => {
+          const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+          setUploadProgress(progress);
+        }
+      }
+    );
+
+    if (!uploadResponse.data.success) {
+      throw new Error(uploadResponse.data.error || 'Upload failed');
+    }
+
+    setTaskId(uploadResponse.data.data.taskId);
+    toast.success('Upload successful! Your task has been created.');
+
+    // Redirect to task details after a delay
+    setTimeout(() => {
+      router.push(`/dashboard/task/${uploadResponse.data.data.taskId}`);
+    }, 2000);
+  };
+
+  // Continue the upload once a Solana Pay payment has been detected
+  const handleDetectedPayment = async (token) => {
+    setProcessing(true);
+    setStep(4);
+
+    try {
+      toast.success('Payment received! Uploading files...');
+      await uploadFiles(token);
+    } catch (error) {
+      console.error('Upload error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || error.message || 'Upload failed');
+      setStep(3);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // Pay the quote from the credit balance and upload
+  const handleCreditsUpload = async () => {
+    if (!quote || quoteExpired) {
+      toast.error('Your price quote has expired, please get a new one');
+      return;
+    }
+
+    setProcessing(true);
+    setStep(4);
+
+    try {
+      const token = getStoredToken(publicKey.toBase58()) ||
+        await signInWithWallet({ publicKey, signMessage });
+
+      await uploadFiles(token, null, 'credits');
+    } catch (error) {
+      console.error('Upload error:', error);
+      toast.error(error.response?.data?.error || error.message || 'Upload failed');
+      setStep(3);
+    } finally {
+      setProcessing(false);
+    }
   };
 
   // Process payment and upload
@@ -137,82 +381,49 @@ export default function UploadPage() {
       return;
     }
 
+    if (!quote || quoteExpired) {
+      toast.error('Your price quote has expired, please get a new one');
+      return;
+    }
+
     setProcessing(true);
     setStep(4);
 
     try {
+      // Make sure the wallet is signed in before any funds move
+      const token = getStoredToken(publicKey.toBase58()) ||
+        await signInWithWallet({ publicKey, signMessage });
+
       // Create Solana connection
       const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
 
-      // Calculate payment amount in lamports
-      const amountLamports = selectedPlan.lamports;
-
-      // Create transaction
-      const transaction = new Transaction().add(
-        SystemProgram.transfer({
-          fromPubkey: publicKey,
-          toPubkey: new PublicKey(ADMIN_WALLET),
-          lamports: amountLamports,
-        })
-      );
+      // Create transaction; the reference key ties the transfer to the quote
+      const transfer = createPaymentInstruction();
+      transfer.keys.push({
+        pubkey: new PublicKey(quote.reference),
+        isSigner: false,
+        isWritable: false
+      });
+      const transaction = new Transaction().add(transfer);
 
       // Get recent blockhash
-      const { blockhash } = await connection.getLatestBlockhash();
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
       transaction.recentBlockhash = blockhash;
       transaction.feePayer = publicKey;
 
       // Send transaction
       const signature = await sendTransaction(transaction, connection);
       
-      // Wait for confirmation
-      await connection.confirmTransaction(signature, 'confirmed');
+      // Payments are only accepted once finalized
+      toast('Waiting for the payment to be finalized...');
+      await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'finalized');
       
       toast.success('Payment confirmed! Uploading files...');
 
-      // Prepare form data for file upload
-      const formData = new FormData();
-      formData.append('serviceType', selectedService);
-      formData.append('reviewCount', selectedPlan.reviews.toString());
-      formData.append('signature', signature);
-
-      files.forEach((fileObj, index) => {
-        formData.append('files', fileObj.file);
-      });
-
-      // Get auth token (you'll need to implement authentication)
-      const token = localStorage.getItem('authToken');
-      
-      // Upload files
-      const uploadResponse = await axios.post(
-        `${API_BASE_URL}/v1/user/upload`,
-        formData,
-        {
-          headers: {
-            'Content-Type': 'multipart/form-data',
-            'Authorization': token || ''
-          },
-          onUploadProgress: (progressEvent) => {
-            const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-            setUploadProgress(progress);
-          }
-        }
-      );
-
-      if (uploadResponse.data.success) {
-        setTaskId(uploadResponse.data.data.taskId);
-        toast.success('Upload successful! Your task has been created.');
-        
-        // Redirect to task details after a delay
-        setTimeout(() => {
-          router.push(`/dashboard/task/${uploadResponse.data.data.taskId}`);
-        }, 2000);
-      } else {
-        throw new Error(uploadResponse.data.error || 'Upload failed');
-      }
-
+      await uploadFiles(token, signature);
     } catch (error) {
       console.error('Payment/Upload error:', error);
-      toast.error(error.message || 'Payment or upload failed');
+      toast.error(error.response?.data?.details || error.response?.data?.error || error.message || 'Payment or upload failed');
       setStep(3); // Go back to payment step
     } finally {
       setProcessing(false);
@@ -358,11 +569,11 @@ export default function UploadPage() {
           </h3>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            {pricing[selectedService] && Object.entries(pricing[selectedService]).map(([reviewCount, plan]) => (
+            {pricing.pricing[selectedService] && Object.entries(pricing.pricing[selectedService]).map(([reviewCount, plan]) => (
               <motion.div
                 key={reviewCount}
                 className={`card cursor-pointer border-2 transition-all ${
-                  selectedPlan?.reviews === parseInt(reviewCount)
+                  !selectedPlan?.custom && selectedPlan?.reviews === parseInt(reviewCount)
                     ? 'border-primary-500 bg-primary-50'
                     : 'border-gray-200 hover:border-primary-300'
                 }`}
@@ -392,7 +603,112 @@ export default function UploadPage() {
                 </div>
               </motion.div>
             ))}
+
+            {/* Services priced per review take any count in their range; the quote has the exact price */}
+            {pricing.services?.[selectedService]?.perReview && (
+              <div
+                className={`card border-2 transition-all ${
+                  selectedPlan?.custom ? 'border-primary-500 bg-primary-50' : 'border-gray-200'
+                }`}
+              >
+                <div className="text-2xl font-bold text-gray-900 mb-1">Custom</div>
+                <div className="text-sm text-gray-600 mb-4">
+                  {pricing.services[selectedService].minReviews}–{pricing.services[selectedService].maxReviews} reviews,
+                  {pricing.services[selectedService].perReview.sol} SOL per review before volume discounts
+                </div>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    min={pricing.services[selectedService].minReviews}
+                    max={pricing.services[selectedService].maxReviews}
+                    value={customReviews}
+                    onChange={(e) => setCustomReviews(e.target.value)}
+                    placeholder="Reviews"
+                    className="input-primary"
+                  />
+                  <button
+                    onClick={() => {
+                      const { minReviews, maxReviews, perReview } = pricing.services[selectedService];
+                      const reviews = parseInt(customReviews);
+                      if (!(reviews >= minReviews && reviews <= maxReviews)) {
+                        toast.error(`Choose between ${minReviews} and ${maxReviews} reviews`);
+                        return;
+                      }
+                      const sol = perReview.sol * reviews;
+                      handlePlanSelect({
+                        reviews,
+                        sol,
+                        usd: (sol * pricing.solPrice).toFixed(2),
+                        custom: true
+                      });
+                    }}
+                    className="btn-primary"
+                  >
+                    Select
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
+
+          {pricing.consensusStrategies?.length > 0 && (
+            <div className="mt-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                How votes are combined into a ranking
+              </label>
+              <select
+                value={comparePairs ? 'bradley_terry' : consensusStrategy}
+                onChange={(e) => setConsensusStrategy(e.target.value)}
+                disabled={comparePairs}
+                className="input-primary"
+              >
+                <option value="">
+                  Default ({pricing.services?.[selectedService]?.consensusStrategy?.replace('_', ' ') || 'plurality'})
+                </option>
+                {pricing.consensusStrategies.map((strategy) => (
+                  <option key={strategy.name} value={strategy.name}>
+                    {strategy.name.replace('_', ' ')}: {strategy.description}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {files.length >= 3 && (
+            <label className="mt-6 flex items-start space-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={pairwise}
+                onChange={(e) => setPairwise(e.target.checked)}
+                className="mt-1 h-4 w-4 text-primary-600 rounded border-gray-300"
+              />
+              <span className="text-sm text-gray-700">
+                <span className="font-medium">Compare two at a time</span>
+                <span className="block text-gray-500">
+                  Each reviewer picks the better of two options, with pairs chosen where the order is least certain.
+                  Every option gets a score and a place in the ranking, not just the winner.
+                </span>
+              </span>
+            </label>
+          )}
+
+          {pricing.earlyStopping && (
+            <label className="mt-6 flex items-start space-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={earlyStop}
+                onChange={(e) => setEarlyStop(e.target.checked)}
+                className="mt-1 h-4 w-4 text-primary-600 rounded border-gray-300"
+              />
+              <span className="text-sm text-gray-700">
+                <span className="font-medium">Stop early when the winner is clear</span>
+                <span className="block text-gray-500">
+                  After at least {pricing.earlyStopping.minReviews} reviews, finish as soon as the top option is ahead of the runner-up
+                  with {Math.round(pricing.earlyStopping.confidenceLevel * 100)}% confidence. Rewards for the reviews not taken are refunded.
+                </span>
+              </span>
+            </label>
+          )}
         </motion.div>
       )}
 
@@ -458,8 +774,31 @@ export default function UploadPage() {
           <div className="border-t pt-4">
             <div className="flex justify-between text-lg font-bold">
               <span>Total</span>
-              <span>${selectedPlan?.usd} ({selectedPlan?.sol} SOL)</span>
+              {quote ? (
+                <span>${quote.amountUSD.toFixed(2)} ({quote.amountDecimal} {quote.currency})</span>
+              ) : (
+                <span>${selectedPlan?.usd} ({selectedPlan?.sol} SOL)</span>
+              )}
             </div>
+            {quote?.promoCode && (
+              <div className="flex justify-between text-sm text-success-600 mt-1">
+                <span>Promo {quote.promoCode}</span>
+                <span>-{quote.discountDecimal} {quote.currency}</span>
+              </div>
+            )}
+            {quote && (
+              <div className="flex justify-between text-sm text-gray-500 mt-1">
+                <span>{quote.currency === 'SOL' ? `Rate: $${quote.solUsdRate.toFixed(2)} / SOL` : 'Paid in USDC'}</span>
+                {quoteExpired ? (
+                  <span className="text-error-600 font-medium">Quote expired</span>
+                ) : (
+                  <span className="flex items-center">
+                    <Clock className="w-4 h-4 mr-1" />
+                    Price locked for {Math.floor(quoteSecondsLeft / 60)}:{String(quoteSecondsLeft % 60).padStart(2, '0')}
+                  </span>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -479,14 +818,125 @@ export default function UploadPage() {
             </span>
           </div>
 
-          <div className="flex items-start p-4 bg-blue-50 border border-blue-200 rounded-lg">
-            <Info className="w-5 h-5 text-blue-600 mr-3 mt-0.5" />
-            <div className="text-blue-800 text-sm">
-              <p className="font-medium mb-1">Payment will be processed on Solana blockchain</p>
-              <p>Your files will be uploaded immediately after payment confirmation.</p>
-            </div>
+          <div className="grid grid-cols-2 gap-2 p-1 bg-gray-100 rounded-lg">
+            {['SOL', 'USDC'].map((value) => (
+              <button
+                key={value}
+                onClick={() => handleCurrencySelect(value)}
+                disabled={processing || quoteLoading}
+                className={`py-2 rounded-md text-sm font-medium ${
+                  currency === value ? 'bg-white shadow text-gray-900' : 'text-gray-600'
+                }`}
+              >
+                Pay with {value}
+              </button>
+            ))}
           </div>
 
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={promoInput}
+              onChange={(e) => setPromoInput(e.target.value)}
+              placeholder="Promo code"
+              disabled={Boolean(promoCode)}
+              className="input-primary"
+            />
+            {promoCode ? (
+              <button onClick={removePromo} disabled={processing || quoteLoading} className="btn-ghost">
+                Remove
+              </button>
+            ) : (
+              <button onClick={applyPromo} disabled={processing || quoteLoading || !promoInput.trim()} className="btn-ghost">
+                Apply
+              </button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-3 gap-2 p-1 bg-gray-100 rounded-lg">
+            <button
+              onClick={() => setPaymentMethod('wallet')}
+              className={`flex items-center justify-center py-2 rounded-md text-sm font-medium ${
+                paymentMethod === 'wallet' ? 'bg-white shadow text-gray-900' : 'text-gray-600'
+              }`}
+            >
+              <Wallet className="w-4 h-4 mr-2" />
+              Browser Wallet
+            </button>
+            <button
+              onClick={() => setPaymentMethod('qr')}
+              className={`flex items-center justify-center py-2 rounded-md text-sm font-medium ${
+                paymentMethod === 'qr' ? 'bg-white shadow text-gray-900' : 'text-gray-600'
+              }`}
+            >
+              <QrCode className="w-4 h-4 mr-2" />
+              Mobile Wallet (QR)
+            </button>
+            <button
+              onClick={() => setPaymentMethod('credits')}
+              className={`flex items-center justify-center py-2 rounded-md text-sm font-medium ${
+                paymentMethod === 'credits' ? 'bg-white shadow text-gray-900' : 'text-gray-600'
+              }`}
+            >
+              <Coins className="w-4 h-4 mr-2" />
+              Credits
+            </button>
+          </div>
+
+          {paymentMethod === 'qr' && quote && !quoteExpired ? (
+            <div className="card text-center">
+              <div className="inline-block p-4 bg-white rounded-lg border border-gray-200 mb-4">
+                <QRCodeSVG value={quote.paymentUrl} size={220} />
+              </div>
+              <p className="text-gray-600 text-sm mb-3">
+                Scan with a Solana Pay compatible wallet, or{' '}
+                <a href={quote.paymentUrl} className="text-primary-600 font-medium">
+                  open it in your wallet app
+                </a>
+                .
+              </p>
+              <div className="flex items-center justify-center text-sm font-medium">
+                {paymentStatus === 'Confirming' ? (
+                  <>
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin text-primary-600" />
+                    <span className="text-primary-700">Payment found, waiting for finalization...</span>
+                  </>
+                ) : paymentStatus === 'Verified' ? (
+                  <>
+                    <CheckCircle className="w-4 h-4 mr-2 text-success-600" />
+                    <span className="text-success-700">Payment received</span>
+                  </>
+                ) : (
+                  <>
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin text-gray-400" />
+                    <span className="text-gray-600">Waiting for payment...</span>
+                  </>
+                )}
+              </div>
+            </div>
+          ) : paymentMethod === 'credits' ? (
+            <div className="flex items-start p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <Coins className="w-5 h-5 text-blue-600 mr-3 mt-0.5" />
+              <div className="text-blue-800 text-sm">
+                <p className="font-medium mb-1">
+                  Available: {credits ? `${credits[currency].availableDecimal} ${currency}` : '...'}
+                </p>
+                <p>
+                  The quote is paid from your credit balance; top up from the{' '}
+                  <Link href="/dashboard" className="font-medium underline">dashboard</Link>.
+                </p>
+              </div>
+            </div>
+          ) : (
+            <div className="flex items-start p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <Info className="w-5 h-5 text-blue-600 mr-3 mt-0.5" />
+              <div className="text-blue-800 text-sm">
+                <p className="font-medium mb-1">Payment will be processed on Solana blockchain</p>
+                <p>Your files will be uploaded immediately after payment confirmation.</p>
+              </div>
+            </div>
+          )}
+
           <div className="flex justify-between">
             <button
               onClick={() => setStep(2)}
@@ -496,23 +946,75 @@ export default function UploadPage() {
               Back
             </button>
             
-            <button
-              onClick={handlePaymentAndUpload}
-              disabled={processing}
-              className="btn-primary"
-            >
-              {processing ? (
-                <>
+            {quoteExpired ? (
+              <button
+                onClick={() => requestQuote()}
+                disabled={quoteLoading}
+                className="btn-primary"
+              >
+                {quoteLoading ? (
                   <Loader2 className="w-5 h-5 mr-2 animate-spin" />
-                  Processing...
-                </>
-              ) : (
-                <>
-                  Pay & Upload
-                  <DollarSign className="w-5 h-5 ml-2" />
-                </>
-              )}
-            </button>
+                ) : (
+                  <RefreshCw className="w-5 h-5 mr-2" />
+                )}
+                Get New Quote
+              </button>
+            ) : quote?.amount === '0' ? (
+              // Nothing to pay once the promo covers the whole price
+              <button
+                onClick={handleCreditsUpload}
+                disabled={processing || quoteLoading}
+                className="btn-primary"
+              >
+                {processing ? (
+                  <>
+                    <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                    Processing...
+                  </>
+                ) : (
+                  <>
+                    Upload
+                    <Upload className="w-5 h-5 ml-2" />
+                  </>
+                )}
+              </button>
+            ) : paymentMethod === 'credits' ? (
+              <button
+                onClick={handleCreditsUpload}
+                disabled={processing || quoteLoading || !quote || (credits && BigInt(credits[currency].available) < BigInt(quote.amount))}
+                className="btn-primary"
+              >
+                {processing ? (
+                  <>
+                    <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                    Processing...
+                  </>
+                ) : (
+                  <>
+                    Pay with Credits & Upload
+                    <Coins className="w-5 h-5 ml-2" />
+                  </>
+                )}
+              </button>
+            ) : paymentMethod === 'wallet' && (
+              <button
+                onClick={handlePaymentAndUpload}
+                disabled={processing || quoteLoading || !quote}
+                className="btn-primary"
+              >
+                {processing ? (
+                  <>
+                    <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                    Processing...
+                  </>
+                ) : (
+                  <>
+                    Pay & Upload
+                    <DollarSign className="w-5 h-5 ml-2" />
+                  </>
+                )}
+              </button>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useWallet } from '@solana/wallet-adapter-react';
+import { Connection, PublicKey, Transaction, SystemProgram } from '@solana/web3.js';
+import { createTransferCheckedInstruction, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { Coins, Loader2, Plus, X } from 'lucide-react';
+import { QRCodeSVG } from 'qrcode.react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { connectUserSocket } from '../lib/socket';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
+const SOLANA_RPC_URL = process.env.NEXT_PUBLIC_SOLANA_RPC_URL || 'https://api.devnet.solana.com';
+const DECIMALS = { SOL: 9, USDC: 6 };
+
+// Convert a decimal amount typed by the user into base units
+const toBaseUnits = (value, currency) => {
+  const match = value.trim().match(/^(\d*)(?:\.(\d*))?$/);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  const fraction = (match[2] || '').slice(0, DECIMALS[currency]).padEnd(DECIMALS[currency], '0');
+  return (BigInt(match[1] || '0') * 10n ** BigInt(DECIMALS[currency]) + BigInt(fraction)).toString();
+};
+
+const CreditsPanel = ({ token }) => {
+  const queryClient = useQueryClient();
+  const { publicKey, sendTransaction } = useWallet();
+  const [amount, setAmount] = useState('');
+  const [currency, setCurrency] = useState('SOL');
+  const [deposit, setDeposit] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [paying, setPaying] = useState(false);
+
+  const { data: credits, isLoading } = useQuery({
+    queryKey: ['credits', token],
+    queryFn: async () => {
+      const response = await axios.get(`${API_BASE_URL}/v1/user/credits`, {
+        headers: { Authorization: token }
+      });
+      return response.data.data;
+    },
+    enabled: !!token
+  });
+
+  const { data: transactions } = useQuery({
+    queryKey: ['creditTransactions', token],
+    queryFn: async () => {
+      const response = await axios.get(`${API_BASE_URL}/v1/user/credits/transactions`, {
+        params: { limit: 5 },
+        headers: { Authorization: token }
+      });
+      return response.data.data.transactions;
+    },
+    enabled: !!token
+  });
+
+  // Refresh the balance when the deposit watcher credits a top-up
+  useEffect(() => {
+    if (!token) return;
+
+    const socket = connectUserSocket(token);
+    socket.on('deposit_update', ({ data }) => {
+      if (data.status === 'Credited') {
+        toast.success(`Credited ${data.currency} top-up`);
+        setDeposit(current => (current?.depositId === data.depositId ? null : current));
+        queryClient.invalidateQueries({ queryKey: ['credits'] });
+        queryClient.invalidateQueries({ queryKey: ['creditTransactions'] });
+      } else if (data.status === 'Rejected') {
+        toast.error(data.error || 'The top-up payment could not be accepted');
+      }
+    });
+
+    return () => socket.disconnect();
+  }, [token, queryClient]);
+
+  const createDeposit = async () => {
+    const baseUnits = toBaseUnits(amount, currency);
+    if (!baseUnits || baseUnits === '0') {
+      toast.error('Enter an amount to top up');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/v1/user/credits/deposits`,
+        { amount: baseUnits, currency },
+        { headers: { Authorization: token } }
+      );
+      setDeposit(response.data.data);
+    } catch (error) {
+      console.error('Failed to create deposit:', error);
+      toast.error(error.response?.data?.error || 'Failed to start top-up');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  // Pay the deposit from the connected wallet, then have the server verify it
+  const payWithWallet = async () => {
+    if (!publicKey) {
+      toast.error('Connect your wallet first');
+      return;
+    }
+
+    setPaying(true);
+    try {
+      const transfer = deposit.currency === 'USDC'
+        ? createTransferCheckedInstruction(
+            getAssociatedTokenAddressSync(new PublicKey(deposit.mint), publicKey),
+            new PublicKey(deposit.mint),
+            new PublicKey(deposit.recipientTokenAccount),
+            publicKey,
+            BigInt(deposit.amount),
+            deposit.decimals
+          )
+        : SystemProgram.transfer({
+            fromPubkey: publicKey,
+            toPubkey: new PublicKey(deposit.recipient),
+            lamports: BigInt(deposit.amount)
+          });
+      // The reference key ties the transfer to the deposit
+      transfer.keys.push({
+        pubkey: new PublicKey(deposit.reference),
+        isSigner: false,
+        isWritable: false
+      });
+
+      const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+      const transaction = new Transaction().add(transfer);
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+      transaction.recentBlockhash = blockhash;
+      transaction.feePayer = publicKey;
+
+      const signature = await sendTransaction(transaction, connection);
+      toast('Waiting for the payment to be finalized...');
+      await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'finalized');
+
+      await axios.post(
+        `${API_BASE_URL}/v1/user/credits/deposits/${deposit.depositId}/verify`,
+        { signature },
+        { headers: { Authorization: token } }
+      );
+
+      toast.success('Credits added');
+      setDeposit(null);
+      setAmount('');
+      queryClient.invalidateQueries({ queryKey: ['credits'] });
+      queryClient.invalidateQueries({ queryKey: ['creditTransactions'] });
+    } catch (error) {
+      console.error('Top-up failed:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || error.message || 'Top-up failed');
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Credits</h3>
+        <Coins className="w-5 h-5 text-primary-600" />
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-600">Loading credits...</p>
+      ) : (
+        <div className="grid grid-cols-2 gap-3 mb-4">
+          {Object.entries(credits?.credits || {}).map(([code, balance]) => (
+            <div key={code} className="p-3 rounded-lg bg-gray-50">
+              <div className="text-sm text-gray-500">{code}</div>
+              <div className="text-xl font-bold text-gray-900">{balance.availableDecimal}</div>
+              <div className="text-xs text-gray-500">
+                ${balance.availableUSD.toFixed(2)}
+                {balance.reserved !== '0' && ' • some held for a paid quote'}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {deposit ? (
+        <div className="p-4 rounded-lg border border-gray-200 text-center">
+          <div className="flex justify-between items-center mb-3">
+            <span className="text-sm font-medium text-gray-900">
+              Top up {deposit.amountDecimal} {deposit.currency}
+            </span>
+            <button
+              onClick={() => setDeposit(null)}
+              className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+              title="Cancel"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="inline-block p-3 bg-white rounded-lg border border-gray-200 mb-3">
+            <QRCodeSVG value={deposit.paymentUrl} size={160} />
+          </div>
+          <p className="text-xs text-gray-500 mb-3">
+            Scan with a Solana Pay wallet before {format(new Date(deposit.expiresAt), 'HH:mm')}, or pay from the connected wallet.
+          </p>
+          <button onClick={payWithWallet} disabled={paying} className="btn-primary btn-sm">
+            {paying && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            Pay with wallet
+          </button>
+        </div>
+      ) : (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            inputMode="decimal"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="Amount"
+            className="input-primary"
+          />
+          <div className="w-28 shrink-0">
+            <select
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              className="input-primary"
+            >
+              <option value="SOL">SOL</option>
+              <option value="USDC">USDC</option>
+            </select>
+          </div>
+          <button onClick={createDeposit} disabled={creating} className="btn-primary btn-sm">
+            {creating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+            <span className="ml-1">Top up</span>
+          </button>
+        </div>
+      )}
+
+      {transactions?.length > 0 && (
+        <div className="mt-4 space-y-2">
+          {transactions.map((entry) => (
+            <div key={entry.id} className="flex justify-between text-sm">
+              <span className="text-gray-600">
+                {entry.kind}{entry.taskId ? ` • Task #${entry.taskId}` : ''}
+              </span>
+              <span className={entry.amount.startsWith('-') ? 'text-gray-900' : 'text-success-600'}>
+                {entry.amount.startsWith('-') ? '' : '+'}{entry.amountDecimal} {entry.currency}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CreditsPanel;
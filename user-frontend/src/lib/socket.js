@@ -0,0 +1,16 @@
+import { io } from 'socket.io-client';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
+
+// Open a socket.io connection authenticated as the signed-in user
+export const connectUserSocket = (token) => {
+  const socket = io(API_BASE_URL, {
+    transports: ['websocket', 'polling']
+  });
+
+  socket.on('connect', () => {
+    socket.emit('authenticate_user', { token });
+  });
+
+  return socket;
+};
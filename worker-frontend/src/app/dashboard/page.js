@@ -28,7 +28,8 @@ import {
   Timer,
   Target,
   Zap,
-  Wallet
+  Wallet,
+  Ban
 } from 'lucide-react';
 import Link from 'next/link';
 import { useRouter } from 'next/navigation';
@@ -37,6 +38,8 @@ import axios from 'axios';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
 import Countdown from 'react-countdown';
+import { getStoredToken, signInWithWallet, signOut } from '../../lib/auth';
+import SessionsPanel from '../../components/SessionsPanel';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
 
@@ -65,50 +68,73 @@ const fetchNextTask = async (token) => {
 };
 
 // Submit task evaluation
-const submitEvaluation = async ({ token, taskId, selection }) => {
+const submitEvaluation = async ({ token, taskId, selection, ranking }) => {
   const response = await axios.post(
     `${API_BASE_URL}/v1/worker/submission`,
-    { taskId: taskId.toString(), selection: selection.toString() },
+    { taskId: taskId.toString(), selection: selection.toString(), ...(ranking && { ranking }) },
     { headers: { Authorization: token } }
   );
   return response.data.data;
 };
 
 // Request payout
-const requestPayout = async ({ token, amount }) => {
+const requestPayout = async ({ token, amount, currency }) => {
   const response = await axios.post(
     `${API_BASE_URL}/v1/worker/payout`,
-    amount ? { amount } : {},
+    amount ? { amount, currency } : { currency },
     { headers: { Authorization: token } }
   );
   return response.data.data;
 };
 
+// Choose the currency rewards are credited in
+const updatePayoutCurrency = async ({ token, currency }) => {
+  const response = await axios.put(
+    `${API_BASE_URL}/v1/worker/payout-currency`,
+    { currency },
+    { headers: { Authorization: token } }
+  );
+  return response.data.data;
+};
+
+const CURRENCIES = ['SOL', 'USDC'];
+
 export default function WorkerDashboardPage() {
-  const { connected, publicKey } = useWallet();
+  const { connected, publicKey, signMessage, disconnect } = useWallet();
   const router = useRouter();
   const queryClient = useQueryClient();
   
   const [authToken, setAuthToken] = useState(null);
   const [currentTask, setCurrentTask] = useState(null);
   const [selectedOption, setSelectedOption] = useState(null);
+  const [ranking, setRanking] = useState([]); // Option IDs best first, for tasks that ask for a ranking
   const [taskStartTime, setTaskStartTime] = useState(null);
   const [isEvaluating, setIsEvaluating] = useState(false);
   const [videoPlaying, setVideoPlaying] = useState(false);
   const [videoWatched, setVideoWatched] = useState(false);
   const [showEarningsModal, setShowEarningsModal] = useState(false);
+  const [withdrawCurrency, setWithdrawCurrency] = useState('SOL');
   const [showWalletModal, setShowWalletModal] = useState(false);
 
-  // Check authentication
+  // Check authentication, signing in with the wallet when there is no session
   useEffect(() => {
-    const token = localStorage.getItem('workerAuthToken');
-    if (!token && connected) {
-      // Redirect to authentication or show connect wallet
-      toast.error('Please authenticate your wallet');
+    if (!connected || !publicKey) {
       return;
     }
-    setAuthToken(token);
-  }, [connected]);
+
+    const token = getStoredToken(publicKey.toBase58());
+    if (token) {
+      setAuthToken(token);
+      return;
+    }
+
+    signInWithWallet({ publicKey, signMessage })
+      .then(setAuthToken)
+      .catch((error) => {
+        console.error('Wallet sign-in failed:', error);
+        toast.error('Please sign the message to authenticate your wallet');
+      });
+  }, [connected, publicKey, signMessage]);
 
   // Redirect if not connected
   useEffect(() => {
@@ -148,6 +174,7 @@ export default function WorkerDashboardPage() {
       if (data?.task) {
         setCurrentTask(data.task);
         setSelectedOption(null);
+        setRanking([]);
         setTaskStartTime(Date.now());
         setVideoWatched(false);
         setVideoPlaying(false);
@@ -161,17 +188,21 @@ export default function WorkerDashboardPage() {
   });
 
   // Submit evaluation mutation
-  const submitEvaluationMutation = useMutation(submitEvaluation, {
+  const submitEvaluationMutation = useMutation({
+    mutationFn: submitEvaluation,
     onSuccess: (data) => {
-      toast.success(`Task completed! Earned ${(data.amount / 1000000000).toFixed(6)} SOL`);
+      // Amounts arrive as strings in base units
+      const { amount, currency } = data.submission;
+      toast.success(`Task completed! Earned ${(Number(amount) / (currency === 'USDC' ? 1e6 : 1e9)).toFixed(6)} ${currency}`);
       
       // Update balance
-      queryClient.invalidateQueries(['workerBalance']);
+      queryClient.invalidateQueries({ queryKey: ['workerBalance'] });
       
       // Load next task
       if (data.nextTask) {
         setCurrentTask(data.nextTask);
         setSelectedOption(null);
+        setRanking([]);
         setTaskStartTime(Date.now());
         setVideoWatched(false);
         setVideoPlaying(false);
@@ -186,14 +217,20 @@ export default function WorkerDashboardPage() {
       console.error('Failed to submit evaluation:', error);
       toast.error(error.response?.data?.error || 'Failed to submit evaluation');
       setIsEvaluating(false);
+
+      // The account may have just been suspended
+      if (error.response?.status === 403) {
+        queryClient.invalidateQueries({ queryKey: ['workerProfile'] });
+      }
     }
   });
 
   // Payout mutation
-  const payoutMutation = useMutation(requestPayout, {
+  const payoutMutation = useMutation({
+    mutationFn: requestPayout,
     onSuccess: (data) => {
-      toast.success(`Payout successful! ${data.withdrawal.amountSOL} SOL sent to your wallet`);
-      queryClient.invalidateQueries(['workerBalance']);
+      toast.success(`Withdrawal of ${data.withdrawal.amountDecimal} ${data.withdrawal.currency} queued. It will arrive in your wallet shortly.`);
+      queryClient.invalidateQueries({ queryKey: ['workerBalance'] });
       setShowEarningsModal(false);
     },
     onError: (error) => {
@@ -202,6 +239,35 @@ export default function WorkerDashboardPage() {
     }
   });
 
+  // Payout currency mutation
+  const payoutCurrencyMutation = useMutation({
+    mutationFn: updatePayoutCurrency,
+    onSuccess: (data) => {
+      toast.success(`New rewards will be paid in ${data.payoutCurrency}`);
+      queryClient.invalidateQueries({ queryKey: ['workerBalance'] });
+    },
+    onError: (error) => {
+      console.error('Failed to update payout currency:', error);
+      toast.error(error.response?.data?.error || 'Failed to update payout currency');
+    }
+  });
+
+  const rankingBallot = currentTask?.ballot === 'ranking';
+
+  // Choose an option, or on ranking tasks add it to the ranking (clicking it again takes it out)
+  const handleOptionClick = (optionId) => {
+    if (!rankingBallot) {
+      setSelectedOption(optionId);
+      return;
+    }
+
+    const next = ranking.includes(optionId)
+      ? ranking.filter(id => id !== optionId)
+      : [...ranking, optionId];
+    setRanking(next);
+    setSelectedOption(next[0] ?? null);
+  };
+
   // Handle task submission
   const handleSubmitEvaluation = async () => {
     if (!selectedOption || !currentTask) {
@@ -209,6 +275,11 @@ export default function WorkerDashboardPage() {
       return;
     }
 
+    if (rankingBallot && ranking.length !== currentTask.options.length) {
+      toast.error('Please rank every option');
+      return;
+    }
+
     // Check if video task requires watching
     if (currentTask.serviceType === 'VIDEOS' && !videoWatched) {
       toast.error('Please watch the video before submitting');
@@ -220,7 +291,8 @@ export default function WorkerDashboardPage() {
     submitEvaluationMutation.mutate({
       token: authToken,
       taskId: currentTask.id,
-      selection: selectedOption
+      selection: selectedOption,
+      ranking: rankingBallot ? ranking : undefined
     });
   };
 
@@ -235,18 +307,44 @@ export default function WorkerDashboardPage() {
     }
   };
 
+  // Balances are BigInt strings in base units
+  const pendingIn = (currency) => BigInt(balance?.balances?.[currency]?.pending.amount || 0);
+  const hasPendingBalance = CURRENCIES.some(currency => pendingIn(currency) > 0n);
+
+  // Open the withdraw modal on a currency that has funds
+  const openEarningsModal = () => {
+    setWithdrawCurrency(pendingIn(withdrawCurrency) > 0n
+      ? withdrawCurrency
+      : CURRENCIES.find(currency => pendingIn(currency) > 0n) || 'SOL');
+    setShowEarningsModal(true);
+  };
+
   // Handle payout request
   const handlePayout = () => {
-    if (!balance?.balance.pending.lamports || balance.balance.pending.lamports === 0) {
-      toast.error('No pending balance to withdraw');
+    if (pendingIn(withdrawCurrency) === 0n) {
+      toast.error(`No pending ${withdrawCurrency} balance to withdraw`);
       return;
     }
 
     payoutMutation.mutate({
-      token: authToken
+      token: authToken,
+      currency: withdrawCurrency
     });
   };
 
+  // Sign out of this session and disconnect the wallet
+  const handleLogout = async () => {
+    try {
+      await signOut(authToken);
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    setAuthToken(null);
+    queryClient.clear();
+    await disconnect();
+    toast.success('Signed out');
+  };
+
   // Refresh data
   const handleRefresh = () => {
     queryClient.invalidateQueries(['workerProfile']);
@@ -312,12 +410,14 @@ export default function WorkerDashboardPage() {
                 <div className="text-right">
                   <div className="text-sm text-gray-600">Pending Earnings</div>
                   <div className="text-lg font-bold text-secondary-600">
-                    ${balance.balance.pending.usd?.toFixed(2) || '0.00'}
+                    ${CURRENCIES
+                      .reduce((sum, currency) => sum + (balance.balances?.[currency]?.pending.usd || 0), 0)
+                      .toFixed(2)}
                   </div>
                 </div>
                 
                 <button
-                  onClick={() => setShowEarningsModal(true)}
+                  onClick={openEarningsModal}
                   className="bg-secondary-600 hover:bg-secondary-700 text-white px-4 py-2 rounded-lg transition-colors"
                 >
                   <Coins className="w-4 h-4 mr-2 inline" />
@@ -335,6 +435,14 @@ export default function WorkerDashboardPage() {
               >
                 <RefreshCw className="w-5 h-5" />
               </button>
+
+              <button
+                onClick={handleLogout}
+                className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+                title="Sign out"
+              >
+                <LogOut className="w-5 h-5" />
+              </button>
               
               <WalletMultiButton className="!bg-gray-100 !text-gray-900" />
             </div>
@@ -346,7 +454,23 @@ export default function WorkerDashboardPage() {
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Main Task Area */}
           <div className="lg:col-span-2">
-            {currentTask ? (
+            {profile?.worker.suspendedAt ? (
+              <motion.div
+                className="card text-center py-12"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+              >
+                <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                  <Ban className="w-8 h-8 text-red-500" />
+                </div>
+                <h3 className="text-lg font-medium text-gray-900 mb-2">
+                  Account Suspended
+                </h3>
+                <p className="text-gray-600">
+                  {profile.worker.suspensionReason || 'Your account has been suspended.'} You can still withdraw your balance. Contact support to have your account reviewed.
+                </p>
+              </motion.div>
+            ) : currentTask ? (
               <motion.div
                 className="card"
                 initial={{ opacity: 0, y: 20 }}
@@ -364,7 +488,7 @@ export default function WorkerDashboardPage() {
                       </span>
                       <span className="flex items-center">
                         <DollarSign className="w-4 h-4 mr-1" />
-                        Up to ${(currentTask.estimatedReward.first / 1000000000 * 100).toFixed(3)}
+                        Up to ${(Number(currentTask.estimatedReward.first) / 1000000000 * 100).toFixed(3)}
                       </span>
                     </div>
                   </div>
@@ -386,6 +510,16 @@ export default function WorkerDashboardPage() {
                       : 'Look at each option and select the one you think would get the most clicks if used in marketing.'
                     }
                   </p>
+                  {currentTask.ballot === 'pair' && (
+                    <p className="text-blue-800 text-sm mt-2">
+                      You are shown two of this task's options. Pick the better of the two.
+                    </p>
+                  )}
+                  {rankingBallot && (
+                    <p className="text-blue-800 text-sm mt-2">
+                      Rank every option: click them in order from best to worst. Click an option again to take it out of the ranking.
+                    </p>
+                  )}
                   {currentTask.serviceType === 'VIDEOS' && (
                     <p className="text-blue-700 text-xs mt-2">
                       ⚠️ You must watch the video for at least 5 seconds before submitting.
@@ -399,13 +533,13 @@ export default function WorkerDashboardPage() {
                     <motion.div
                       key={option.id}
                       className={`relative cursor-pointer rounded-lg overflow-hidden border-2 transition-all ${
-                        selectedOption === option.id
+                        selectedOption === option.id || ranking.includes(option.id)
                           ? 'border-secondary-500 ring-2 ring-secondary-200'
                           : 'border-gray-200 hover:border-gray-300'
                       }`}
                       whileHover={{ scale: 1.02 }}
                       whileTap={{ scale: 0.98 }}
-                      onClick={() => setSelectedOption(option.id)}
+                      onClick={() => handleOptionClick(option.id)}
                     >
                       {option.file_type === 'IMAGE' ? (
                         <img
@@ -454,7 +588,13 @@ export default function WorkerDashboardPage() {
                           <span className="font-medium text-gray-900">
                             Option {index + 1}
                           </span>
-                          {selectedOption === option.id && (
+                          {rankingBallot ? (
+                            ranking.includes(option.id) && (
+                              <span className="w-6 h-6 rounded-full bg-secondary-600 text-white text-sm font-bold flex items-center justify-center">
+                                {ranking.indexOf(option.id) + 1}
+                              </span>
+                            )
+                          ) : selectedOption === option.id && (
                             <CheckCircle className="w-5 h-5 text-secondary-600" />
                           )}
                         </div>
@@ -475,7 +615,7 @@ export default function WorkerDashboardPage() {
                   
                   <button
                     onClick={handleSubmitEvaluation}
-                    disabled={!selectedOption || isEvaluating || (currentTask.serviceType === 'VIDEOS' && !videoWatched)}
+                    disabled={!selectedOption || isEvaluating || (currentTask.serviceType === 'VIDEOS' && !videoWatched) || (rankingBallot && ranking.length !== currentTask.options.length)}
                     className="bg-secondary-600 hover:bg-secondary-700 disabled:bg-gray-400 text-white px-6 py-3 rounded-lg transition-colors font-medium"
                   >
                     {isEvaluating ? (
@@ -543,11 +683,29 @@ export default function WorkerDashboardPage() {
                       {profile.statistics.accuracy.toFixed(1)}%
                     </span>
                   </div>
-                  
+
+                  <div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Reputation</span>
+                      <span className="font-medium text-primary-600">
+                        {Math.round(profile.statistics.reputation.score * 100)} / 100
+                      </span>
+                    </div>
+                    <div className="mt-2 h-2 rounded-full bg-gray-200 overflow-hidden">
+                      <div
+                        className="h-full bg-primary-500"
+                        style={{ width: `${profile.statistics.reputation.score * 100}%` }}
+                      />
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Rises when your choices agree with the final results and fades back towards 50 when you are inactive
+                    </p>
+                  </div>
+
                   <div className="flex justify-between">
                     <span className="text-gray-600">Total Earned</span>
                     <span className="font-medium text-secondary-600">
-                      ${(profile.statistics.totalEarned / 1000000000 * 100).toFixed(2)}
+                      ${(Number(profile.statistics.totalEarned) / 1000000000 * 100).toFixed(2)}
                     </span>
                   </div>
                   
@@ -580,24 +738,48 @@ export default function WorkerDashboardPage() {
                 <div className="space-y-4">
                   <div>
                     <div className="text-sm text-gray-600 mb-1">Pending Balance</div>
-                    <div className="text-2xl font-bold text-secondary-600">
-                      ${balance.balance.pending.usd?.toFixed(2) || '0.00'}
-                    </div>
-                    <div className="text-sm text-gray-500">
-                      {balance.balance.pending.sol?.toFixed(6) || '0.000000'} SOL
-                    </div>
+                    {CURRENCIES.map(currency => (
+                      <div key={currency} className="flex justify-between items-baseline">
+                        <span className="text-xl font-bold text-secondary-600">
+                          ${balance.balances?.[currency]?.pending.usd?.toFixed(2) || '0.00'}
+                        </span>
+                        <span className="text-sm text-gray-500">
+                          {balance.balances?.[currency]?.pending.decimal?.toFixed(6) || '0.000000'} {currency}
+                        </span>
+                      </div>
+                    ))}
                   </div>
                   
                   <div>
                     <div className="text-sm text-gray-600 mb-1">Total Earned</div>
                     <div className="text-lg font-semibold text-gray-900">
-                      ${balance.balance.totalEarned.usd?.toFixed(2) || '0.00'}
+                      ${CURRENCIES
+                        .reduce((sum, currency) => sum + (balance.balances?.[currency]?.totalEarned.usd || 0), 0)
+                        .toFixed(2)}
+                    </div>
+                  </div>
+
+                  <div>
+                    <div className="text-sm text-gray-600 mb-1">Get Paid In</div>
+                    <div className="grid grid-cols-2 gap-2 p-1 bg-gray-100 rounded-lg">
+                      {CURRENCIES.map(currency => (
+                        <button
+                          key={currency}
+                          onClick={() => payoutCurrencyMutation.mutate({ token: authToken, currency })}
+                          disabled={payoutCurrencyMutation.isPending || balance.payoutCurrency === currency}
+                          className={`py-1.5 rounded-md text-sm font-medium ${
+                            balance.payoutCurrency === currency ? 'bg-white shadow text-gray-900' : 'text-gray-600'
+                          }`}
+                        >
+                          {currency}
+                        </button>
+                      ))}
                     </div>
                   </div>
                   
                   <button
-                    onClick={() => setShowEarningsModal(true)}
-                    disabled={!balance.balance.pending.lamports || balance.balance.pending.lamports === 0}
+                    onClick={openEarningsModal}
+                    disabled={!hasPendingBalance}
                     className="btn-secondary w-full disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     <Coins className="w-4 h-4 mr-2" />
@@ -607,6 +789,9 @@ export default function WorkerDashboardPage() {
               </motion.div>
             )}
 
+            {/* Sessions */}
+            <SessionsPanel token={authToken} />
+
             {/* Quick Actions */}
             <motion.div
               className="card"
@@ -662,13 +847,27 @@ export default function WorkerDashboardPage() {
               
               {balance && (
                 <div className="space-y-4">
+                  <div className="grid grid-cols-2 gap-2 p-1 bg-gray-100 rounded-lg">
+                    {CURRENCIES.map(currency => (
+                      <button
+                        key={currency}
+                        onClick={() => setWithdrawCurrency(currency)}
+                        className={`py-2 rounded-md text-sm font-medium ${
+                          withdrawCurrency === currency ? 'bg-white shadow text-gray-900' : 'text-gray-600'
+                        }`}
+                      >
+                        {currency}
+                      </button>
+                    ))}
+                  </div>
+
                   <div className="p-4 bg-secondary-50 rounded-lg">
                     <div className="text-sm text-secondary-600 mb-1">Available to Withdraw</div>
                     <div className="text-2xl font-bold text-secondary-600">
-                      ${balance.balance.pending.usd?.toFixed(2) || '0.00'}
+                      ${balance.balances?.[withdrawCurrency]?.pending.usd?.toFixed(2) || '0.00'}
                     </div>
                     <div className="text-sm text-secondary-500">
-                      {balance.balance.pending.sol?.toFixed(6) || '0.000000'} SOL
+                      {balance.balances?.[withdrawCurrency]?.pending.decimal?.toFixed(6) || '0.000000'} {withdrawCurrency}
                     </div>
                   </div>
                   
@@ -690,10 +889,10 @@ export default function WorkerDashboardPage() {
                     </button>
                     <button
                       onClick={handlePayout}
-                      disabled={payoutMutation.isLoading || !balance.balance.pending.lamports}
+                      disabled={payoutMutation.isPending || pendingIn(withdrawCurrency) === 0n}
                       className="btn-secondary flex-1"
                     >
-                      {payoutMutation.isLoading ? (
+                      {payoutMutation.isPending ? (
                         <>
                           <div className="spinner w-4 h-4 mr-2"></div>
                           Processing...
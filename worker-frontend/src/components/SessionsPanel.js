@@ -0,0 +1,88 @@
+import React from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { Monitor, X } from 'lucide-react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
+
+const SessionsPanel = ({ token, apiPath = '/v1/worker' }) => {
+  const queryClient = useQueryClient();
+
+  const { data: sessions, isLoading } = useQuery({
+    queryKey: ['sessions', apiPath, token],
+    queryFn: async () => {
+      const response = await axios.get(`${API_BASE_URL}${apiPath}/sessions`, {
+        headers: { Authorization: token }
+      });
+      return response.data.data.sessions;
+    },
+    enabled: !!token
+  });
+
+  const revoke = async (sessionId) => {
+    try {
+      await axios.delete(
+        `${API_BASE_URL}${apiPath}/sessions${sessionId ? `/${sessionId}` : ''}`,
+        { headers: { Authorization: token } }
+      );
+      toast.success(sessionId ? 'Session revoked' : 'Other sessions revoked');
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+      toast.error(error.response?.data?.error || 'Failed to revoke session');
+    }
+  };
+
+  const otherSessions = sessions?.filter(session => !session.current) || [];
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Active Sessions</h3>
+        {otherSessions.length > 0 && (
+          <button onClick={() => revoke()} className="btn-ghost btn-sm text-red-600">
+            Revoke all others
+          </button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-600">Loading sessions...</p>
+      ) : (
+        <div className="space-y-3">
+          {sessions?.map((session) => (
+            <div key={session.id} className="flex items-start justify-between p-3 rounded-lg bg-gray-50">
+              <div className="flex items-start">
+                <Monitor className="w-5 h-5 mr-3 mt-0.5 text-secondary-600" />
+                <div className="text-sm">
+                  <div className="font-medium text-gray-900 break-all">
+                    {session.device || 'Unknown device'}
+                  </div>
+                  <div className="text-gray-500">
+                    {session.ipAddress || 'Unknown IP'} • Last seen {format(new Date(session.lastSeenAt), 'MMM dd, HH:mm')}
+                  </div>
+                </div>
+              </div>
+
+              {session.current ? (
+                <span className="badge-gray">This device</span>
+              ) : (
+                <button
+                  onClick={() => revoke(session.id)}
+                  className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                  title="Revoke session"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionsPanel;
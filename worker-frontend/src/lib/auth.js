@@ -0,0 +1,57 @@
+import axios from 'axios';
+import bs58 from 'bs58';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
+
+const TOKEN_KEY = 'workerAuthToken';
+const WALLET_KEY = 'workerAuthWallet';
+
+// Return the stored token if it was issued to the given wallet
+export const getStoredToken = (walletAddress) => {
+  if (localStorage.getItem(WALLET_KEY) !== walletAddress) {
+    return null;
+  }
+  return localStorage.getItem(TOKEN_KEY);
+};
+
+export const clearStoredToken = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(WALLET_KEY);
+};
+
+// Request a sign-in challenge, sign it with the wallet and exchange it for a session token
+export const signInWithWallet = async ({ publicKey, signMessage }) => {
+  if (!signMessage) {
+    throw new Error('Your wallet does not support message signing');
+  }
+
+  const walletAddress = publicKey.toBase58();
+
+  const nonceResponse = await axios.post(`${API_BASE_URL}/v1/worker/nonce`, { walletAddress });
+  const { message } = nonceResponse.data.data;
+
+  const signature = await signMessage(new TextEncoder().encode(message));
+
+  const signinResponse = await axios.post(`${API_BASE_URL}/v1/worker/signin`, {
+    walletAddress,
+    message,
+    signature: bs58.encode(signature)
+  });
+  const { token } = signinResponse.data.data;
+
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(WALLET_KEY, walletAddress);
+
+  return token;
+};
+
+// Revoke the current session on the server and forget the token locally
+export const signOut = async (token) => {
+  try {
+    await axios.post(`${API_BASE_URL}/v1/worker/logout`, {}, {
+      headers: { Authorization: token }
+    });
+  } finally {
+    clearStoredToken();
+  }
+};